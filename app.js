@@ -1,17 +1,44 @@
-/* global generateScenario */
+/* global CARD_CONCEPTS, DIFFICULTY_LEVELS, cardBins, producers, conceptOf, conceptLabel, explainCard, localizeScenario, t, LOCALES, setLocale, getLocale, localeTag, matchLocale, formatMoney, formatNumber, formatPercent, generateScenario, createReporter, lrsConfigFromPage, makeRng, shuffle, randomSeed, parseRoundCode, roundCode, campaignYear, CAMPAIGN_MAX_YEARS, scenarioFromFile, scenarioToFile, MathJax */
 
 const els = {
   newScenarioBtn: document.getElementById("newScenarioBtn"),
+  nextYearBtn: document.getElementById("nextYearBtn"),
+  roundCodeInput: document.getElementById("roundCodeInput"),
+  difficultySelect: document.getElementById("difficultySelect"),
+  localeSelect: document.getElementById("localeSelect"),
+  roundCode: document.getElementById("roundCode"),
+  pastRounds: document.getElementById("pastRounds"),
+  exportBtn: document.getElementById("exportBtn"),
+  printBtn: document.getElementById("printBtn"),
+  printSheet: document.getElementById("printSheet"),
+  importInput: document.getElementById("importInput"),
+  optFullIncome: document.getElementById("optFullIncome"),
+  optGnp: document.getElementById("optGnp"),
+  optReal: document.getElementById("optReal"),
+  optSupplyChain: document.getElementById("optSupplyChain"),
+  optFirmIncome: document.getElementById("optFirmIncome"),
+  optSplitImports: document.getElementById("optSplitImports"),
+  optPublicSector: document.getElementById("optPublicSector"),
+  optCampaign: document.getElementById("optCampaign"),
+  optFindErrors: document.getElementById("optFindErrors"),
   resetBtn: document.getElementById("resetBtn"),
+  undoBtn: document.getElementById("undoBtn"),
+  redoBtn: document.getElementById("redoBtn"),
+  replayBtn: document.getElementById("replayBtn"),
+  replayBar: document.getElementById("replayBar"),
+  replayText: document.getElementById("replayText"),
+  replayPrev: document.getElementById("replayPrev"),
+  replayNext: document.getElementById("replayNext"),
+  replayExit: document.getElementById("replayExit"),
+  errorsInfo: document.getElementById("errorsInfo"),
   checkBtn: document.getElementById("checkBtn"),
+  hintBtn: document.getElementById("hintBtn"),
+  submitBtn: document.getElementById("submitBtn"),
+  examTimer: document.getElementById("examTimer"),
+  totals: document.getElementById("totals"),
 
-  tabProduction: document.getElementById("tabProduction"),
-  tabExpenditure: document.getElementById("tabExpenditure"),
-  tabIncome: document.getElementById("tabIncome"),
-
-  panelProduction: document.getElementById("panelProduction"),
-  panelExpenditure: document.getElementById("panelExpenditure"),
-  panelIncome: document.getElementById("panelIncome"),
+  ledgerTabs: document.getElementById("ledgerTabs"),
+  ledgerPanels: document.getElementById("ledgerPanels"),
 
   pool: document.getElementById("pool"),
 
@@ -19,69 +46,283 @@ const els = {
   gdpExp: document.getElementById("gdpExp"),
   gdpInc: document.getElementById("gdpInc"),
   gapVal: document.getElementById("gapVal"),
+  gnpMetric: document.getElementById("gnpMetric"),
+  gnpInc: document.getElementById("gnpInc"),
+  deflatorMetric: document.getElementById("deflatorMetric"),
+  deflatorVal: document.getElementById("deflatorVal"),
+  growthMetric: document.getElementById("growthMetric"),
+  growthVal: document.getElementById("growthVal"),
 
   status: document.getElementById("status"),
-  inventoryFeedback: document.getElementById("inventoryFeedback")
+  announcer: document.getElementById("announcer"),
+  inventoryFeedback: document.getElementById("inventoryFeedback"),
+  gnpFeedback: document.getElementById("gnpFeedback"),
+  realFeedback: document.getElementById("realFeedback"),
+  firmCheck: document.getElementById("firmCheck"),
+  firmTable: document.getElementById("firmTable"),
+  flowPanel: document.getElementById("flowPanel"),
+  flowDiagram: document.getElementById("flowDiagram"),
+  campaignPanel: document.getElementById("campaignPanel"),
+  campaignInfo: document.getElementById("campaignInfo"),
+  campaignBody: document.getElementById("campaignBody"),
+  campaignChart: document.getElementById("campaignChart"),
+  campaignRows: document.getElementById("campaignRows"),
+  hintFeedback: document.getElementById("hintFeedback"),
+  studentName: document.getElementById("studentName"),
+  historySummary: document.getElementById("historySummary"),
+  historyRounds: document.getElementById("historyRounds"),
+  historyRoundsWrap: document.getElementById("historyRoundsWrap"),
+  historyTypes: document.getElementById("historyTypes"),
+  historyTypesWrap: document.getElementById("historyTypesWrap"),
+  historyCsvBtn: document.getElementById("historyCsvBtn"),
+  historyJsonBtn: document.getElementById("historyJsonBtn"),
+  historyClearBtn: document.getElementById("historyClearBtn"),
+  lrsStatus: document.getElementById("lrsStatus"),
+  mistakeSummary: document.getElementById("mistakeSummary"),
+  scoreReport: document.getElementById("scoreReport")
 };
 
-const BIN_IDS = {
-  production: ["P_S_OUT","P_S_INT","P_A_OUT","P_A_INT","P_P_OUT","P_P_INT","P_M_OUT","P_M_INT"],
-  expenditure: ["E_C","E_I","E_G","E_X","E_M","E_XCL"],
-  income: ["I_W","I_P","I_XCL"]
-};
+// Ledger -> bin ids, rebuilt from scenario.layout by buildLedgers()
+let BIN_IDS = {};
 
 let activeTab = "production";
 let scenario = null;
-let placements = { production:{}, expenditure:{}, income:{} };
+let placements = {};
 let draggedId = null;
 
+// Click/tap/keyboard placement: the selected card and the zone it would go to
+let selectedId = null;
+let targetBin = null;
+
 function setStatus(msg){ els.status.textContent = msg; }
-function money(x){ return `$${x.toFixed(0)}m`; }
+function announce(msg){ els.announcer.textContent = msg; }
 
-function shuffle(arr){
-  const a = arr.slice();
-  for (let i=a.length-1;i>0;i--){
-    const j = Math.floor(Math.random()*(i+1));
-    [a[i],a[j]]=[a[j],a[i]];
-  }
-  return a;
+function poolRng(tab){
+  // Pool order is part of the round: same seed + same ledger => same order
+  const salt = Object.keys(BIN_IDS).indexOf(tab) + 1;
+  return makeRng((scenario.meta.seed + salt * 0x9E3779B1) >>> 0);
 }
 
-function clearBins(){
-  els.pool.innerHTML = "";
-  for (const tab of Object.keys(BIN_IDS)) {
-    for (const binId of BIN_IDS[tab]) {
-      const z = document.querySelector(`[data-bin="${binId}"]`);
-      if (z) z.innerHTML = "";
-    }
-  }
+function poolOrder(ledger){
+  // A ledger's cards in pool order, shuffled but reproducible per round (the worksheet numbers them this way)
+  const cards = cardsFor(ledger);
+  return shuffle(cards.map(c => c.id), poolRng(ledger)).map(id => cards.find(c => c.id === id));
 }
 
-function makeCard(card){
+// A split card (several correct bins) is on the page once per bin, as interchangeable copies.
+// Each copy is a token with its own id: the card id, then "<id>~2", "<id>~3", ... Placements,
+// selection and drag all work on tokens, so a copy is placed exactly like any other card.
+function cardTokens(card){
+  return cardBins(card).map((_, i) => i ? `${card.id}~${i + 1}` : card.id);
+}
+
+function tokenCard(token){
+  const id = String(token).replace(/~\d+$/, "");
+  return allCards().find(c => c.id === id);
+}
+
+function cardResult(card){
+  // The card's placement against its answer: the bin of each token (undefined in the pool),
+  // which tokens sit in a right bin (each correct bin is used up once), and the card as a whole
+  const tokens = cardTokens(card);
+  const chosen = tokens.map(tok => placements[card.ledger][tok]);
+  const open = cardBins(card).slice();
+  const good = chosen.map(bin => {
+    const i = bin ? open.indexOf(bin) : -1;
+    if (i >= 0) open.splice(i, 1);
+    return i >= 0;
+  });
+  return { tokens, chosen, good, placed: chosen.every(Boolean), correct: good.every(Boolean) };
+}
+
+function makeCard(card, token = card.id){
   const div = document.createElement("div");
   div.className = "card";
   div.draggable = true;
-  div.id = `card_${card.id}`;
-  div.dataset.cardId = card.id;
+  div.id = `card_${token}`;
+  div.dataset.cardId = token;
   div.dataset.amount = String(card.amount);
   div.dataset.ledger = card.ledger;
 
   div.innerHTML = `
-    <div class="top"><span class="money">${money(card.amount)}</span></div>
-    <div class="desc">${card.text}</div>
+    <div class="top"><span class="money">${formatMoney(card.amount)}</span></div>
+    <div class="desc"></div>
     <div class="feedback"></div>
   `;
+  // Card text can carry firm names from the URL, so never parse it as HTML
+  div.querySelector(".desc").textContent = card.text;
+
+  const tokens = cardTokens(card);
+  let aria = `${formatMoney(card.amount)}: ${card.text}`;
+  if (tokens.length > 1){
+    const copy = t("ui.splitCopy", { n: tokens.indexOf(token) + 1, total: tokens.length });
+    const badge = document.createElement("span");
+    badge.className = "split-badge";
+    badge.textContent = copy;
+    div.querySelector(".top").appendChild(badge);
+    aria += ` (${copy})`;
+  }
+
+  div.tabIndex = 0;
+  div.setAttribute("role","button");
+  div.setAttribute("aria-pressed","false");
+  div.setAttribute("aria-label", aria);
 
   div.addEventListener("dragstart", (e) => {
-    draggedId = card.id;
-    e.dataTransfer.setData("text/plain", card.id);
+    if (isLocked() || replay) { e.preventDefault(); return; }
+    draggedId = token;
+    e.dataTransfer.setData("text/plain", token);
     e.dataTransfer.effectAllowed = "move";
   });
 
+  div.addEventListener("click", (e) => {
+    e.stopPropagation();
+    // With another card selected, a tap on a card in a different zone targets that zone
+    if (selectedId && selectedId !== token){
+      const zone = div.closest(".dropzone");
+      const sel = document.getElementById(`card_${selectedId}`);
+      if (zone && sel && zone !== sel.closest(".dropzone")){
+        placeCard(selectedId, zone.dataset.bin);
+        return;
+      }
+    }
+    toggleSelect(token);
+  });
+
+  div.addEventListener("keydown", (e) => onCardKey(e, token));
+
   return div;
 }
 
+function cardLabel(id){
+  // Short spoken name for a card: amount plus the start of its text
+  const c = tokenCard(id);
+  if (!c) return t("ui.card");
+  const words = c.text.split(/\s+/);
+  return t("ui.cardLabel", { amount: formatMoney(c.amount), words: words.slice(0, 6).join(" ") + (words.length > 6 ? "…" : "") });
+}
+
+function zoneLabel(binId){
+  if (binId === "POOL") return t("ui.thePool");
+  const bin = scenario.layout.ledgers.flatMap(l => l.bins).find(b => b.id === binId);
+  return bin ? bin.label : binId;
+}
+
+function activeZones(){
+  // Pool first, then the active ledger's bins in layout order
+  return ["POOL", ...BIN_IDS[activeTab]];
+}
+
+function zoneEl(binId){
+  return document.querySelector(`.dropzone[data-bin="${binId}"]`);
+}
+
+function placeCard(id, binId){
+  // The single way a student moves a card: drag-and-drop, click/tap and keyboard all end here
+  // (Undo, Redo and Reset change placements too, and log their moves the same way)
+  const cardEl = document.getElementById(`card_${id}`);
+  const zone = zoneEl(binId);
+  if (!cardEl || !zone || isLocked() || replay) return;
+  if (cardEl.dataset.ledger !== activeTab) return;
+
+  const from = placements[activeTab][id] || "POOL";
+  zone.appendChild(cardEl);
+  if (binId === "POOL") delete placements[activeTab][id];
+  else placements[activeTab][id] = binId;
+  if (from !== binId) logMove("place", [{ card: id, ledger: activeTab, from, to: binId }]);
+
+  clearCardMark(cardEl);
+
+  clearSelection();
+  updateTotals();
+  saveState();
+  announce(t("ui.moved", { card: cardLabel(id), zone: zoneLabel(binId) }));
+}
+
+function setTarget(binId){
+  document.querySelectorAll(".dropzone.target").forEach(z => z.classList.remove("target"));
+  targetBin = binId;
+  if (binId) zoneEl(binId).classList.add("target");
+}
+
+function clearSelection(){
+  if (selectedId){
+    const el = document.getElementById(`card_${selectedId}`);
+    if (el){
+      el.classList.remove("selected");
+      el.setAttribute("aria-pressed","false");
+    }
+  }
+  selectedId = null;
+  setTarget(null);
+  document.body.classList.remove("placing");
+}
+
+function toggleSelect(id){
+  if (isLocked() || replay){
+    announce(t(replay ? "ui.replayLocked" : "ui.locked"));
+    return;
+  }
+  if (selectedId === id){
+    clearSelection();
+    announce(t("ui.selectionCleared"));
+    return;
+  }
+  clearSelection();
+
+  const el = document.getElementById(`card_${id}`);
+  selectedId = id;
+  el.classList.add("selected");
+  el.setAttribute("aria-pressed","true");
+  document.body.classList.add("placing");
+  setTarget(el.closest(".dropzone").dataset.bin);
+  announce(t("ui.selected", { card: cardLabel(id) }));
+}
+
+function onCardKey(e, id){
+  if (e.key === "Enter" || e.key === " "){
+    e.preventDefault();
+    const current = document.getElementById(`card_${id}`).closest(".dropzone").dataset.bin;
+    if (selectedId === id && targetBin && targetBin !== current) placeCard(id, targetBin);
+    else toggleSelect(id);
+    const el = document.getElementById(`card_${id}`);
+    if (el) el.focus();
+    return;
+  }
+  if (e.key === "Escape" && selectedId){
+    clearSelection();
+    announce(t("ui.selectionCleared"));
+    return;
+  }
+
+  const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[e.key];
+  if (!step || selectedId !== id) return;
+  e.preventDefault();
+
+  const zones = activeZones();
+  const i = zones.indexOf(targetBin);
+  const next = zones[(i + step + zones.length) % zones.length];
+  setTarget(next);
+  announce(t("ui.target", { zone: zoneLabel(next) }));
+}
+
 function setupDropzone(zone){
+  zone.tabIndex = 0;
+  zone.setAttribute("role","group");
+  zone.setAttribute("aria-label", zone.dataset.bin === "POOL" ? t("ui.cardPool") : t("ui.binAria", { bin: zone.dataset.bin }));
+
+  // Tap/click an empty part of a zone, or focus it and press Enter, to drop the selected card there
+  zone.addEventListener("click", () => {
+    if (selectedId) placeCard(selectedId, zone.dataset.bin);
+  });
+  zone.addEventListener("keydown", (e) => {
+    if (e.target !== zone || !selectedId) return;
+    if (e.key === "Enter" || e.key === " "){
+      e.preventDefault();
+      placeCard(selectedId, zone.dataset.bin);
+    }
+  });
+
   zone.addEventListener("dragover", (e) => {
     e.preventDefault();
     zone.classList.add("dragover");
@@ -95,60 +336,130 @@ function setupDropzone(zone){
     const id = e.dataTransfer.getData("text/plain") || draggedId;
     if (!id) return;
 
-    const cardEl = document.getElementById(`card_${id}`);
-    if (!cardEl) return;
-
-    if (cardEl.dataset.ledger !== activeTab) return;
+    placeCard(id, zone.dataset.bin);
+  });
+}
 
-    zone.appendChild(cardEl);
-    placements[activeTab][id] = zone.dataset.bin;
+function initDnD(){
+  setupDropzone(els.pool);
+}
 
-    cardEl.classList.remove("good","bad");
-    const fb = cardEl.querySelector(".feedback");
-    if (fb) fb.textContent = "";
+function makeBin(bin){
+  const wrap = document.createElement("div");
+  wrap.className = "bin";
+  // Built node by node: layouts can come from imported files, so nothing in them is parsed as HTML
+  const title = document.createElement("div");
+  title.className = "bin-title";
+  const accent = document.createElement("span");
+  accent.className = `bin-accent ${bin.accent}`;
+  const head = document.createElement("h3");
+  head.textContent = bin.label;
+  title.append(accent, head);
 
-    updateTotals();
+  const zone = document.createElement("div");
+  zone.id = `bin${bin.id}`;
+  zone.className = "dropzone";
+  zone.dataset.bin = bin.id;
+  wrap.append(title, zone);
+  setupDropzone(zone);
+  zone.setAttribute("aria-label", t("ui.binAria", { bin: bin.label }));
+  // The title is an easy tap target when the zone itself is full of cards
+  title.addEventListener("click", () => {
+    if (selectedId) placeCard(selectedId, bin.id);
   });
+  return wrap;
 }
 
-function initDnD(){
-  document.querySelectorAll(".dropzone").forEach(setupDropzone);
+function buildLedgers(layout){
+  // Tabs, panels and dropzones all come from the scenario's layout
+  els.ledgerTabs.innerHTML = "";
+  els.ledgerPanels.innerHTML = "";
+  BIN_IDS = {};
+
+  for (const ledger of layout.ledgers){
+    BIN_IDS[ledger.id] = ledger.bins.map(b => b.id);
+
+    const tab = document.createElement("button");
+    tab.className = "tab";
+    tab.id = `tab_${ledger.id}`;
+    tab.dataset.tab = ledger.id;
+    tab.setAttribute("role","tab");
+    tab.setAttribute("aria-selected","false");
+    tab.textContent = ledger.label;
+    tab.addEventListener("click", () => setActiveTab(ledger.id));
+    els.ledgerTabs.appendChild(tab);
+
+    const panel = document.createElement("div");
+    panel.className = "tabpanel hidden";
+    panel.id = `panel_${ledger.id}`;
+    panel.dataset.tabpanel = ledger.id;
+
+    const grid = document.createElement("div");
+    grid.className = ledger.wide ? "bin-grid wide" : "bin-grid";
+    ledger.bins.filter(b => !b.panel).forEach(b => grid.appendChild(makeBin(b)));
+    panel.appendChild(grid);
+
+    // Bins that belong to a panel (the government producer) sit in a box of their own
+    for (const p of ledger.panels || []){
+      const box = document.createElement("section");
+      box.className = "bin-panel";
+      const head = document.createElement("h3");
+      head.textContent = p.label;
+      const text = document.createElement("p");
+      text.textContent = p.note;
+      const bins = document.createElement("div");
+      bins.className = grid.className;
+      ledger.bins.filter(b => b.panel === p.id).forEach(b => bins.appendChild(makeBin(b)));
+      box.append(head, text, bins);
+      panel.appendChild(box);
+    }
+
+    const note = document.createElement("div");
+    note.className = "note";
+    note.textContent = ledger.note;
+    panel.appendChild(note);
+
+    els.ledgerPanels.appendChild(panel);
+  }
+
+  if (window.MathJax && MathJax.typesetPromise) MathJax.typesetPromise([els.ledgerPanels]);
 }
 
 function setActiveTab(tab){
+  if (!BIN_IDS[tab]) tab = Object.keys(BIN_IDS)[0];
   activeTab = tab;
+  clearSelection();
 
-  [els.tabProduction, els.tabExpenditure, els.tabIncome].forEach(btn => btn.classList.remove("active"));
-  document.querySelectorAll(".tab").forEach(btn => btn.setAttribute("aria-selected","false"));
-  const btn = document.querySelector(`.tab[data-tab="${tab}"]`);
-  btn.classList.add("active");
-  btn.setAttribute("aria-selected","true");
-
-  els.panelProduction.classList.toggle("hidden", tab !== "production");
-  els.panelExpenditure.classList.toggle("hidden", tab !== "expenditure");
-  els.panelIncome.classList.toggle("hidden", tab !== "income");
+  document.querySelectorAll(".tab").forEach(btn => {
+    const on = btn.dataset.tab === tab;
+    btn.classList.toggle("active", on);
+    btn.setAttribute("aria-selected", on ? "true" : "false");
+  });
+  document.querySelectorAll("[data-tabpanel]").forEach(p => {
+    p.classList.toggle("hidden", p.dataset.tabpanel !== tab);
+  });
 
   renderTabPool();
-  setStatus(`Active ledger: ${tab}.`);
+  saveState();
+  setStatus(t("ui.activeLedger", { ledger: ledgerLayout(tab).label }));
 }
 
-function ledgerCards(){
-  return activeTab === "production" ? scenario.productionCards
-       : activeTab === "expenditure" ? scenario.expenditureCards
-       : scenario.incomeCards;
+function cardsFor(ledger){
+  return scenario[`${ledger}Cards`] || [];
+}
+
+function allCards(){
+  return Object.keys(BIN_IDS).flatMap(cardsFor);
 }
 
 function renderTabPool(){
   els.pool.innerHTML = "";
 
   // Ensure all cards exist in DOM
-  const cards = ledgerCards();
-  const order = shuffle(cards.map(c => c.id)); // SHUFFLED pool order each time
-
-  for (const id of order) {
-    const c = cards.find(x => x.id === id);
-    const el = document.getElementById(`card_${c.id}`) || makeCard(c);
-    els.pool.appendChild(el);
+  for (const c of poolOrder(activeTab)) {
+    for (const token of cardTokens(c)) {
+      els.pool.appendChild(document.getElementById(`card_${token}`) || makeCard(c, token));
+    }
   }
 
   // Apply placements for active ledger
@@ -159,8 +470,28 @@ function renderTabPool(){
   }
 }
 
+function renderPlacedCards(){
+  // Put every ledger's placed cards in their bins and take unplaced ones off the page,
+  // so the totals are right even for tabs that have not been opened yet
+  for (const ledger of Object.keys(BIN_IDS)) {
+    for (const c of cardsFor(ledger)) {
+      for (const token of cardTokens(c)) {
+        const binId = placements[ledger][token];
+        const el = document.getElementById(`card_${token}`);
+        if (binId) {
+          const bin = document.querySelector(`[data-bin="${binId}"]`);
+          if (bin) bin.appendChild(el || makeCard(c, token));
+        } else if (el) {
+          el.remove();
+        }
+      }
+    }
+  }
+}
+
 function resetAllPlacements(){
-  placements = { production:{}, expenditure:{}, income:{} };
+  placements = {};
+  for (const ledger of Object.keys(BIN_IDS)) placements[ledger] = {};
 }
 
 function sumBin(binId){
@@ -171,136 +502,1879 @@ function sumBin(binId){
   return s;
 }
 
-function computeGDPProduction(){
-  const steelVA = sumBin("P_S_OUT") - sumBin("P_S_INT");
-  const autoVA  = sumBin("P_A_OUT") - sumBin("P_A_INT");
-  const portVA  = sumBin("P_P_OUT") - sumBin("P_P_INT");
-  const machVA  = sumBin("P_M_OUT") - sumBin("P_M_INT");
-  return steelVA + autoVA + portVA + machVA;
+function ledgerLayout(ledger){
+  return scenario.layout.ledgers.find(l => l.id === ledger);
 }
 
-function computeGDPExpenditure(){
-  const C = sumBin("E_C");
-  const I = sumBin("E_I");
-  const G = sumBin("E_G");
-  const X = sumBin("E_X");
-  const M = sumBin("E_M");
-  return C + I + G + (X - M);
+function computeGDP(ledger){
+  // Production: sum of (Output - Intermediate); Expenditure: C + I + G + (X - M); Income: factor incomes
+  let gdp = 0;
+  for (const bin of ledgerLayout(ledger).bins) gdp += bin.sign * sumBin(bin.id);
+  return gdp;
 }
 
-function computeGDPIncome(){
-  const W = sumBin("I_W");
-  const P = sumBin("I_P");
-  return W + P;
+function hasGNP(){
+  return scenario.meta.components.gnp !== undefined;
+}
+
+function computeGNP(){
+  // Same income bins as GDP, except factor flows across the border switch sides
+  let gnp = 0;
+  for (const bin of ledgerLayout("income").bins){
+    gnp += (bin.gnpSign === undefined ? bin.sign : bin.gnpSign) * sumBin(bin.id);
+  }
+  return gnp;
 }
 
 function updateTotals(){
-  const gdpP = computeGDPProduction();
-  const gdpE = computeGDPExpenditure();
-  const gdpI = computeGDPIncome();
+  const gdpP = computeGDP("production");
+  const gdpE = computeGDP("expenditure");
+  const gdpI = computeGDP("income");
 
-  els.gdpProd.textContent = money(gdpP);
-  els.gdpExp.textContent  = money(gdpE);
-  els.gdpInc.textContent  = money(gdpI);
+  els.gdpProd.textContent = formatMoney(gdpP);
+  els.gdpExp.textContent  = formatMoney(gdpE);
+  els.gdpInc.textContent  = formatMoney(gdpI);
 
   const gap = Math.max(Math.abs(gdpP-gdpE), Math.abs(gdpP-gdpI), Math.abs(gdpE-gdpI));
-  els.gapVal.textContent = money(gap);
+  els.gapVal.textContent = formatMoney(gap);
+
+  els.gnpMetric.classList.toggle("hidden", !hasGNP());
+  if (hasGNP()) els.gnpInc.textContent = formatMoney(computeGNP());
+
+  els.deflatorMetric.classList.toggle("hidden", !hasRealGDP());
+  els.growthMetric.classList.toggle("hidden", !hasRealGDP());
+  if (hasRealGDP()){
+    const { nominalBase, nominalCurrent, realCurrent } = computeRealGDP();
+    els.deflatorVal.textContent = realCurrent > 0 ? formatNumber(100 * nominalCurrent / realCurrent, 1) : "—";
+    els.growthVal.textContent = nominalBase > 0 ? formatPercent(realCurrent / nominalBase - 1) : "—";
+  }
+  renderFirmTable();
+  renderCircularFlow();
+  renderErrorsInfo();
 }
 
-function clearFeedbackStyles(){
-  document.querySelectorAll(".card").forEach(c => {
-    c.classList.remove("good","bad");
-    const fb = c.querySelector(".feedback");
-    if (fb) fb.textContent = "";
+function hasFirmIncome(){
+  // Needs income cards tagged with their firm, or per-firm income bins
+  return ledgerLayout("income").bins.some(b => b.firm) || cardsFor("income").some(c => c.firm);
+}
+
+function firmRows(){
+  // Output and intermediate come from each firm's production bins. An income card counts for
+  // the firm of the bin it sits in when that bin belongs to a firm, otherwise for its own firm.
+  const production = ledgerLayout("production").bins;
+  const incomeBins = Object.fromEntries(ledgerLayout("income").bins.map(b => [b.id, b]));
+  const binTotal = (firm, role) => production
+    .filter(b => b.firm === firm && b.role === role)
+    .reduce((s, b) => s + sumBin(b.id), 0);
+
+  const rows = producers(scenario.layout).map(f => {
+    const output = binTotal(f.key, "output");
+    const intermediate = binTotal(f.key, "intermediate");
+    return { key: f.key, name: f.name, output, intermediate, va: output - intermediate, wages: 0, profits: 0, other: 0 };
+  });
+  const byKey = Object.fromEntries(rows.map(r => [r.key, r]));
+
+  for (const c of cardsFor("income")){
+    const bin = incomeBins[placements.income[c.id]];
+    if (!bin || !bin.sign) continue;
+    const row = byKey[bin.firm || c.firm];
+    if (!row) continue;
+    const col = bin.role === "wages" || bin.role === "profits" ? bin.role : "other";
+    row[col] += bin.sign * c.amount;
+  }
+  rows.forEach(r => { r.income = r.wages + r.profits + r.other; });
+  return rows;
+}
+
+function renderFirmTable(){
+  // Hidden with the other totals during an exam
+  const show = Boolean(scenario) && hasFirmIncome() && !(isExam() && !isLocked());
+  els.firmCheck.classList.toggle("hidden", !show);
+  els.firmTable.innerHTML = "";
+  if (!show) return;
+
+  const withOther = ledgerLayout("income").bins.some(b => b.sign && !b.role);
+  const cols = [
+    ["output", t("ui.output")], ["intermediate", t("ui.intermediate")], ["va", t("ui.valueAdded")],
+    ["wages", t("ui.wages")], ["profits", t("ui.profits")],
+    ...(withOther ? [["other", t("ui.otherIncome")]] : []),
+    ["income", t("ui.income")]
+  ];
+  const rows = firmRows();
+
+  const head = els.firmTable.createTHead().insertRow();
+  [t("ui.firm"), ...cols.map(c => c[1]), ""].forEach(text => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = text;
+    head.appendChild(th);
   });
+
+  const body = els.firmTable.createTBody();
+  const addRow = (name, r, cls) => {
+    const tr = body.insertRow();
+    if (cls) tr.className = cls;
+    tr.insertCell().textContent = name;
+    cols.forEach(([key]) => {
+      const td = tr.insertCell();
+      td.textContent = formatMoney(r[key]);
+      if (key === "va" || key === "income") td.classList.add("off");
+    });
+    const verdict = tr.insertCell();
+    verdict.className = "verdict";
+    verdict.textContent = r.va === r.income ? "✓" : t("ui.vaMismatch");
+  };
+  rows.forEach(r => addRow(r.name, r, r.va === r.income ? "" : "mismatch"));
+
+  const total = Object.fromEntries(cols.map(([key]) => [key, rows.reduce((s, r) => s + r[key], 0)]));
+  addRow(t("ui.allFirms"), total, total.va === total.income ? "total" : "total mismatch");
+}
+
+// -----------------------------
+// Circular flow
+// -----------------------------
+// Households, firms, government and the rest of the world, joined by the money flows the
+// ledgers measure. Each arrow's width and label are the sum of its bins as placed, redrawn with
+// the totals; once the round has been checked, a pale band under each arrow is the answer key's
+// flow and arrows that differ from it turn red, so a misplaced card shows as a flow that is too
+// thin in one place and too thick in another. Hidden with the totals during an exam.
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Sector boxes and arrow paths in a 580 × 300 drawing; lx/ly is where an arrow's label goes
+const FLOW_SECTORS = {
+  households: { x: 20, y: 120, w: 120, h: 56 },
+  firms: { x: 400, y: 120, w: 110, h: 56 },
+  government: { x: 225, y: 12, w: 110, h: 44 },
+  world: { x: 225, y: 244, w: 110, h: 44 }
+};
+const FLOW_PATHS = {
+  consumption: { d: "M140,134 Q270,78 400,134", lx: 270, ly: 98 },
+  wages: { d: "M400,160 Q270,204 140,160", lx: 270, ly: 178 },
+  profits: { d: "M400,170 Q270,240 140,170", lx: 270, ly: 222 },
+  investment: { d: "M470,120 C470,64 560,70 512,126", lx: 530, ly: 66 },
+  purchases: { d: "M335,40 Q400,44 420,120", lx: 392, ly: 62 },
+  exports: { d: "M335,272 Q470,272 470,176", lx: 440, ly: 262 },
+  imports: { d: "M80,176 Q80,272 225,272", lx: 110, ly: 262 }
+};
+
+function svgEl(tag, attrs = {}, text){
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, String(v)));
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function circularFlows(){
+  // Which bins each arrow adds up: wages and profits may be split by firm
+  const byRole = (role) => ledgerLayout("income").bins.filter(b => b.role === role).map(b => b.id);
+  return [
+    { id: "consumption", from: "households", to: "firms", bins: ["E_C"] },
+    { id: "wages", from: "firms", to: "households", bins: byRole("wages") },
+    { id: "profits", from: "firms", to: "households", bins: byRole("profits") },
+    { id: "investment", from: "firms", to: "firms", bins: ["E_I"] },
+    { id: "purchases", from: "government", to: "firms", bins: ["E_G"] },
+    { id: "exports", from: "world", to: "firms", bins: ["E_X"] },
+    { id: "imports", from: "households", to: "world", bins: ["E_M"] }
+  ];
+}
+
+function renderCircularFlow(){
+  const show = Boolean(scenario) && !(isExam() && !isLocked());
+  els.flowPanel.classList.toggle("hidden", !show);
+  els.flowDiagram.innerHTML = "";
+  if (!show) return;
+
+  // The answer key's flows would point at a planted error, so they wait until all are fixed;
+  // they show the board as it was checked, and go with the next move until the next Check
+  const checkedNow = roundState.keyAt === roundState.moves.length || isLocked();
+  const withKey = roundState.checked && checkedNow && !errorsLeft();
+  const flows = circularFlows().map(f => ({
+    ...f,
+    value: f.bins.reduce((s, b) => s + sumBin(b), 0),
+    key: withKey ? f.bins.reduce((s, b) => s + expectedBin(b), 0) : null
+  }));
+  const biggest = Math.max(1, ...flows.map(f => Math.max(Math.abs(f.value), Math.abs(f.key || 0))));
+  const width = (v) => 1.5 + 8 * Math.abs(v) / biggest;
+
+  const svg = svgEl("svg", { viewBox: "0 0 580 300", class: "flow-svg", role: "img", "aria-label": t("ui.flowAria") });
+  const defs = svgEl("defs");
+  [["flowHead", "head"], ["flowHeadOff", "head off"]].forEach(([id, cls]) => {
+    const marker = svgEl("marker", { id, viewBox: "0 0 10 10", refX: 7, refY: 5, markerWidth: 12, markerHeight: 12, markerUnits: "userSpaceOnUse", orient: "auto" });
+    marker.appendChild(svgEl("path", { d: "M0,0 L10,5 L0,10 z", class: cls }));
+    defs.appendChild(marker);
+  });
+  svg.appendChild(defs);
+
+  flows.forEach(f => {
+    const path = FLOW_PATHS[f.id];
+    const off = withKey && f.value !== f.key;
+    if (withKey) svg.appendChild(svgEl("path", { d: path.d, class: "flow-key", "stroke-width": width(f.key) + 6 }));
+    const line = svgEl("path", {
+      d: path.d,
+      class: `flow-line${off ? " off" : ""}${f.value ? "" : " empty"}`,
+      "stroke-width": width(f.value),
+      "marker-end": `url(#${off ? "flowHeadOff" : "flowHead"})`
+    });
+    const about = { flow: t(`flow.${f.id}`), from: t(`flow.${f.from}`), to: t(`flow.${f.to}`), v: f.value };
+    line.appendChild(svgEl("title", {}, withKey ? t("ui.flowTitleKey", { ...about, key: f.key }) : t("ui.flowTitle", about)));
+    svg.appendChild(line);
+    const label = svgEl("text", { x: path.lx, y: path.ly, class: `flow-label${off ? " off" : ""}` });
+    label.appendChild(svgEl("tspan", { x: path.lx, dy: 0 }, `${t(`flow.${f.id}`)} ${formatMoney(f.value)}`));
+    if (off) label.appendChild(svgEl("tspan", { x: path.lx, dy: 12, class: "key" }, t("ui.flowKey", { key: f.key })));
+    svg.appendChild(label);
+  });
+
+  Object.entries(FLOW_SECTORS).forEach(([id, s]) => {
+    svg.appendChild(svgEl("rect", { x: s.x, y: s.y, width: s.w, height: s.h, rx: 10, class: "sector" }));
+    svg.appendChild(svgEl("text", { x: s.x + s.w / 2, y: s.y + s.h / 2 + 4, class: "sector-label" }, t(`flow.${id}`)));
+  });
+  els.flowDiagram.appendChild(svg);
+}
+
+function hasRealGDP(){
+  return Boolean(scenario.meta.real);
+}
+
+function computeRealGDP(){
+  // Base-year real GDP is base-year nominal GDP, so growth compares R_REAL1 with R_NOM0
+  return {
+    nominalBase: sumBin("R_NOM0"),
+    nominalCurrent: sumBin("R_NOM1"),
+    realCurrent: sumBin("R_REAL1")
+  };
+}
+
+function clearCardMark(el){
+  el.classList.remove("good","bad");
+  const fb = el.querySelector(".feedback");
+  if (fb) fb.textContent = "";
+}
+
+function clearFeedbackStyles(){
+  document.querySelectorAll(".card").forEach(clearCardMark);
   els.inventoryFeedback.textContent = "";
+  els.gnpFeedback.textContent = "";
+  els.realFeedback.textContent = "";
+  els.mistakeSummary.innerHTML = "";
 }
 
-function checkAnswers(){
+function renderMistakeSummary(mistakes, placed){
+  // mistakes: [{ card, bin }] for every misplaced card, grouped here by the concept it tests
+  els.mistakeSummary.innerHTML = "";
+  if (!placed) return;
+
+  const head = document.createElement("h3");
+  els.mistakeSummary.appendChild(head);
+  if (!mistakes.length){
+    head.textContent = t("ui.noMistakes");
+    return;
+  }
+  head.textContent = t("ui.mistakesByConcept", { count: mistakes.length });
+
+  const groups = new Map();
+  for (const m of mistakes){
+    const concept = conceptOf(m.card);
+    if (!groups.has(concept)) groups.set(concept, []);
+    groups.get(concept).push(m);
+  }
+
+  const list = document.createElement("ul");
+  for (const [concept, items] of [...groups].sort((a, b) => b[1].length - a[1].length)){
+    const li = document.createElement("li");
+    const label = document.createElement("strong");
+    label.textContent = `${conceptLabel(concept)} × ${items.length}`;
+    const chosen = [...new Set(items.map(m => zoneLabel(m.bin)))].join(", ");
+    li.append(label, t("ui.placedIn", { bins: chosen, explanation: t(`concept.${concept}.explanation`) }));
+    list.appendChild(li);
+  }
+  els.mistakeSummary.appendChild(list);
+}
+
+function checkGNP(){
+  // GNP = GDP + factor income from abroad - factor income paid to foreigners
+  const { factorReceipts, factorPayments, gnp } = scenario.meta.components;
+  const received = sumBin("I_NFR");
+  const paid = sumBin("I_NFP");
+  const ok = received === factorReceipts && paid === factorPayments && computeGNP() === gnp;
+
+  els.gnpFeedback.textContent = ok
+    ? t("ui.gnpOk", { gnp, gdp: scenario.meta.gdpTarget, receipts: factorReceipts, payments: factorPayments })
+    : t("ui.gnpOff");
+  return ok;
+}
+
+function checkRealGDP(){
+  // Every year must reconcile: each measure equals its value at correct placement
+  const key = scenario.meta.real;
+  const now = computeRealGDP();
+  const ok = now.nominalBase === key.nominalBase
+    && now.nominalCurrent === key.nominalCurrent
+    && now.realCurrent === key.realCurrent;
+
+  els.realFeedback.textContent = ok
+    ? t("ui.realOk", {
+      base: key.nominalBase, current: key.nominalCurrent, real: key.realCurrent,
+      deflator: formatNumber(key.deflator, 1), growth: key.realGrowth
+    })
+    : t("ui.realOff");
+  return ok;
+}
+
+function markAnswers(){
+  // Marks every placed card and runs the ledger checks; returns the counts for the status line
   clearFeedbackStyles();
+  roundState.checked = true; // before updateTotals(), so the circular flow shows the answer key
+  const hidden = errorsLeft(); // a find-the-errors round names no card until all are right
 
-  const allCards = [...scenario.productionCards, ...scenario.expenditureCards, ...scenario.incomeCards];
   let correct = 0;
   let placed = 0;
+  const mistakes = [];
 
-  for (const c of allCards){
-    const el = document.getElementById(`card_${c.id}`);
-    if (!el) continue;
-
-    const tab = c.ledger;
-    const bin = placements[tab][c.id];
-    if (!bin) continue;
-
+  for (const c of allCards()){
+    const r = cardResult(c);
+    let wrong = null;
+    r.tokens.forEach((token, i) => {
+      const el = document.getElementById(`card_${token}`);
+      const bin = r.chosen[i];
+      if (!el || !bin || hidden) return;
+      if (r.good[i]){
+        el.classList.add("good");
+        el.querySelector(".feedback").textContent = "✓";
+      } else {
+        // Name the bin the student chose, then say why the card belongs elsewhere
+        el.classList.add("bad");
+        el.querySelector(".feedback").textContent = t("ui.notBin", { bin: zoneLabel(bin), explanation: explainCard(c) });
+        wrong = wrong || bin;
+      }
+    });
+    // A split card counts once, and only when every copy is placed
+    if (!r.placed) continue;
     placed++;
-    if (bin === c.correctBin){
-      correct++;
-      el.classList.add("good");
-      el.querySelector(".feedback").textContent = "✓";
-    } else {
-      el.classList.add("bad");
-      el.querySelector(".feedback").textContent = "✗";
-    }
+    if (r.correct) correct++;
+    else mistakes.push({ card: c, bin: wrong });
   }
+  renderMistakeSummary(mistakes, hidden ? 0 : placed);
 
   // Inventory check: any card flagged inventoryInvestment must be in E_I
   const invIds = scenario.meta.inventoryCardIds || [];
-  if (invIds.length){
+  if (invIds.length && !hidden){
     const ok = invIds.every(id => placements.expenditure[id] === "E_I");
     els.inventoryFeedback.textContent = ok
-      ? "Inventory check: ✓ Inventory investment is correctly placed inside Investment (I)."
-      : "Inventory check: ✗ At least one inventory-change item is not in Investment (I).";
+      ? t("ui.inventoryOk")
+      : t("ui.inventoryOff");
+  }
+
+  const gnpOk = hasGNP() ? checkGNP() : true;
+  const realOk = hasRealGDP() ? checkRealGDP() : true;
+  if ((isExam() && !isLocked()) || hidden){
+    // These name the target totals, which an exam keeps hidden until Submit, and would point
+    // a find-the-errors round at the part of the ledger its errors are in
+    els.gnpFeedback.textContent = "";
+    els.realFeedback.textContent = "";
   }
 
   updateTotals();
 
-  const gap = Math.max(
-    Math.abs(computeGDPProduction() - computeGDPExpenditure()),
-    Math.abs(computeGDPProduction() - computeGDPIncome()),
-    Math.abs(computeGDPExpenditure() - computeGDPIncome())
-  );
+  const gdpP = computeGDP("production");
+  const gdpE = computeGDP("expenditure");
+  const gdpI = computeGDP("income");
+  const gap = Math.max(Math.abs(gdpP - gdpE), Math.abs(gdpP - gdpI), Math.abs(gdpE - gdpI));
 
-  if (placed === 0) setStatus("Place items in bins, then click Check.");
-  else if (gap < 1e-6) setStatus(`Perfect. GDP totals reconcile exactly (gap = ${money(gap)}).`);
-  else setStatus(`Checked: ${correct}/${placed} correct. Gap: ${money(gap)}.`);
+  roundState.solved = placed > 0 && gap < 1e-6 && gnpOk && realOk && !hidden;
+  renderErrorsInfo();
+  saveState();
+  return { correct, placed, gap, gnpOk, realOk };
 }
 
-function newScenario(){
-  scenario = generateScenario();
-  resetAllPlacements();
-  clearBins();
+function checkAnswers(){
+  const exam = roundState.exam;
+  if (exam){
+    if (exam.submitted || exam.checksUsed >= exam.checksAllowed) return;
+    exam.checksUsed++;
+  }
+
+  roundState.keyAt = roundState.moves.length;
+  const { correct, placed, gap, gnpOk, realOk } = markAnswers();
+  if (placed > 0 || exam) recordCheck(gap);
 
-  // Create all card DOM nodes once
-  for (const c of [...scenario.productionCards, ...scenario.expenditureCards, ...scenario.incomeCards]) {
-    if (!document.getElementById(`card_${c.id}`)) makeCard(c);
+  if (exam){
+    applyExamUi();
+    saveState();
+    const left = exam.checksAllowed - exam.checksUsed;
+    setStatus(t("ui.examChecked", { correct, placed, left: left ? t("ui.checksLeft", { count: left }) : t("ui.noChecksLeft") }));
+    return;
   }
 
-  renderTabPool();
+  if (placed === 0) setStatus(t("ui.placeFirst"));
+  else if (roundState.solved){
+    const finish = roundState.finished ? null : recordFinish(gap);
+    const score = finish ? t("ui.scoreSuffix", { score: finish.score }) : "";
+    const year = recordCampaignYear();
+    setStatus(t(hasGNP() ? "ui.perfectGnp" : "ui.perfect", { gap, score }) + (year ? ` ${t("ui.yearCharted", { year })}` : ""));
+  }
+  else if (isFindErrors()) setStatus(t("ui.errorsLeft", { count: allCards().length - correct, gap }));
+  else setStatus(t("ui.checked", { correct, placed, gap }));
+}
+
+function roundCodeFromUrl(){
+  return new URLSearchParams(window.location.search).get("round");
+}
+
+function writeRoundCodeToUrl(code){
+  // Imported rounds have no round code to share; a reload resumes them from storage instead
+  const url = new URL(window.location.href);
+  if (code) url.searchParams.set("round", code);
+  else url.searchParams.delete("round");
+  window.history.replaceState(null, "", url);
+}
+
+function buildDifficultySelect(){
+  els.difficultySelect.innerHTML = "";
+  for (const id of Object.keys(DIFFICULTY_LEVELS)){
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = t(`difficulty.${id}`);
+    els.difficultySelect.appendChild(opt);
+  }
+  els.difficultySelect.value = "standard";
+}
+
+function roundOptionsFromUi(){
+  return {
+    difficulty: els.difficultySelect.value,
+    income: els.optFullIncome.checked ? "full" : "simple",
+    gnp: els.optGnp.checked,
+    real: els.optReal.checked,
+    supplyChain: els.optSupplyChain.checked,
+    firmIncome: els.optFirmIncome.checked,
+    splitImports: els.optSplitImports.checked,
+    publicSector: els.optPublicSector.checked,
+    findErrors: els.optFindErrors.checked,
+    // A new campaign starts at year 1; Next year moves it on
+    ...(els.optCampaign.checked ? { year: 1 } : {})
+  };
+}
+
+function syncRoundOptionsUi(options){
+  els.difficultySelect.value = DIFFICULTY_LEVELS[options.difficulty] ? options.difficulty : "standard";
+  els.optFullIncome.checked = options.income === "full";
+  els.optGnp.checked = options.gnp === true;
+  els.optReal.checked = options.real === true;
+  els.optSupplyChain.checked = options.supplyChain === true;
+  els.optFirmIncome.checked = options.firmIncome === true;
+  els.optSplitImports.checked = options.splitImports === true;
+  els.optPublicSector.checked = options.publicSector === true;
+  els.optCampaign.checked = Boolean(campaignYear(options));
+  els.optFindErrors.checked = options.findErrors === true;
+}
+
+function requestNewRound(){
+  // A typed round code reopens that round (options included); an empty box starts a fresh random one
+  const typed = els.roundCodeInput.value.trim();
+  if (!typed) { newScenario(randomSeed(), roundOptionsFromUi()); return; }
+
+  const parsed = parseRoundCode(typed);
+  if (!parsed){
+    setStatus(t("ui.badCode", { code: typed }));
+    return;
+  }
+  els.roundCodeInput.value = "";
+  newScenario(parsed.seed, parsed.options);
+}
+
+function firmsFromUrl(){
+  // ?firms=6 for a firm count, or ?firms=FarmCo,MillCo,BakeCo for custom sector names
+  const raw = new URLSearchParams(window.location.search).get("firms");
+  if (!raw) return undefined;
+  return /^\d+$/.test(raw) ? Number(raw) : raw.split(",");
+}
+
+function newScenario(seed, options = {}){
+  const firms = firmsFromUrl();
+  loadRound(generateScenario(seed, { ...options, firms }), { options, firms, exam: examFromUrl() });
+  reportRound("attempted");
+  const level = t(`difficulty.${scenario.meta.difficulty}`);
+  const campaign = scenario.meta.campaign;
+  setStatus(campaign
+    ? t("ui.yearLoaded", { level, code: scenario.meta.roundCode, year: campaign.year, stock: campaign.stockStart })
+    : t("ui.roundLoaded", { level, code: scenario.meta.roundCode }));
+}
+
+function loadRound(sc, saved = {}){
+  // saved: { options, firms, placements, activeTab, checked, exam } from a snapshot, or just options
+  scenario = localizeScenario(sc);
+  syncRoundOptionsUi(saved.options || {});
+  els.roundCode.textContent = scenario.meta.roundCode;
+  writeRoundCodeToUrl(scenario.meta.imported ? null : scenario.meta.roundCode);
+  els.pool.innerHTML = "";
+  buildLedgers(scenario.layout);
+  // A replay of the round being left ends here, before its saved board could come back
+  if (replay) stopReplay(false);
+  resetAllPlacements();
+  // A saved round comes back as it was left, a new one on its starting board
+  const board = saved.placements || startingPlacements();
+  for (const ledger of Object.keys(placements)) Object.assign(placements[ledger], board[ledger]);
+  roundState = {
+    firms: saved.firms,
+    options: saved.options || {},
+    checked: Boolean(saved.checked),
+    solved: Boolean(saved.solved),
+    exam: saved.exam || null,
+    hints: saved.hints || [],
+    attempts: saved.attempts || 0,
+    finished: Boolean(saved.finished),
+    startedAt: saved.startedAt || Date.now(),
+    moves: saved.moves || [],
+    keyAt: saved.keyAt === undefined ? -1 : saved.keyAt
+  };
+
+  renderPlacedCards();
+  setActiveTab(saved.activeTab || activeTab);
   clearFeedbackStyles();
   updateTotals();
-  setStatus("New round loaded. Make all three GDP totals match.");
+  applyExamUi();
+  renderHints();
+  renderCampaign();
+  if (roundState.checked) markAnswers();
+  if (isLocked()) renderScoreReport();
+  saveState();
 }
 
 function resetRound(){
-  resetAllPlacements();
+  // Back to the starting board: every card in the pool, or as planted in a find-the-errors round
+  if (isLocked() || replay) return;
+  const start = startingPlacements();
+  logMove("reset", Object.keys(placements).flatMap(ledger =>
+    [...new Set([...Object.keys(placements[ledger]), ...Object.keys(start[ledger])])]
+      .filter(card => placements[ledger][card] !== start[ledger][card])
+      .map(card => ({ card, ledger, from: placements[ledger][card] || "POOL", to: start[ledger][card] || "POOL" }))));
+  placements = start;
+  renderPlacedCards();
   renderTabPool();
   clearFeedbackStyles();
+  roundState.checked = false;
+  roundState.solved = false;
   updateTotals();
-  setStatus("Reset placements (this round).");
+  saveState();
+  setStatus(t(resetKey("ui.reset")));
+}
+
+// -----------------------------
+// Undo, redo and the move log
+// -----------------------------
+// Every placement change is logged in roundState.moves as { kind, at, changes }: kind is "place",
+// "reset", "undo" or "redo", at is milliseconds since the round started, and each change is
+// { card, ledger, from, to } with card a token id (see cardTokens()) and "POOL" for the pool.
+// Undo and Redo are logged as moves of their own, so applying every entry's changes in order
+// replays the round exactly as it was played; what Undo and Redo would do next is read back
+// from the log. The log is saved with the round and goes into its "finish" history entry.
+let replay = null; // { step, saved } while stepping through the log; saved is the real board
+
+function logMove(kind, changes){
+  if (!changes.length) return;
+  roundState.moves.push({ kind, at: Date.now() - roundState.startedAt, changes });
+  renderUndoButtons();
+}
+
+function undoStacks(){
+  // Log indices of the moves Undo would take back and Redo would repeat, next one last
+  const undo = [], redo = [];
+  roundState.moves.forEach((m, i) => {
+    if (m.kind === "undo") redo.push(undo.pop());
+    else if (m.kind === "redo") undo.push(redo.pop());
+    else { undo.push(i); redo.length = 0; }
+  });
+  return { undo, redo };
+}
+
+function applyChanges(changes){
+  for (const c of changes){
+    if (c.to === "POOL") delete placements[c.ledger][c.card];
+    else placements[c.ledger][c.card] = c.to;
+  }
+}
+
+function undoMove(redo = false){
+  if (isLocked() || replay) return;
+  const stacks = undoStacks();
+  const i = (redo ? stacks.redo : stacks.undo).pop();
+  if (i === undefined){
+    setStatus(t(redo ? "ui.nothingToRedo" : "ui.nothingToUndo"));
+    return;
+  }
+  const move = roundState.moves[i];
+  const changes = redo ? move.changes : move.changes.map(c => ({ ...c, from: c.to, to: c.from })).reverse();
+  clearSelection();
+  applyChanges(changes);
+  logMove(redo ? "redo" : "undo", changes);
+
+  // Show the ledger the move happened in
+  if (changes[0].ledger !== activeTab) setActiveTab(changes[0].ledger);
+  renderPlacedCards();
+  renderTabPool();
+  changes.forEach(c => {
+    const el = document.getElementById(`card_${c.card}`);
+    if (el) clearCardMark(el);
+  });
+  updateTotals();
+  saveState();
+
+  const first = changes[0];
+  const msg = move.kind === "reset"
+    ? t(redo ? resetKey("ui.redoneReset") : "ui.undoneReset", { count: changes.length })
+    : t(redo ? "ui.redone" : "ui.undone", { card: cardLabel(first.card), zone: zoneLabel(first.to) });
+  setStatus(msg);
+  announce(msg);
+}
+
+function renderUndoButtons(){
+  const stacks = undoStacks();
+  const frozen = isLocked() || Boolean(replay);
+  els.undoBtn.disabled = frozen || !stacks.undo.length;
+  els.redoBtn.disabled = frozen || !stacks.redo.length;
+  els.replayBtn.disabled = Boolean(replay) || !roundState.moves.length;
+}
+
+function onUndoKey(e){
+  // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on a Mac); text fields keep their own undo
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.closest && e.target.closest("input, textarea, select")) return;
+  const key = e.key.toLowerCase();
+  if (key !== "z" && key !== "y") return;
+  e.preventDefault();
+  undoMove(key === "y" || e.shiftKey);
+}
+
+function replayText(step){
+  const total = roundState.moves.length;
+  if (!step) return t("ui.replayStart", { count: total });
+  const move = roundState.moves[step - 1];
+  const first = move.changes[0];
+  const params = { n: step, total, time: clock(move.at), card: cardLabel(first.card), zone: zoneLabel(first.to), count: move.changes.length };
+  const kind = move.kind[0].toUpperCase() + move.kind.slice(1);
+  if (move.kind === "reset") return t(resetKey("ui.replayReset"), params);
+  if (move.changes.length === 1) return t(`ui.replay${kind}`, params);
+  return t(move.kind === "redo" ? resetKey("ui.replayRedoReset") : "ui.replayUndoReset", params);
+}
+
+function showReplayStep(step){
+  // Rebuild the starting board with the first `step` moves, and mark the cards the last one moved
+  replay.step = Math.max(0, Math.min(step, roundState.moves.length));
+  placements = startingPlacements();
+  roundState.moves.slice(0, replay.step).forEach(m => applyChanges(m.changes));
+  const move = roundState.moves[replay.step - 1];
+  if (move && move.changes[0].ledger !== activeTab) setActiveTab(move.changes[0].ledger);
+  renderPlacedCards();
+  renderTabPool();
+  clearFeedbackStyles();
+  updateTotals();
+  document.querySelectorAll(".card.replayed").forEach(el => el.classList.remove("replayed"));
+  (move ? move.changes : []).forEach(c => {
+    const el = document.getElementById(`card_${c.card}`);
+    if (el) el.classList.add("replayed");
+  });
+
+  els.replayText.textContent = replayText(replay.step);
+  els.replayPrev.disabled = replay.step === 0;
+  els.replayNext.disabled = replay.step === roundState.moves.length;
+  announce(els.replayText.textContent);
+}
+
+function startReplay(){
+  if (replay) return;
+  if (!roundState.moves.length){
+    setStatus(t("ui.noMoves"));
+    return;
+  }
+  clearSelection();
+  replay = { step: 0, saved: JSON.parse(JSON.stringify(placements)) };
+  document.body.classList.add("replaying");
+  els.replayBar.classList.remove("hidden");
+  // Nothing that changes the board or the round until the replay is left
+  [els.resetBtn, els.checkBtn, els.hintBtn, els.submitBtn, els.newScenarioBtn, els.nextYearBtn, els.roundCodeInput,
+    els.pastRounds, els.importInput].forEach(b => { b.disabled = true; });
+  renderUndoButtons();
+  showReplayStep(0);
+  setStatus(t("ui.replayStarted"));
+}
+
+function stopReplay(redraw = true){
+  // redraw: false when a new round is being loaded over the replay anyway
+  placements = replay.saved;
+  replay = null;
+  document.body.classList.remove("replaying");
+  els.replayBar.classList.add("hidden");
+  document.querySelectorAll(".card.replayed").forEach(el => el.classList.remove("replayed"));
+  if (!redraw) return;
+  renderPlacedCards();
+  renderTabPool();
+  applyExamUi();
+  renderHints();
+  renderCampaign();
+  updateTotals();
+  if (roundState.checked) markAnswers();
+  setStatus(t("ui.replayEnded"));
+}
+
+// -----------------------------
+// Find-the-errors rounds
+// -----------------------------
+// A find-the-errors round (round option findErrors, flag X) opens with every card placed: in its
+// correct bins, except the few in scenario.meta.findErrors.planted, which start where a common
+// mistake puts them, and Reset goes back to that board. Check says how many cards are still
+// wrong but not which until none are, and the round scores precision: the errors fixed, less
+// any right card moved to a wrong bin, scaled down by placements beyond the fewest needed.
+function isFindErrors(){
+  return Boolean(scenario && scenario.meta.findErrors);
+}
+
+function errorsLeft(){
+  return isFindErrors() && allCards().some(c => !cardResult(c).correct);
+}
+
+function resetKey(key){
+  // Reset messages say "back to the pool"; a find-the-errors round resets to its planted board
+  return isFindErrors() ? `${key}Start` : key;
+}
+
+function startingPlacements(){
+  // The board a round opens on, and Reset and Replay go back to (same shape as placements)
+  const start = {};
+  for (const ledger of Object.keys(BIN_IDS)) start[ledger] = {};
+  if (!isFindErrors()) return start;
+  const planted = new Map(scenario.meta.findErrors.planted.map(p => [p.card, p.bins]));
+  for (const c of allCards()){
+    const bins = planted.get(c.id) || cardBins(c);
+    cardTokens(c).forEach((token, i) => { start[c.ledger][token] = bins[i]; });
+  }
+  return start;
+}
+
+function errorStats(){
+  // Errors fixed, right cards now wrong, moves so far, and the fewest that fix every error:
+  // one per copy that starts in a bin its card's answer does not use up. Undo and Redo count
+  // as moves, so trying a card in bin after bin costs the same whichever way it is done.
+  const planted = scenario.meta.findErrors.planted;
+  const plantedIds = new Set(planted.map(p => p.card));
+  let fixed = 0, broken = 0;
+  for (const c of allCards()){
+    const correct = cardResult(c).correct;
+    if (plantedIds.has(c.id)) fixed += correct ? 1 : 0;
+    else if (!correct) broken++;
+  }
+  const fewest = planted.reduce((n, p) => {
+    const open = cardBins(tokenCard(p.card)).slice();
+    return n + p.bins.filter(bin => {
+      const i = open.indexOf(bin);
+      if (i >= 0) open.splice(i, 1);
+      return i < 0;
+    }).length;
+  }, 0);
+  const moves = roundState.moves.filter(m => m.kind !== "reset").length;
+  const precision = planted.length
+    ? Math.max(0, fixed - broken) / planted.length * Math.min(1, fewest / Math.max(1, moves))
+    : 0;
+  return { planted: planted.length, fixed, broken, moves, fewest, precision: Math.round(1000 * precision) / 1000 };
+}
+
+function scoredAccuracy(correct, total){
+  // What scoreRound() is given: the share of cards right, or a find-the-errors round's precision
+  return isFindErrors() ? errorStats().precision : (total ? correct / total : 0);
+}
+
+function renderErrorsInfo(){
+  // The task and the move count while errors are left; once the round is over, what was planted
+  els.errorsInfo.innerHTML = "";
+  els.errorsInfo.classList.toggle("hidden", !isFindErrors());
+  if (!isFindErrors()) return;
+
+  const s = errorStats();
+  const over = roundState.solved || isLocked();
+  const head = document.createElement("p");
+  head.textContent = over
+    ? t("ui.errorsPlanted", { count: s.planted, fixed: s.fixed, moves: s.moves, fewest: s.fewest })
+    : `${t("ui.errorsTask", { count: s.planted })} ${t("ui.errorsMoves", { moves: s.moves, fewest: s.fewest })}`;
+  els.errorsInfo.appendChild(head);
+  if (!over) return;
+
+  const list = document.createElement("ul");
+  scenario.meta.findErrors.planted.forEach(p => {
+    const li = document.createElement("li");
+    const fixed = cardResult(tokenCard(p.card)).correct;
+    li.textContent = t("ui.plantedError", {
+      card: cardLabel(p.card),
+      mistake: t(`mistake.${p.mistake}`),
+      state: t(fixed ? "ui.plantedFixed" : "ui.plantedMissed")
+    });
+    list.appendChild(li);
+  });
+  els.errorsInfo.appendChild(list);
+}
+
+// -----------------------------
+// Hints
+// -----------------------------
+// A hint compares the bins with the answer key from coarse to fine: which ledger is off, then
+// (in production) which firm's value added, then which bin and in which direction. Hints
+// never name a card. Each round allows HINTS_PER_ROUND, and every hint used is recorded in
+// roundState.hints so it can count against the round.
+const HINTS_PER_ROUND = 3;
+
+function expectedBin(binId){
+  return allCards().filter(c => cardBins(c).includes(binId)).reduce((s, c) => s + c.amount, 0);
+}
+
+function direction(actual, expected){
+  return actual > expected ? "High" : "Low";
+}
+
+function hintFindings(){
+  // Every disagreement with the answer key as { key, msg, params }, each ledger drilled down in turn.
+  // Params are ids rather than labels, so a stored hint follows a language change.
+  const findings = [];
+  for (const ledger of scenario.layout.ledgers){
+    const offBins = ledger.bins.filter(b => sumBin(b.id) !== expectedBin(b.id));
+    if (!offBins.length) continue;
+
+    if (ledger.bins.some(b => b.sign)){
+      const gdp = computeGDP(ledger.id);
+      const target = ledger.bins.reduce((s, b) => s + b.sign * expectedBin(b.id), 0);
+      const msg = `hint.ledger${gdp === target ? "Split" : direction(gdp, target)}`;
+      findings.push({ key: ledger.id, msg, params: { ledger: ledger.id } });
+    } else {
+      findings.push({ key: ledger.id, msg: "hint.ledgerBins", params: { ledger: ledger.id } });
+    }
+
+    for (const firmKey of new Set(offBins.filter(b => b.firm).map(b => b.firm))){
+      const bins = ledger.bins.filter(b => b.firm === firmKey);
+      const va = bins.reduce((s, b) => s + b.sign * sumBin(b.id), 0);
+      const target = bins.reduce((s, b) => s + b.sign * expectedBin(b.id), 0);
+      const what = ledger.id === "production" ? "hint.firmVa" : "hint.firmLedger";
+      const msg = what + (va === target ? "Split" : direction(va, target));
+      findings.push({ key: `${ledger.id}:${firmKey}`, msg, params: { ledger: ledger.id, firm: firmKey } });
+    }
+
+    for (const bin of offBins){
+      const msg = `hint.bin${direction(sumBin(bin.id), expectedBin(bin.id))}`;
+      findings.push({ key: `${ledger.id}:${bin.id}`, msg, params: { bin: bin.id } });
+    }
+  }
+  return findings;
+}
+
+function hintText(hint){
+  // Hints saved before the message catalog kept their English text
+  if (!hint.msg) return hint.text;
+  const { ledger, firm, bin } = hint.params;
+  const layout = ledger && ledgerLayout(ledger);
+  const firmInfo = firm && producers(scenario.layout).find(x => x.key === firm);
+  return t(hint.msg, {
+    ledger: layout ? layout.label.toLowerCase() : ledger,
+    name: layout ? layout.label : ledger,
+    firm: firmInfo ? firmInfo.name : firm,
+    bin: bin && zoneLabel(bin)
+  });
+}
+
+function useHint(){
+  if (isExam()) return;
+  const used = roundState.hints;
+  if (used.length >= HINTS_PER_ROUND){
+    setStatus(t("ui.noHintsLeft"));
+    return;
+  }
+
+  // Hints cost something, so don't spend one when it cannot say anything new
+  const unplaced = allCards().filter(c => !cardResult(c).placed).length;
+  if (unplaced){
+    setStatus(t("ui.placeAllFirst", { count: unplaced }));
+    return;
+  }
+  const findings = hintFindings();
+  if (!findings.length){
+    setStatus(t("ui.nothingToFix"));
+    return;
+  }
+  const seen = new Set(used.map(h => h.key));
+  const next = findings.find(f => !seen.has(f.key));
+  if (!next){
+    setStatus(t("ui.earlierHints"));
+    return;
+  }
+
+  used.push({ key: next.key, msg: next.msg, params: next.params, at: Date.now() });
+  renderHints();
+  saveState();
+  setStatus(t("ui.hintStatus", { text: hintText(next) }));
+}
+
+function renderHints(){
+  const used = roundState.hints;
+  const left = HINTS_PER_ROUND - used.length;
+  els.hintBtn.textContent = t("ui.hintButton", { count: left });
+  els.hintBtn.disabled = left <= 0;
+
+  els.hintFeedback.innerHTML = "";
+  if (!used.length) return;
+  const head = document.createElement("h3");
+  head.textContent = t("ui.hintsUsed", { used: used.length, max: HINTS_PER_ROUND });
+  const list = document.createElement("ol");
+  used.forEach(h => {
+    const li = document.createElement("li");
+    li.textContent = hintText(h);
+    list.appendChild(li);
+  });
+  els.hintFeedback.append(head, list);
+}
+
+// -----------------------------
+// Attempt history and scoring
+// -----------------------------
+// Every Check is logged as a "check" entry and every finished round (solved in practice, or
+// submitted in an exam) as a "finish" entry, with the misplaced cards and per-card-type
+// counts. The log lives in localStorage apart from the round snapshots, so it outlasts them,
+// and exports as JSON or as CSV with one row per event and per mistake.
+const HISTORY_KEY = "gdpLab.history.v1";
+const STUDENT_KEY = "gdpLab.student";
+const MAX_HISTORY = 500;
+const HINT_PENALTY = 5;    // points per hint used
+const RETRY_PENALTY = 2;   // points per Check after the first
+
+function scoreRound(accuracy, hints, attempts){
+  // 0–100: accuracy over every card in the round, less the cost of hints and extra Checks
+  const raw = 100 * accuracy - HINT_PENALTY * hints - RETRY_PENALTY * Math.max(0, attempts - 1);
+  return Math.max(0, Math.min(100, Math.round(raw)));
+}
+
+function cardType(card){
+  // A concept, with inventory split by direction: the decreases are the classic trap
+  const concept = conceptOf(card);
+  if (concept !== "inventory") return concept;
+  return card.amount < 0 ? "inventoryDecrease" : "inventoryIncrease";
+}
+
+function cardTypeLabel(type){
+  if (type === "inventoryDecrease") return t("ui.inventoryDecrease");
+  if (type === "inventoryIncrease") return t("ui.inventoryIncrease");
+  return CARD_CONCEPTS.includes(type) ? conceptLabel(type) : type;
+}
+
+function loadHistory(){
+  try {
+    const list = JSON.parse(window.localStorage.getItem(HISTORY_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveHistory(list){
+  try {
+    window.localStorage.setItem(HISTORY_KEY, JSON.stringify(list.slice(-MAX_HISTORY)));
+  } catch (e) {
+    // Storage full or disabled: the entry is lost, the round carries on
+  }
+  renderHistory(list);
+}
+
+function placementSummary(){
+  // What every card looks like right now: counts per ledger and card type, and the misplaced cards
+  const types = {};
+  const ledgers = {};
+  const mistakes = [];
+  let correct = 0, placed = 0, total = 0;
+  for (const c of allCards()){
+    total++;
+    const l = ledgers[c.ledger] || (ledgers[c.ledger] = { placed: 0, correct: 0, total: 0 });
+    l.total++;
+    const r = cardResult(c);
+    if (!r.placed) continue;
+    placed++;
+    l.placed++;
+    const type = cardType(c);
+    const tally = types[type] || (types[type] = { placed: 0, wrong: 0 });
+    tally.placed++;
+    if (r.correct){
+      correct++;
+      l.correct++;
+    } else {
+      tally.wrong++;
+      // Split cards list their bins joined, e.g. "E_C + E_M"
+      mistakes.push({ card: c.id, type, chosen: r.chosen.join(" + "), correct: cardBins(c).join(" + "), amount: c.amount });
+    }
+  }
+  return { correct, placed, total, ledgers, types, mistakes };
+}
+
+function historyEntry(event, gap){
+  const s = placementSummary();
+  const accuracy = s.total ? s.correct / s.total : 0;
+  return {
+    event,
+    at: new Date().toISOString(),
+    round: scenario.meta.roundCode,
+    difficulty: scenario.meta.difficulty || "standard",
+    exam: isExam(),
+    attempt: roundState.attempts,
+    placed: s.placed,
+    correct: s.correct,
+    total: s.total,
+    accuracy: Math.round(1000 * accuracy) / 1000,
+    hints: roundState.hints.length,
+    gap,
+    solved: roundState.solved,
+    score: scoreRound(scoredAccuracy(s.correct, s.total), roundState.hints.length, roundState.attempts),
+    durationMs: Date.now() - roundState.startedAt,
+    ledgers: s.ledgers,
+    types: s.types,
+    mistakes: s.mistakes,
+    ...(isFindErrors() ? { findErrors: errorStats() } : {}),
+    // The whole move log once a round is over, so it can be replayed from an export
+    ...(event === "finish" ? { moves: roundState.moves } : {})
+  };
+}
+
+function recordCheck(gap){
+  roundState.attempts++;
+  saveState();
+  const entry = historyEntry("check", gap);
+  saveHistory([...loadHistory(), entry]);
+  reportRound("checked", entry);
+  return entry;
+}
+
+function recordFinish(gap){
+  // Once per round; an exam Submit counts as one more attempt
+  if (roundState.finished) return null;
+  if (isExam()) roundState.attempts++;
+  roundState.finished = true;
+  saveState();
+  const entry = historyEntry("finish", gap);
+  saveHistory([...loadHistory(), entry]);
+  reportRound("completed", entry);
+  return entry;
+}
+
+function typeStats(list = loadHistory()){
+  // Per card type over every logged Check: how often cards of that type were misplaced
+  const stats = {};
+  list.filter(e => e.event === "check").forEach(e => {
+    Object.entries(e.types || {}).forEach(([type, tally]) => {
+      const s = stats[type] || (stats[type] = { type, label: cardTypeLabel(type), placed: 0, wrong: 0 });
+      s.placed += tally.placed;
+      s.wrong += tally.wrong;
+    });
+  });
+  return Object.values(stats)
+    .map(s => ({ ...s, rate: s.placed ? s.wrong / s.placed : 0 }))
+    .sort((a, b) => b.rate - a.rate || b.placed - a.placed);
+}
+
+function studentName(){
+  let stored = null;
+  try { stored = window.localStorage.getItem(STUDENT_KEY); } catch (e) { /* nothing stored */ }
+  return (stored || "").trim();
+}
+
+function csvCell(v){
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const HISTORY_CSV_COLUMNS = [
+  "student", "event", "at", "round", "difficulty", "exam", "attempt", "placed", "correct", "total",
+  "accuracy", "hints", "gap", "solved", "score", "card", "card_type", "chosen_bin", "correct_bin", "amount"
+];
+
+function historyCsv(list = loadHistory()){
+  // One row per Check or finished round, then one "mistake" row per misplaced card in it,
+  // so files from a whole class can simply be concatenated (minus the repeated header)
+  const student = studentName();
+  const rows = [HISTORY_CSV_COLUMNS];
+  list.forEach(e => {
+    const base = [student, e.event, e.at, e.round, e.difficulty, e.exam, e.attempt, e.placed, e.correct, e.total,
+      e.accuracy, e.hints, e.gap, e.solved, e.score];
+    rows.push([...base, "", "", "", "", ""]);
+    (e.mistakes || []).forEach(m => {
+      rows.push([student, "mistake", ...base.slice(2), m.card, m.type, m.chosen, m.correct, m.amount]);
+    });
+  });
+  return rows.map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function exportHistory(format){
+  const list = loadHistory();
+  if (!list.length){
+    setStatus(t("ui.nothingToExport"));
+    return;
+  }
+  const who = (studentName() || "student").replace(/[^\w-]+/g, "_");
+  if (format === "csv"){
+    downloadFile(`gdp-lab-history-${who}.csv`, historyCsv(list), "text/csv");
+  } else {
+    const data = { format: "gdp-lab-history", version: 1, student: studentName(), exportedAt: new Date().toISOString(), typeStats: typeStats(list), entries: list };
+    downloadFile(`gdp-lab-history-${who}.json`, JSON.stringify(data, null, 2), "application/json");
+  }
+  setStatus(t("ui.historyExported", { count: list.length, format: format.toUpperCase() }));
+}
+
+function clearHistory(){
+  if (!window.confirm(t("ui.confirmClearHistory"))) return;
+  try { window.localStorage.removeItem(HISTORY_KEY); } catch (e) { /* nothing stored */ }
+  renderHistory([]);
+  setStatus(t("ui.historyCleared"));
+}
+
+function renderHistory(list = loadHistory()){
+  const finishes = list.filter(e => e.event === "finish");
+  const checks = list.filter(e => e.event === "check").length;
+  const avg = finishes.length ? Math.round(finishes.reduce((s, e) => s + e.score, 0) / finishes.length) : null;
+  els.historySummary.textContent = list.length
+    ? t("ui.historySummary", {
+      checks: t("ui.checksCount", { count: checks }),
+      rounds: t("ui.roundsFinished", { count: finishes.length }),
+      average: avg === null ? "" : t("ui.averageScore", { avg })
+    })
+    : t("ui.noHistory");
+
+  els.historyRounds.innerHTML = "";
+  finishes.slice(-5).reverse().forEach(e => {
+    const row = els.historyRounds.insertRow();
+    const level = t(`difficulty.${e.difficulty}`);
+    [e.round, e.exam ? `${level} · ${t("ui.exam")}` : level, `${e.score}`, String(e.attempt), String(e.hints)]
+      .forEach(text => { row.insertCell().textContent = text; });
+  });
+  els.historyRoundsWrap.classList.toggle("hidden", !finishes.length);
+
+  els.historyTypes.innerHTML = "";
+  typeStats(list).filter(s => s.wrong > 0).slice(0, 8).forEach(s => {
+    const row = els.historyTypes.insertRow();
+    [cardTypeLabel(s.type), `${s.wrong}/${s.placed}`, formatPercent(s.rate)].forEach(text => { row.insertCell().textContent = text; });
+  });
+  els.historyTypesWrap.classList.toggle("hidden", !els.historyTypes.rows.length);
+  els.historyCsvBtn.disabled = els.historyJsonBtn.disabled = els.historyClearBtn.disabled = !list.length;
+}
+
+// -----------------------------
+// LMS reporting
+// -----------------------------
+// Sends xAPI statements through lrs.js when the page was launched with an LRS endpoint:
+// "attempted" when a round starts, "checked" on every Check, "completed" when it is finished.
+let reporter = null;
+
+function startReporting(){
+  reporter = createReporter(lrsConfigFromPage(window, { name: studentName() }));
+  if (!reporter) return;
+  els.lrsStatus.classList.remove("hidden");
+  reporter.onChange(renderLrsStatus);
+  renderLrsStatus();
+  reporter.flush();
+}
+
+function renderLrsStatus(){
+  if (!reporter) return;
+  const pending = reporter.pending(), rejected = reporter.rejected();
+  els.lrsStatus.textContent = (pending ? t("ui.lrsPending", { count: pending }) : t("ui.lrsSent")) +
+    (rejected ? " " + t("ui.lrsRejected", { count: rejected }) : "");
+}
+
+function reportRound(verb, entry = null){
+  // entry: a history entry for "checked" and "completed"; "attempted" only needs the round
+  if (!reporter) return;
+  const info = {
+    round: scenario.meta.roundCode,
+    difficulty: scenario.meta.difficulty || "standard",
+    exam: isExam(),
+    attempt: roundState.attempts,
+    hints: roundState.hints.length
+  };
+  if (entry) Object.assign(info, {
+    score: entry.score,
+    accuracy: entry.accuracy,
+    solved: entry.solved,
+    ledgers: entry.ledgers,
+    ...(verb === "completed" ? { durationMs: entry.durationMs } : {})
+  });
+  reporter[verb](info);
+}
+
+// -----------------------------
+// Exam mode
+// -----------------------------
+// ?exam=N allows N Checks before the final Submit (?exam=0 or ?exam=submit: Submit only),
+// and &minutes=M adds a countdown that submits when it runs out. Live totals and the gap
+// stay hidden until Submit, which locks the bins and shows a score report. The exam state
+// is saved with the round, so a reload neither restarts the clock nor refills the Checks.
+const MAX_EXAM_CHECKS = 20;
+let examTimerId = null;
+
+function examFromUrl(){
+  const params = new URLSearchParams(window.location.search);
+  const raw = params.get("exam");
+  if (raw === null) return null;
+  const minutes = Number(params.get("minutes"));
+  const now = Date.now();
+  return {
+    checksAllowed: /^\d+$/.test(raw) ? Math.min(Number(raw), MAX_EXAM_CHECKS) : 0,
+    checksUsed: 0,
+    minutes: minutes > 0 ? minutes : null,
+    startedAt: now,
+    deadline: minutes > 0 ? now + minutes * 60000 : null,
+    submitted: false,
+    submittedAt: null,
+    timedOut: false
+  };
+}
+
+function isExam(){
+  return Boolean(roundState.exam);
+}
+
+function isLocked(){
+  return isExam() && roundState.exam.submitted;
+}
+
+function clock(ms){
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function applyExamUi(){
+  const exam = roundState.exam;
+  const locked = isLocked();
+
+  document.body.classList.toggle("exam-mode", Boolean(exam));
+  document.body.classList.toggle("locked", locked);
+  els.totals.classList.toggle("hidden", Boolean(exam) && !locked);
+
+  // No new rounds, imports or answer-key exports in the middle of an exam
+  [els.newScenarioBtn, els.roundCodeInput, els.difficultySelect, els.importInput,
+    els.optFullIncome, els.optGnp, els.optReal, els.optSupplyChain, els.optFirmIncome, els.optSplitImports, els.optPublicSector,
+    els.optCampaign, els.optFindErrors].forEach(el => { el.disabled = Boolean(exam); });
+  els.exportBtn.disabled = els.printBtn.disabled = Boolean(exam) && !locked;
+  els.pastRounds.disabled = Boolean(exam) || els.pastRounds.options.length <= 1;
+
+  els.submitBtn.classList.toggle("hidden", !exam);
+  els.hintBtn.classList.toggle("hidden", Boolean(exam));
+  els.submitBtn.disabled = locked;
+  els.resetBtn.disabled = locked;
+  renderUndoButtons();
+  els.checkBtn.classList.toggle("hidden", Boolean(exam) && exam.checksAllowed === 0);
+  els.checkBtn.disabled = locked || (Boolean(exam) && exam.checksUsed >= exam.checksAllowed);
+  els.checkBtn.textContent = exam && !locked ? t("ui.checkButtonLeft", { count: exam.checksAllowed - exam.checksUsed }) : t("ui.checkButton");
+  document.querySelectorAll(".dropzone").forEach(z => z.setAttribute("aria-disabled", String(locked)));
+  if (!locked) els.scoreReport.classList.add("hidden");
+  renderFirmTable();
+  renderCircularFlow();
+
+  startExamTimer();
+}
+
+function startExamTimer(){
+  clearInterval(examTimerId);
+  examTimerId = null;
+  const exam = roundState.exam;
+  const running = Boolean(exam && exam.deadline && !exam.submitted);
+  els.examTimer.classList.toggle("hidden", !running);
+  if (!running) return;
+
+  const tick = () => {
+    const left = exam.deadline - Date.now();
+    if (left <= 0) { submitExam(true); return; }
+    els.examTimer.textContent = t("ui.timeLeft", { time: clock(left) });
+  };
+  tick();
+  if (!exam.submitted) examTimerId = setInterval(tick, 1000);
+}
+
+function submitExam(timedOut = false){
+  const exam = roundState.exam;
+  if (!exam || exam.submitted) return;
+  if (!timedOut && !window.confirm(t("ui.confirmSubmit"))) return;
+
+  if (replay) stopReplay();
+  clearSelection();
+  exam.submitted = true;
+  exam.submittedAt = Date.now();
+  exam.timedOut = timedOut;
+  applyExamUi();
+  const { gap } = markAnswers();
+  recordFinish(gap);
+  if (roundState.solved) recordCampaignYear();
+  renderScoreReport();
+  saveState();
+  setStatus(t(timedOut ? "ui.timeUp" : "ui.submitted"));
+}
+
+function scoreReport(){
+  // Every card counts, so an unplaced card scores like a misplaced one
+  const ledgers = scenario.layout.ledgers.map(l => {
+    const cards = cardsFor(l.id);
+    const correct = cards.filter(c => cardResult(c).correct).length;
+    const unplaced = cards.filter(c => !cardResult(c).placed).length;
+    return { label: l.label, correct, unplaced, total: cards.length };
+  });
+  const correct = ledgers.reduce((n, l) => n + l.correct, 0);
+  const total = ledgers.reduce((n, l) => n + l.total, 0);
+  const gdp = { production: computeGDP("production"), expenditure: computeGDP("expenditure"), income: computeGDP("income") };
+  const gap = Math.max(Math.abs(gdp.production - gdp.expenditure), Math.abs(gdp.production - gdp.income), Math.abs(gdp.expenditure - gdp.income));
+  return { ledgers, correct, total, gdp, gap };
+}
+
+function renderScoreReport(){
+  const exam = roundState.exam;
+  const r = scoreReport();
+  els.scoreReport.innerHTML = "";
+  els.scoreReport.classList.remove("hidden");
+
+  const head = document.createElement("h3");
+  head.textContent = t("ui.scoreReport");
+  const score = document.createElement("p");
+  score.className = "score";
+  score.textContent = t("ui.cardsCorrect", { correct: r.correct, total: r.total, pct: r.total ? Math.round(100 * r.correct / r.total) : 0 });
+
+  const table = document.createElement("table");
+  const headRow = table.insertRow();
+  [t("ui.reportLedger"), t("ui.reportCorrect"), t("ui.reportNotPlaced")].forEach(text => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  r.ledgers.forEach(l => {
+    const row = table.insertRow();
+    [l.label, `${l.correct}/${l.total}`, String(l.unplaced)].forEach(text => { row.insertCell().textContent = text; });
+  });
+
+  const facts = document.createElement("ul");
+  [
+    t("ui.reportGdp", { ...r.gdp, verdict: r.gap < 1e-6 ? t("ui.reportReconcile") : t("ui.reportGap", { gap: r.gap }) }),
+    t("ui.reportScore", { score: scoreRound(scoredAccuracy(r.correct, r.total), 0, exam.checksUsed + 1) }),
+    exam.checksAllowed ? t("ui.reportChecks", { used: exam.checksUsed, allowed: exam.checksAllowed }) : t("ui.reportSingle"),
+    t("ui.reportTime", { time: clock(exam.submittedAt - exam.startedAt), note: exam.timedOut ? t("ui.reportTimedOut") : "" })
+  ].forEach(text => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    facts.appendChild(li);
+  });
+
+  els.scoreReport.append(head, score, table, facts);
+}
+
+// -----------------------------
+// Save and resume (localStorage)
+// -----------------------------
+// The most recent rounds are kept as full snapshots (scenario, placements, active tab and
+// whether Check was used), newest first. A refresh restores the newest one.
+const STORAGE_KEY = "gdpLab.rounds.v1";
+const MAX_SAVED_ROUNDS = 8;
+
+let roundState = { firms: undefined, options: {}, checked: false, solved: false, exam: null, hints: [], attempts: 0, finished: false, startedAt: 0, moves: [], keyAt: -1 };
+
+function loadSavedRounds(){
+  try {
+    const list = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function snapshotKey(code, firms, exam = false){
+  // An exam of a round is saved apart from practice on the same round
+  const key = firms === undefined ? code : `${code}@${String(firms)}`;
+  return exam ? `${key}#exam` : key;
+}
+
+function currentRoundKey(){
+  if (scenario.meta.imported) return `file:${scenario.meta.fileId}`;
+  return snapshotKey(scenario.meta.roundCode, roundState.firms, isExam());
+}
+
+function snapshot(){
+  return {
+    key: currentRoundKey(),
+    savedAt: Date.now(),
+    scenario,
+    // A replay shows an earlier board; the round itself is still the one it started from
+    placements: replay ? replay.saved : placements,
+    activeTab,
+    options: roundState.options,
+    firms: roundState.firms,
+    checked: roundState.checked,
+    solved: roundState.solved,
+    exam: roundState.exam,
+    hints: roundState.hints,
+    attempts: roundState.attempts,
+    finished: roundState.finished,
+    startedAt: roundState.startedAt,
+    moves: roundState.moves,
+    keyAt: roundState.keyAt
+  };
+}
+
+function saveState(){
+  if (!scenario) return;
+  const snap = snapshot();
+  const list = [snap, ...loadSavedRounds().filter(s => s.key !== snap.key)].slice(0, MAX_SAVED_ROUNDS);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (e) {
+    // Storage full or disabled: the round still works, it just won't survive a reload
+  }
+  renderPastRounds(list);
+}
+
+function restoreRound(snap){
+  loadRound(snap.scenario, snap);
+  setStatus(t("ui.resumed", { code: scenario.meta.roundCode }));
+}
+
+function placedCount(snap){
+  return Object.values(snap.placements || {}).reduce((n, p) => n + Object.keys(p).length, 0);
+}
+
+function renderPastRounds(list = loadSavedRounds()){
+  els.pastRounds.innerHTML = "";
+  const head = document.createElement("option");
+  head.value = "";
+  head.textContent = t(list.length > 1 ? "ui.resumePast" : "ui.noPastRounds");
+  els.pastRounds.appendChild(head);
+
+  list.slice(1).forEach(snap => {
+    // Counted in tokens, like placedCount(): a split card is one token per bin
+    const total = Object.keys(snap.placements || {}).reduce((n, l) => n + (snap.scenario[`${l}Cards`] || []).reduce((k, c) => k + cardBins(c).length, 0), 0);
+    const when = new Date(snap.savedAt).toLocaleString(localeTag(), { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+    const opt = document.createElement("option");
+    opt.value = snap.key;
+    const hints = (snap.hints || []).length;
+    const tags = (snap.exam ? t("ui.tagExam") : "") + (hints ? t("ui.tagHints", { count: hints }) : "") + (snap.solved ? t("ui.tagSolved") : "");
+    opt.textContent = t("ui.pastRound", { code: snap.scenario.meta.roundCode, placed: placedCount(snap), total, tags, when });
+    els.pastRounds.appendChild(opt);
+  });
+  els.pastRounds.disabled = list.length <= 1 || isExam() || Boolean(replay);
+}
+
+// -----------------------------
+// Multi-year economy
+// -----------------------------
+// A campaign round is one year of an economy that carries on (see campaignYear() in data.js).
+// Each year the student reconciles goes on the campaign's chart with the answer key's GDP and
+// C, I, G and NX (a card swapped between C and G still reconciles, so the student's own bins
+// could chart the wrong mix); Next year unlocks once it is there. The charts live in
+// localStorage apart from the round snapshots, newest campaign first, so they outlast them.
+const CAMPAIGN_KEY = "gdpLab.campaigns.v1";
+const MAX_CAMPAIGNS = 8;
+const CAMPAIGN_PARTS = ["C", "I", "G", "NX"];
+
+function currentCampaign(){
+  // Imported files may carry a campaign's meta, but not the years around it
+  return scenario && !scenario.meta.imported ? scenario.meta.campaign || null : null;
+}
+
+function loadCampaigns(){
+  try {
+    const list = JSON.parse(window.localStorage.getItem(CAMPAIGN_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function campaignYears(){
+  const campaign = currentCampaign();
+  if (!campaign) return [];
+  const key = snapshotKey(campaign.code, roundState.firms);
+  const entry = loadCampaigns().find(c => c.key === key);
+  return entry ? entry.years : [];
+}
+
+function recordCampaignYear(){
+  // Returns the year put on the chart, or null outside campaigns
+  const campaign = currentCampaign();
+  if (!campaign) return null;
+  const key = snapshotKey(campaign.code, roundState.firms);
+  const year = {
+    year: campaign.year,
+    round: scenario.meta.roundCode,
+    gdp: scenario.meta.gdpTarget,
+    C: expectedBin("E_C"),
+    I: expectedBin("E_I"),
+    G: expectedBin("E_G"),
+    NX: expectedBin("E_X") - expectedBin("E_M")
+  };
+  const list = loadCampaigns();
+  const old = list.find(c => c.key === key);
+  const years = [...(old ? old.years.filter(y => y.year !== year.year) : []), year].sort((a, b) => a.year - b.year);
+  try {
+    window.localStorage.setItem(CAMPAIGN_KEY, JSON.stringify([{ key, years }, ...list.filter(c => c !== old)].slice(0, MAX_CAMPAIGNS)));
+  } catch (e) {
+    // Storage full or disabled: the chart just misses this year
+  }
+  renderCampaign();
+  return year.year;
+}
+
+function nextYear(){
+  const campaign = currentCampaign();
+  if (!campaign || isExam()) return;
+  newScenario(campaign.seed, { ...roundState.options, year: campaign.year + 1 });
+}
+
+function campaignChart(years){
+  // One stacked bar per year (C, I, G, then NX above zero, or below it when negative) and a
+  // line through GDP. The table under it has the same numbers for screen readers.
+  const W = 520, H = 220, top = 22, bottom = 40, side = 10;
+  const stacks = years.map(y => {
+    let up = 0, down = 0;
+    return CAMPAIGN_PARTS.map(part => {
+      const v = y[part];
+      const from = v >= 0 ? up : down;
+      if (v >= 0) up += v; else down += v;
+      return { part, from, to: from + v };
+    });
+  });
+  const hi = Math.max(1, ...stacks.flat().map(s => Math.max(s.from, s.to)), ...years.map(y => y.gdp));
+  const lo = Math.min(0, ...stacks.flat().map(s => Math.min(s.from, s.to)));
+  const yOf = (v) => top + (hi - v) * (H - top - bottom) / (hi - lo);
+  const slot = (W - 2 * side) / Math.max(years.length, 4);
+  const barW = Math.min(40, slot * 0.6);
+  const xOf = (i) => side + slot * (i + 0.5);
+  // Long campaigns keep the year numbers and the latest GDP; the table has the rest
+  const compact = slot < 48;
+
+  const svg = svgEl("svg", { viewBox: `0 0 ${W} ${H}`, class: "campaign-svg", role: "img", "aria-label": t("ui.campaignChartAria", { count: years.length }) });
+  svg.appendChild(svgEl("line", { x1: side, x2: W - side, y1: yOf(0), y2: yOf(0), class: "axis" }));
+  years.forEach((y, i) => {
+    stacks[i].forEach(s => {
+      const rect = svgEl("rect", {
+        x: xOf(i) - barW / 2, width: barW,
+        y: yOf(Math.max(s.from, s.to)), height: Math.abs(yOf(s.from) - yOf(s.to)),
+        class: `part-${s.part.toLowerCase()}`
+      });
+      rect.appendChild(svgEl("title", {}, `${t("ui.yearShort", { year: y.year })} · ${t(`page.part${s.part}`)}: ${formatMoney(y[s.part])}`));
+      svg.appendChild(rect);
+    });
+    svg.appendChild(svgEl("text", { x: xOf(i), y: H - bottom + 16, class: "year" }, compact ? String(y.year) : t("ui.yearShort", { year: y.year })));
+    if (y.growth !== null && !compact) svg.appendChild(svgEl("text", { x: xOf(i), y: H - bottom + 30, class: y.growth < 0 ? "growth down" : "growth" }, formatPercent(y.growth, true)));
+  });
+  svg.appendChild(svgEl("polyline", { points: years.map((y, i) => `${xOf(i)},${yOf(y.gdp)}`).join(" "), class: "gdp-line" }));
+  years.forEach((y, i) => {
+    svg.appendChild(svgEl("circle", { cx: xOf(i), cy: yOf(y.gdp), r: 3.5, class: "gdp-dot" }));
+    if (!compact || i === years.length - 1) svg.appendChild(svgEl("text", { x: xOf(i), y: yOf(y.gdp) - 7, class: "gdp-label" }, formatMoney(y.gdp)));
+  });
+  return svg;
+}
+
+function renderCampaign(){
+  const campaign = currentCampaign();
+  els.campaignPanel.classList.toggle("hidden", !campaign);
+  els.nextYearBtn.classList.toggle("hidden", !campaign);
+  if (!campaign) return;
+
+  // Growth is year on year, so only between two reconciled years in a row
+  const years = campaignYears().map((y, i, all) => {
+    const prev = all[i - 1];
+    return { ...y, growth: prev && prev.year === y.year - 1 && prev.gdp ? y.gdp / prev.gdp - 1 : null };
+  });
+  const charted = years.some(y => y.year === campaign.year);
+  els.nextYearBtn.disabled = !charted || isExam() || campaign.year >= CAMPAIGN_MAX_YEARS;
+  els.campaignInfo.textContent = t("ui.campaignInfo", { year: campaign.year, code: campaign.code, stock: campaign.stockStart })
+    + (years.length ? "" : ` ${t("ui.campaignEmpty")}`);
+
+  els.campaignBody.classList.toggle("hidden", !years.length);
+  els.campaignChart.innerHTML = "";
+  if (years.length) els.campaignChart.appendChild(campaignChart(years));
+  els.campaignRows.innerHTML = "";
+  years.forEach(y => {
+    const row = els.campaignRows.insertRow();
+    [t("ui.yearShort", { year: y.year }), formatMoney(y.gdp), y.growth === null ? "—" : formatPercent(y.growth, true), ...CAMPAIGN_PARTS.map(p => formatMoney(y[p]))]
+      .forEach(text => { row.insertCell().textContent = text; });
+  });
+}
+
+// -----------------------------
+// Scenario files: export the current round, import an instructor-authored one
+// -----------------------------
+function downloadFile(name, text, type){
+  const blob = new Blob([text], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(a.href);
+}
+
+function exportScenario(){
+  downloadFile(`gdp-round-${scenario.meta.roundCode.replace(/[^\w-]+/g, "_")}.json`, scenarioToFile(scenario), "application/json");
+  setStatus(t("ui.exported", { code: scenario.meta.roundCode }));
+}
+
+function importScenario(text, fileName){
+  const { scenario: sc, errors } = scenarioFromFile(text);
+  if (errors.length){
+    const more = errors.length > 3 ? t("ui.moreErrors", { count: errors.length - 3 }) : "";
+    setStatus(t("ui.importFailed", { file: fileName, errors: errors.slice(0, 3).join(" "), more }));
+    return false;
+  }
+  loadRound(sc, {});
+  reportRound("attempted");
+  setStatus(t("ui.imported", { code: sc.meta.roundCode, file: fileName }));
+  return true;
+}
+
+function onImportFile(){
+  const file = els.importInput.files[0];
+  els.importInput.value = "";
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => importScenario(String(reader.result), file.name);
+  reader.onerror = () => setStatus(t("ui.readFailed", { file: file.name }));
+  reader.readAsText(file);
+}
+
+// -----------------------------
+// Printable worksheet
+// -----------------------------
+// For paper-only sections: every card numbered in its on-screen pool order with a blank
+// column for the bin, empty ledger tables to total by hand, and an answer key on a page of
+// its own. The round code on the sheet reopens the same round, numbering included. The
+// sheet is built into #printSheet, which only the print stylesheet shows.
+const COMPONENT_LABELS = {
+  C: "bin.E_C", I_fixed: "concept.fixed.label", I_inv: "concept.inventory.label", I_total: "bin.E_I",
+  G: "bin.E_G", X: "bin.E_X", M: "bin.E_M", W: "bin.I_W", P: "bin.I_P", MIX: "bin.I_MIX",
+  DEP: "bin.I_DEP", TAX: "bin.I_TAX", govPay: "concept.governmentPay.label", factorReceipts: "bin.I_NFR", factorPayments: "bin.I_NFP"
+};
+
+function sheetEl(tag, text, cls){
+  const el = document.createElement(tag);
+  el.textContent = text;
+  if (cls) el.className = cls;
+  return el;
+}
+
+function sheetTable(head, rows, cls){
+  const table = document.createElement("table");
+  table.className = cls;
+  const headRow = table.createTHead().insertRow();
+  head.forEach(text => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach(cells => {
+    const row = body.insertRow();
+    cells.forEach(text => { row.insertCell().textContent = String(text); });
+  });
+  return table;
+}
+
+function buildWorksheet(){
+  const { roundCode: code, difficulty, components, real } = scenario.meta;
+  const level = t(`difficulty.${difficulty || "standard"}`);
+  const cardHead = [t("print.colNumber"), t("print.colAmount"), t("print.colItem"), t("print.colBin")];
+  const binHead = [t("print.colBin"), t("print.colCards"), t("print.colTotal")];
+
+  const work = document.createElement("section");
+  work.className = "sheet";
+  work.append(
+    sheetEl("h1", t("print.heading")),
+    sheetEl("p", t("print.round", { code, level }), "sheet-meta"),
+    sheetEl("p", `${t("print.name")}: ____________________________`, "sheet-meta"),
+    sheetEl("p", t("print.instructions"))
+  );
+  const key = document.createElement("section");
+  key.className = "sheet sheet-key";
+  key.append(sheetEl("h1", t("print.keyHeading", { code })), sheetEl("p", level, "sheet-meta"));
+
+  const gdp = {};
+  for (const ledger of scenario.layout.ledgers){
+    const cards = poolOrder(ledger.id);
+    const number = Object.fromEntries(cards.map((c, i) => [c.id, i + 1]));
+    const binTotal = (id) => cards.filter(c => cardBins(c).includes(id)).reduce((s, c) => s + c.amount, 0);
+    const signed = ledger.bins.some(b => b.sign);
+    const withGnp = ledger.bins.some(b => b.gnpSign !== undefined);
+    if (signed) gdp[ledger.id] = ledger.bins.reduce((s, b) => s + b.sign * binTotal(b.id), 0);
+
+    const blankRows = ledger.bins.map(b => [b.label, "", ""]);
+    if (signed) blankRows.push([t("print.gdpRow", { ledger: ledger.label }), "", ""]);
+    if (withGnp) blankRows.push([t("page.gnpIncome"), "", ""]);
+    work.append(
+      sheetEl("h2", ledger.label),
+      sheetTable(cardHead, cards.map((c, i) => [i + 1, formatMoney(c.amount), c.text, ""]), "sheet-cards"),
+      sheetTable(binHead, blankRows, "sheet-ledger")
+    );
+
+    const keyRows = ledger.bins.map(b => [
+      b.label,
+      cards.filter(c => cardBins(c).includes(b.id)).map(c => number[c.id]).join(", "),
+      formatMoney(binTotal(b.id))
+    ]);
+    if (signed) keyRows.push([t("print.gdpRow", { ledger: ledger.label }), "", formatMoney(gdp[ledger.id])]);
+    if (withGnp) keyRows.push([t("page.gnpIncome"), "", formatMoney(components.gnp)]);
+    key.append(
+      sheetEl("h2", ledger.label),
+      sheetTable([t("print.colNumber"), t("print.colAmount"), t("print.colBin")],
+        cards.map((c, i) => [i + 1, formatMoney(c.amount), cardBins(c).map(zoneLabel).join(" + ")]), "sheet-cards"),
+      sheetTable(binHead, keyRows, "sheet-ledger")
+    );
+  }
+
+  // GNP is a total, listed with the others below as in the totals panel
+  const componentRows = Object.entries(components || {})
+    .filter(([name]) => name !== "gnp")
+    .map(([name, value]) => [COMPONENT_LABELS[name] ? t(COMPONENT_LABELS[name]) : name, formatMoney(value)]);
+  const totalRows = [
+    [t("page.gdpProduction"), formatMoney(gdp.production)],
+    [t("page.gdpExpenditure"), formatMoney(gdp.expenditure)],
+    [t("page.gdpIncome"), formatMoney(gdp.income)]
+  ];
+  if (components && components.gnp !== undefined) totalRows.push([t("page.gnpIncome"), formatMoney(components.gnp)]);
+  if (real) totalRows.push(
+    [t("bin.R_NOM0"), formatMoney(real.nominalBase)],
+    [t("bin.R_NOM1"), formatMoney(real.nominalCurrent)],
+    [t("bin.R_REAL1"), formatMoney(real.realCurrent)],
+    [t("page.deflator"), formatNumber(real.deflator, 1)],
+    [t("page.realGrowth"), formatPercent(real.realGrowth)]
+  );
+  if (componentRows.length){
+    key.append(sheetEl("h2", t("print.components")), sheetTable([t("print.colItem"), t("print.colTotal")], componentRows, "sheet-totals"));
+  }
+  key.append(sheetEl("h2", t("print.totals")), sheetTable([t("print.colItem"), t("print.colTotal")], totalRows, "sheet-totals"));
+
+  els.printSheet.innerHTML = "";
+  els.printSheet.append(work, key);
+}
+
+function printWorksheet(){
+  buildWorksheet();
+  window.print();
+  setStatus(t("ui.printed", { code: scenario.meta.roundCode }));
+}
+
+// -----------------------------
+// Language
+// -----------------------------
+// ?lang=es sets the language for a link; otherwise the switcher's last choice, then the
+// browser's languages. Switching re-renders the page text and the current round's labels and
+// card wording from the catalogs, keeping its numbers, placements and Checks.
+const LOCALE_KEY = "gdpLab.locale";
+
+function localeFromPage(){
+  let stored = null;
+  try { stored = window.localStorage.getItem(LOCALE_KEY); } catch (e) { /* nothing stored */ }
+  const fromUrl = new URLSearchParams(window.location.search).get("lang");
+  return matchLocale([fromUrl, stored, ...(navigator.languages || [navigator.language])]) || "en";
+}
+
+function buildLocaleSelect(){
+  els.localeSelect.innerHTML = "";
+  for (const [id, locale] of Object.entries(LOCALES)){
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = locale.label;
+    els.localeSelect.appendChild(opt);
+  }
+  els.localeSelect.value = getLocale();
+}
+
+function applyStaticText(){
+  // index.html marks its text with data-i18n (plain text), data-i18n-html (catalog markup,
+  // including TeX) and data-i18n-attr="attr:message,attr:message"
+  document.documentElement.lang = getLocale();
+  document.title = t("page.title");
+  document.querySelectorAll("[data-i18n]").forEach(el => { el.textContent = t(el.dataset.i18n); });
+  document.querySelectorAll("[data-i18n-attr]").forEach(el => {
+    el.dataset.i18nAttr.split(",").forEach(pair => {
+      const [attr, key] = pair.split(":");
+      el.setAttribute(attr, t(key));
+    });
+  });
+  const math = [...document.querySelectorAll("[data-i18n-html]")];
+  if (window.MathJax && MathJax.typesetClear) MathJax.typesetClear(math);
+  math.forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+  if (window.MathJax && MathJax.typesetPromise) MathJax.typesetPromise(math);
+}
+
+function changeLocale(id){
+  setLocale(id);
+  try { window.localStorage.setItem(LOCALE_KEY, getLocale()); } catch (e) { /* not saved */ }
+  const url = new URL(window.location.href);
+  if (url.searchParams.has("lang")){
+    url.searchParams.set("lang", getLocale());
+    window.history.replaceState(null, "", url);
+  }
+
+  // Reloading the round rewrites its text; the options picked for the next round stay as they are
+  const next = roundOptionsFromUi();
+  applyStaticText();
+  buildDifficultySelect();
+  loadRound(scenario, snapshot());
+  syncRoundOptionsUi(next);
+  renderHistory();
+  renderLrsStatus();
+  setStatus(t("ui.languageChanged"));
+}
+
+function resumePastRound(){
+  const snap = loadSavedRounds().find(s => s.key === els.pastRounds.value);
+  els.pastRounds.value = "";
+  if (snap) restoreRound(snap);
 }
 
 function init(){
+  setLocale(localeFromPage());
+  buildLocaleSelect();
+  applyStaticText();
   initDnD();
+  buildDifficultySelect();
 
-  els.tabProduction.addEventListener("click", () => setActiveTab("production"));
-  els.tabExpenditure.addEventListener("click", () => setActiveTab("expenditure"));
-  els.tabIncome.addEventListener("click", () => setActiveTab("income"));
-
-  els.newScenarioBtn.addEventListener("click", newScenario);
+  els.newScenarioBtn.addEventListener("click", requestNewRound);
+  els.nextYearBtn.addEventListener("click", nextYear);
+  els.roundCodeInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") requestNewRound();
+  });
   els.resetBtn.addEventListener("click", resetRound);
+  els.undoBtn.addEventListener("click", () => undoMove());
+  els.redoBtn.addEventListener("click", () => undoMove(true));
+  document.addEventListener("keydown", onUndoKey);
+  els.replayBtn.addEventListener("click", startReplay);
+  els.replayPrev.addEventListener("click", () => showReplayStep(replay.step - 1));
+  els.replayNext.addEventListener("click", () => showReplayStep(replay.step + 1));
+  els.replayExit.addEventListener("click", () => stopReplay());
   els.checkBtn.addEventListener("click", checkAnswers);
+  els.hintBtn.addEventListener("click", useHint);
+  els.historyCsvBtn.addEventListener("click", () => exportHistory("csv"));
+  els.historyJsonBtn.addEventListener("click", () => exportHistory("json"));
+  els.historyClearBtn.addEventListener("click", clearHistory);
+  els.studentName.value = studentName();
+  els.studentName.addEventListener("change", () => {
+    try { window.localStorage.setItem(STUDENT_KEY, els.studentName.value.trim()); } catch (e) { /* not saved */ }
+  });
+  renderHistory();
+  startReporting();
+  els.submitBtn.addEventListener("click", () => submitExam());
+  els.pastRounds.addEventListener("change", resumePastRound);
+  els.exportBtn.addEventListener("click", exportScenario);
+  els.printBtn.addEventListener("click", printWorksheet);
+  els.importInput.addEventListener("change", onImportFile);
+  els.localeSelect.addEventListener("change", () => changeLocale(els.localeSelect.value));
+
+  // Prefer the saved state of the round in the URL, then the last round worked on
+  const saved = loadSavedRounds();
+  const urlCode = roundCodeFromUrl();
+  const fromUrl = parseRoundCode(urlCode);
+  const exam = Boolean(examFromUrl());
+  const snap = fromUrl
+    ? saved.find(s => s.key === snapshotKey(roundCode(fromUrl.seed, fromUrl.options), firmsFromUrl(), exam))
+    : (exam ? saved.find(s => s.exam) : saved[0]);
 
-  setActiveTab("production");
-  newScenario();
+  if (snap) restoreRound(snap);
+  else if (fromUrl) newScenario(fromUrl.seed, fromUrl.options);
+  else newScenario(randomSeed(), roundOptionsFromUi());
 }
 
 init();
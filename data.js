@@ -7,50 +7,170 @@
 // - We choose a random GDP_TARGET each round.
 // - We generate Expenditure components so C + I + G + (X - M) == GDP_TARGET exactly.
 //   Investment I = I_fixed + I_inventory (inventory change lives inside I).
+//   Split-import rounds add imported final goods: one card, placed in both C, I or G and M,
+//   carved out of both totals so the sum is unchanged.
+// - Public-sector rounds add the government as a producer. Its output is valued at cost, so
+//   its value added is its payroll: the firms share GDP_TARGET less that payroll, and G
+//   (purchases from businesses + payroll) is unchanged.
 // - We generate Production cards from firm-level value added by construction:
 //   VA_firm = Output_firm - Intermediate_firm, and sum(VA_firm) == GDP_TARGET.
 // - We generate Income cards so Wages + Profits == GDP_TARGET exactly.
+//   In full-income rounds each firm's VA is split across wages, profits, mixed income,
+//   depreciation and taxes on production less subsidies instead, still summing exactly.
 // - Text is intentionally more ambiguous: no parentheticals like "(imports)", "(transfer)", "(financial transaction)".
+//   Easy rounds switch the parentheticals back on (see DIFFICULTY_LEVELS).
+// - All wording comes from the message catalog (i18n.js). Each card keeps the template it was
+//   written from, so localizeScenario() can re-word a round in another language, numbers untouched.
+// - Every random draw goes through a seeded PRNG, so a round is fully determined by its seed.
+//   The seed is shown to students as a short base-36 round code.
+// - Campaign rounds are years of one economy: year n is generated from year n - 1 (same firms,
+//   values moved by growth shocks, inventories carried over), so seed and year still rebuild it.
+// - Find-the-errors rounds are the same economy with a few cards planted in a wrong bin
+//   (meta.findErrors); the plants come from a stream of their own, so the cards are unchanged.
+
+// Node (tools/) has no <script> tags: load the catalog that the page loads before this file
+if (typeof module !== "undefined" && module.exports && typeof t !== "function") {
+  Object.assign(globalThis, require("./i18n.js"));
+}
+
+// -----------------------------
+// Seeded randomness and round codes
+// -----------------------------
+const ROUND_CODE_LENGTH = 6;
+const ROUND_SEED_LIMIT = Math.pow(36, ROUND_CODE_LENGTH); // every seed fits in 6 code characters
+
+// mulberry32: small, fast, and good enough for shuffling cards
+function makeRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Current generator stream; generateScenario() reseeds it at the start of every round.
+let rand = makeRng(0);
+
+function randomSeed() {
+  // The only unseeded draw: picking a fresh seed for a brand-new round
+  return Math.floor(Math.random() * ROUND_SEED_LIMIT);
+}
+
+function seedToRoundCode(seed) {
+  return seed.toString(36).toUpperCase().padStart(ROUND_CODE_LENGTH, "0");
+}
+
+function roundCodeToSeed(code) {
+  // Returns null for anything that is not a valid round code
+  const s = String(code || "").trim().toUpperCase();
+  if (!/^[0-9A-Z]+$/.test(s) || s.length > ROUND_CODE_LENGTH) return null;
+  return parseInt(s, 36);
+}
+
+// Options that change the generated economy ride along in the round code as flag
+// letters after a dash, e.g. "K3F9Q2-F", so the code alone rebuilds the round.
+const ROUND_FLAGS = [
+  { flag: "F", option: "income", value: "full" },
+  { flag: "N", option: "gnp", value: true },
+  { flag: "R", option: "real", value: true },
+  { flag: "S", option: "supplyChain", value: true },
+  { flag: "W", option: "firmIncome", value: true },
+  { flag: "M", option: "splitImports", value: true },
+  { flag: "G", option: "publicSector", value: true },
+  { flag: "X", option: "findErrors", value: true },
+  { flag: "E", option: "difficulty", value: "easy" },
+  { flag: "H", option: "difficulty", value: "hard" },
+  { flag: "B", option: "difficulty", value: "brutal" }
+];
+
+// A campaign year follows the flags as "Y" and the year, e.g. "K3F9Q2-FY3" (see campaignYear()).
+function roundCode(seed, options = {}) {
+  const year = campaignYear(options);
+  const flags = ROUND_FLAGS.filter(f => options[f.option] === f.value).map(f => f.flag).join("") + (year ? `Y${year}` : "");
+  return flags ? `${seedToRoundCode(seed)}-${flags}` : seedToRoundCode(seed);
+}
+
+function parseRoundCode(code) {
+  // Returns { seed, options } or null for anything that is not a valid round code
+  const [seedPart, suffix = "", extra] = String(code || "").trim().toUpperCase().split("-");
+  const seed = roundCodeToSeed(seedPart);
+  const [, flagPart, yearPart] = /^([A-Z]*?)(?:Y(\d+))?$/.exec(suffix) || [];
+  if (seed === null || extra !== undefined || flagPart === undefined) return null;
+
+  // Each option at most once, so "-EH" (two difficulty levels) is not a round
+  const options = {};
+  for (const ch of flagPart) {
+    const f = ROUND_FLAGS.find(x => x.flag === ch);
+    if (!f || f.option in options) return null;
+    options[f.option] = f.value;
+  }
+  if (yearPart !== undefined) {
+    const year = Number(yearPart);
+    if (year < 1 || year > CAMPAIGN_MAX_YEARS) return null;
+    options.year = year;
+  }
+  return { seed, options };
+}
 
 function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(rand() * (max - min + 1)) + min;
 }
 
 function clamp(x, lo, hi) {
   return Math.max(lo, Math.min(hi, x));
 }
 
-function shuffle(arr) {
+function shuffle(arr, rng = rand) {
   const a = arr.slice();
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
 }
 
+function sum(arr) {
+  return arr.reduce((a, b) => a + b, 0);
+}
+
 function pick(arr) {
   return arr[randInt(0, arr.length - 1)];
 }
 
+function apportion(amount, weights, minPart = 1) {
+  // Integers summing to amount, roughly in proportion to weights, each at least minPart
+  // (amount must be at least weights.length * minPart). Draws no random numbers.
+  const total = sum(weights);
+  const parts = weights.map(w => Math.max(minPart, Math.floor(w * amount / total)));
+  let rest = amount - sum(parts);
+  // Rounding leftovers go to (or come out of) the biggest parts first
+  const order = parts.map((p, i) => i).sort((a, b) => parts[b] - parts[a]);
+  for (const i of order) {
+    const step = Math.max(rest, minPart - parts[i]);
+    parts[i] += step;
+    rest -= step;
+    if (!rest) break;
+  }
+  return parts;
+}
+
 function partition(amount, k, minPart = 1) {
-  // Returns k integers summing to amount (can handle negative by partitioning abs and re-applying sign)
+  // Returns integers summing to amount (can handle negative by partitioning abs and re-applying sign).
+  // Every part is at least minPart (and never 0): exactly k parts when |amount| >= k * minPart,
+  // otherwise as many as fit (at least one). An amount of 0 gives no parts, so no $0m cards.
   const sign = amount < 0 ? -1 : 1;
   let A = Math.abs(Math.round(amount));
 
+  if (A === 0) return [];
+  minPart = Math.max(1, Math.floor(minPart));
+  k = Math.max(1, Math.min(k, Math.floor(A / minPart)));
   if (k <= 1) return [sign * A];
-  if (A === 0) return Array(k).fill(0);
 
-  // Ensure feasibility
-  minPart = Math.max(0, Math.floor(minPart));
   const parts = Array(k).fill(minPart);
   let remaining = A - k * minPart;
-  if (remaining < 0) {
-    // fallback: put all into last
-    const out = Array(k).fill(0);
-    out[k - 1] = sign * A;
-    return out;
-  }
 
   for (let i = 0; i < k - 1; i++) {
     const take = randInt(0, remaining);
@@ -62,29 +182,526 @@ function partition(amount, k, minPart = 1) {
   return shuffle(parts).map(x => sign * x);
 }
 
-function generateScenario() {
+// -----------------------------
+// Firms and ledger layout
+// -----------------------------
+// The scenario describes its own ledgers, bins and firms in `layout`; app.js builds
+// the tabs, dropzones and GDP formulas from it. Each bin carries a `sign` saying how
+// its sum enters that ledger's GDP (+1 added, -1 subtracted, 0 excluded); income bins may
+// add a `gnpSign` where GNP treats them differently. `accent` names the measures a bin's
+// flows enter: "gdp" only, "gnp" only, "both", or "neither".
+// `units` and `price` (dollars per unit) describe each firm's final product for real-GDP rounds.
+// `product` and `customers` (firm keys) drive supply-chain rounds; a `capital` producer's
+// sales to other firms are investment goods rather than intermediate inputs. Cards word
+// products and units with the catalog's firm.<key>.product / .units messages.
+const FIRM_CATALOG = [
+  { key: "S", name: "SteelCo", units: "tons of steel", price: 800, product: "steel", customers: ["A", "M"] },
+  { key: "A", name: "AutoCo", units: "cars", price: 24000, product: "vehicles", customers: [] },
+  { key: "P", name: "PortCo", units: "container moves", price: 250, product: "port services", customers: ["S", "A", "F"] },
+  { key: "M", name: "MachCo", units: "machines", price: 60000, product: "machines", customers: ["A", "P", "S"], capital: true },
+  { key: "F", name: "FarmCo", units: "tons of grain", price: 300, product: "grain", customers: ["C"] },
+  { key: "C", name: "ChemCo", units: "barrels of solvent", price: 90, product: "chemicals", customers: ["T", "A"] },
+  { key: "T", name: "TextCo", units: "bolts of cloth", price: 40, product: "fabric", customers: ["A"] },
+  { key: "D", name: "DataCo", units: "software licenses", price: 500, product: "IT services", customers: ["S", "A", "P", "M"] }
+];
+const MIN_FIRMS = 2;
+const MAX_FIRMS = 8;
+const DEFAULT_FIRM_COUNT = 4;
+
+function resolveFirms(spec) {
+  // spec: a firm count (2–8) or a list of 2–8 firm names; anything else gives the default four
+  if (Array.isArray(spec)) {
+    // The same name twice would give two firms one key, and so the same bins twice
+    const seen = new Set();
+    const names = spec.map(n => String(n).trim()).filter(n => {
+      const k = n.toLowerCase();
+      if (!n || seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    }).slice(0, MAX_FIRMS);
+    if (names.length >= MIN_FIRMS) {
+      return names.map((name, i) => {
+        const known = FIRM_CATALOG.find(f => f.name === name);
+        if (known) return { ...known };
+        // Unknown sectors supply the next firm in the list
+        const next = i + 1 < names.length ? [`F${i + 2}`] : [];
+        return { key: `F${i + 1}`, name, units: `units of ${name} output`, price: 1000, product: "supplies", customers: next };
+      });
+    }
+  }
+  const n = Number.isInteger(spec) ? clamp(spec, MIN_FIRMS, MAX_FIRMS) : DEFAULT_FIRM_COUNT;
+  return FIRM_CATALOG.slice(0, n).map(f => ({ ...f }));
+}
+
+// Public-sector rounds add the government as a producer. It is not a firm: its output has no
+// market price and is valued at cost, so it earns no profits and sells nothing to the firms.
+// Its pay per employee prices its output in real-GDP rounds.
+const GOVERNMENT_KEY = "GOV";
+const PUBLIC_PAY = 55000;
+
+function producers(layout) {
+  // The firms, then the government when it produces too (firm table, hints, firm-level checks)
+  return [...(layout.firms || []), ...(layout.government ? [layout.government] : [])];
+}
+
+// -----------------------------
+// Multi-year campaigns
+// -----------------------------
+// options.year (1, 2, ...) makes a round one year of a campaign, the same economy played year
+// after year. Year 1 is drawn like any round, plus an opening stock of inventories. Every later
+// year starts from the one before: GDP moves by a growth shock of -4% to +6%, each spending
+// component and each firm's value added by that plus a shock of its own, firms keep their
+// intermediate intensity (with a little drift), and inventories open at last year's closing
+// stock, which caps how far they can be sold down. Each year draws from its own stream, so
+// year n is rebuilt by generating years 1 to n in turn.
+const CAMPAIGN_MAX_YEARS = 30;
+
+function campaignYear(options = {}) {
+  // 0 outside campaigns
+  const year = options.year;
+  return Number.isInteger(year) && year >= 1 ? Math.min(year, CAMPAIGN_MAX_YEARS) : 0;
+}
+
+// -----------------------------
+// Difficulty profiles
+// -----------------------------
+// A profile sets how big and how noisy a round is (its name is the catalog's difficulty.<id>):
+//   firms                 default firm count (an explicit options.firms still wins)
+//   gdpRange              [min, max] for the GDP target
+//   splitScale            multiplies how many cards each total is split into
+//   expenditureDistractors / incomeDistractors   [min, max] excluded cards per ledger
+//   negativeInventory     whether inventories may fall during the year
+//   ambiguous             false adds a plain-language hint like "(imports)" to each card
+//   plantedErrors         how many cards a find-the-errors round starts in a wrong bin
+// "standard" reproduces the original fixed ranges, so standard round codes are unchanged.
+const DIFFICULTY_LEVELS = {
+  easy: {
+    firms: 2, gdpRange: [120, 300], splitScale: 0.5,
+    expenditureDistractors: [1, 2], incomeDistractors: [1, 1], negativeInventory: false, ambiguous: false,
+    plantedErrors: 2
+  },
+  standard: {
+    firms: DEFAULT_FIRM_COUNT, gdpRange: [180, 520], splitScale: 1,
+    expenditureDistractors: [3, 6], incomeDistractors: [2, 4], negativeInventory: true, ambiguous: true,
+    plantedErrors: 3
+  },
+  hard: {
+    firms: 6, gdpRange: [240, 600], splitScale: 1.5,
+    expenditureDistractors: [5, 6], incomeDistractors: [3, 4], negativeInventory: true, ambiguous: true,
+    plantedErrors: 4
+  },
+  brutal: {
+    firms: MAX_FIRMS, gdpRange: [320, 700], splitScale: 2,
+    expenditureDistractors: [6, 6], incomeDistractors: [4, 6], negativeInventory: true, ambiguous: true,
+    plantedErrors: 5
+  }
+};
+
+function resolveDifficulty(spec) {
+  // spec: a level name, a profile object (missing fields fall back to standard), or nothing
+  const base = DIFFICULTY_LEVELS.standard;
+  if (typeof spec === "string") return { ...base, ...(DIFFICULTY_LEVELS[spec] || {}) };
+  if (spec && typeof spec === "object") return { ...base, ...spec };
+  return { ...base };
+}
+
+// -----------------------------
+// Card concepts
+// -----------------------------
+// Every card teaches one concept. The concept gives easy rounds their plain-language hint
+// and every card the explanation shown after Check; mistakes are summarized by concept.
+// Labels, hints and explanations are catalog messages concept.<id>.label / .hint / .explanation
+// (the real-GDP concepts have no hint).
+const CARD_CONCEPTS = [
+  "output", "intermediate", "capitalGood",
+  "governmentOutput",
+  "consumption", "fixed", "inventory", "government", "governmentPay", "exports", "imports", "importedGoods",
+  "transfer", "usedGood", "financial", "excluded",
+  "wages", "profits", "mixedIncome", "depreciation", "productionTax", "subsidy", "incomeTax",
+  "factorReceipts", "factorPayments",
+  "baseNominal", "currentNominal", "currentReal", "mixedPrices"
+];
+
+const CONCEPT_BY_BIN = {
+  P_XCL: "capitalGood",
+  P_GOV_OUT: "governmentOutput",
+  E_C: "consumption", E_I: "fixed", E_G: "government", E_X: "exports", E_M: "imports", E_XCL: "excluded",
+  I_W: "wages", I_P: "profits", I_MIX: "mixedIncome", I_DEP: "depreciation", I_TAX: "productionTax",
+  I_NFR: "factorReceipts", I_NFP: "factorPayments", I_XCL: "excluded",
+  R_NOM0: "baseNominal", R_NOM1: "currentNominal", R_REAL1: "currentReal", R_XCL: "mixedPrices"
+};
+
+function cardBins(card) {
+  // The bins a card belongs in: one for most cards, several for a split card (correctBins),
+  // whose single amount is placed in each of them, e.g. an imported TV in both C and M
+  return Array.isArray(card.correctBins) ? card.correctBins : [card.correctBin];
+}
+
+function conceptOf(card) {
+  // Concept id for a card: its subtype when that names a concept, otherwise its correct bin
+  const subtype = card.meta && card.meta.subtype;
+  if (subtype && CARD_CONCEPTS.includes(subtype)) return subtype;
+  const bin = cardBins(card)[0];
+  if (CONCEPT_BY_BIN[bin]) return CONCEPT_BY_BIN[bin];
+  if (/^I_W_/.test(bin)) return "wages";
+  if (/^I_P_/.test(bin)) return "profits";
+  if (/^P_.+_OUT$/.test(bin)) return "output";
+  if (/^P_.+_INT$/.test(bin)) return "intermediate";
+  return "excluded";
+}
+
+function conceptLabel(concept) {
+  return t(`concept.${concept}.label`);
+}
+
+function plainHint(card) {
+  const key = `concept.${conceptOf(card)}.hint`;
+  return hasMessage(key) ? t(key) : null;
+}
+
+function explainCard(card) {
+  // Scenario files may carry their own explanation; generated cards get the concept's
+  return card.explanation || t(`concept.${conceptOf(card)}.explanation`);
+}
+
+function firmTerm(firm, field) {
+  // A firm's product or units as a message reference, so card text can be re-worded later;
+  // custom sectors (not in FIRM_CATALOG) get the generic wording around their own name
+  const known = FIRM_CATALOG.some(f => f.key === firm.key && f.name === firm.name);
+  return known ? { msg: `firm.${firm.key}.${field}` } : { msg: `firm.custom.${field}`, params: { name: firm.name } };
+}
+
+function cardText(card) {
+  // A generated card's text in the current locale; easy rounds add the plain-language hint
+  const { key, variant, params, hint } = card.template;
+  const text = t(key, params, variant);
+  return hint ? text.replace(/\.$/, ` (${plainHint(card)}).`) : text;
+}
+
+// -----------------------------
+// Planted errors (find-the-errors rounds)
+// -----------------------------
+// The mistakes students make most often. Each says which cards it can be made with and the
+// bins such a card then sits in (one per copy of a split card); roleBin(role) is one of the
+// layout's wage or profit bins, which may be split by firm. Labels are catalog messages
+// mistake.<id>.
+const MISTAKE_CATALOG = [
+  { id: "inventoryDropInC", fits: c => conceptOf(c) === "inventory" && c.amount < 0, bins: () => ["E_C"] },
+  { id: "transferInG", fits: c => c.ledger === "expenditure" && conceptOf(c) === "transfer", bins: () => ["E_G"] },
+  { id: "usedGoodInC", fits: c => conceptOf(c) === "usedGood", bins: () => ["E_C"] },
+  { id: "financialInI", fits: c => c.ledger === "expenditure" && conceptOf(c) === "financial", bins: () => ["E_I"] },
+  { id: "importsLeftOut", fits: c => c.correctBin === "E_M", bins: () => ["E_XCL"] },
+  { id: "importedGoodsNotInM", fits: c => conceptOf(c) === "importedGoods", bins: c => cardBins(c).map(b => b === "E_M" ? "E_XCL" : b) },
+  { id: "intermediateAsOutput", fits: c => /^P_.+_INT$/.test(c.correctBin), bins: c => [c.correctBin.replace(/_INT$/, "_OUT")] },
+  { id: "transferAsWages", fits: c => c.ledger === "income" && conceptOf(c) === "transfer", bins: (c, roleBin) => [roleBin("wages")] },
+  { id: "assetGainsAsProfits", fits: c => c.ledger === "income" && conceptOf(c) === "financial", bins: (c, roleBin) => [roleBin("profits")] },
+  { id: "incomeTaxAsProductionTax", fits: c => conceptOf(c) === "incomeTax", bins: () => ["I_TAX"] }
+];
+
+function plantErrors(cards, layout, count, rng) {
+  // Picks `count` cards to start in a wrong bin, as [{ card, mistake, bins }]. The picks go round
+  // the mistakes this round has cards for, in shuffled order, so a mistake comes up twice only
+  // once every other has been used. A draw that leaves the three GDPs equal (an error inside one
+  // total, like inventories in C, or errors that cancel out) is drawn again, so the gap opens.
+  const bins = Object.fromEntries(layout.ledgers.flatMap(l => l.bins.map(b => [b.id, b])));
+  const byId = Object.fromEntries(cards.map(c => [c.id, c]));
+  const roleBin = role => {
+    const ids = Object.keys(bins).filter(id => bins[id].role === role);
+    return ids[Math.floor(rng() * ids.length)];
+  };
+  const opensGap = planted => {
+    const shift = { production: 0, expenditure: 0, income: 0 };
+    planted.forEach(p => {
+      const c = byId[p.card];
+      shift[c.ledger] += c.amount * (sum(p.bins.map(b => bins[b].sign)) - sum(cardBins(c).map(b => bins[b].sign)));
+    });
+    return shift.production !== shift.expenditure || shift.production !== shift.income;
+  };
+
+  let planted = [];
+  for (let tries = 0; tries < 20; tries++) {
+    const groups = shuffle(MISTAKE_CATALOG, rng)
+      .map(m => ({ m, cards: shuffle(cards.filter(m.fits), rng) }))
+      .filter(g => g.cards.length);
+    planted = [];
+    for (let i = 0; planted.length < count && groups.some(g => g.cards.length); i++) {
+      const g = groups[i % groups.length];
+      const card = g.cards.pop();
+      if (card) planted.push({ card: card.id, mistake: g.m.id, bins: g.m.bins(card, roleBin) });
+    }
+    if (opensGap(planted)) break;
+  }
+  return planted;
+}
+
+function buildSupplyChain(firmStats, capitalBudget) {
+  // Input–output matrix for supply-chain rounds. Each buyer's intermediate total INT is fixed,
+  // so sourcing part of it from other firms changes no firm's VA: GDP stays sum(VA).
+  // Sellers keep at least 20% of output for final users; capital-goods sales come out of
+  // capitalBudget (fixed investment), because a machine is investment, not an input.
+  const byKey = Object.fromEntries(firmStats.map(fs => [fs.key, fs]));
+  const capacity = Object.fromEntries(firmStats.map(fs => [fs.key, Math.floor(fs.OUT * 0.8)]));
+  const bought = Object.fromEntries(firmStats.map(fs => [fs.key, 0]));
+  const edges = [];
+
+  firmStats.forEach(seller => {
+    (seller.customers || []).forEach(buyerKey => {
+      const buyer = byKey[buyerKey];
+      if (!buyer || buyer === seller) return;
+
+      let amount;
+      if (seller.capital) {
+        amount = Math.min(randInt(4, 14), capacity[seller.key], capitalBudget);
+        capitalBudget -= Math.max(0, amount);
+      } else {
+        const room = Math.floor(buyer.INT * 0.75) - bought[buyer.key];
+        amount = Math.min(Math.round(buyer.INT * (0.15 + rand() * 0.2)), room, capacity[seller.key]);
+        if (amount > 0) bought[buyer.key] += amount;
+      }
+      if (amount <= 0) return;
+
+      capacity[seller.key] -= amount;
+      edges.push({ seller: seller.key, buyer: buyer.key, amount, capital: Boolean(seller.capital) });
+    });
+  });
+
+  const keys = firmStats.map(fs => fs.key);
+  const matrix = (capital) => keys.map(s => keys.map(b =>
+    sum(edges.filter(e => e.capital === capital && e.seller === s && e.buyer === b).map(e => e.amount))
+  ));
+  return {
+    edges,
+    io: {
+      firms: keys,
+      intermediate: matrix(false),  // intermediate[i][j]: firm i's sales of inputs to firm j
+      capital: matrix(true),        // capital[i][j]: firm i's sales of investment goods to firm j
+      valueAdded: firmStats.map(fs => fs.VA)
+    }
+  };
+}
+
+function buildIncomeLedger(options, firms) {
+  // firmIncome rounds split wages and profits into one bin per firm, like the production ledger
+  const bins = options.firmIncome
+    ? firms.flatMap(f => [
+        { id: `I_W_${f.key}`, label: t("bin.firmWages", { firm: f.name }), accent: "both", sign: 1, firm: f.key, role: "wages" },
+        { id: `I_P_${f.key}`, label: t("bin.firmProfits", { firm: f.name }), accent: "both", sign: 1, firm: f.key, role: "profits" }
+      ]).concat(options.publicSector
+        ? [{ id: `I_W_${GOVERNMENT_KEY}`, label: t("bin.govWages"), accent: "both", sign: 1, firm: GOVERNMENT_KEY, role: "wages" }]
+        : [])
+    : [
+        { id: "I_W", label: t("bin.I_W"), accent: "both", sign: 1, role: "wages" },
+        { id: "I_P", label: t("bin.I_P"), accent: "both", sign: 1, role: "profits" }
+      ];
+  if (options.income === "full") {
+    bins.push(
+      { id: "I_MIX", label: t("bin.I_MIX"), accent: "both", sign: 1 },
+      { id: "I_DEP", label: t("bin.I_DEP"), accent: "both", sign: 1 },
+      { id: "I_TAX", label: t("bin.I_TAX"), accent: "both", sign: 1 }
+    );
+  }
+  if (options.gnp) {
+    // Produced abroad but earned by residents: GNP only. Produced here but earned by foreigners: GDP only.
+    bins.push(
+      { id: "I_NFR", label: t("bin.I_NFR"), accent: "gnp", sign: 0, gnpSign: 1 },
+      { id: "I_NFP", label: t("bin.I_NFP"), accent: "gdp", sign: 1, gnpSign: 0 }
+    );
+  }
+  bins.push({ id: "I_XCL", label: t("bin.I_XCL"), accent: "neither", sign: 0 });
+
+  let note = options.income === "full" ? t("note.incomeFull") : t("note.incomeSimple");
+  if (options.gnp) note += t("note.gnp");
+
+  return { id: "income", label: t("ledger.income"), ...(options.firmIncome ? { wide: true } : {}), bins, note };
+}
+
+function buildRealLedger() {
+  return {
+    id: "real",
+    label: t("ledger.real"),
+    bins: [
+      { id: "R_NOM0", label: t("bin.R_NOM0"), accent: "gdp", sign: 0 },
+      { id: "R_NOM1", label: t("bin.R_NOM1"), accent: "gdp", sign: 0 },
+      { id: "R_REAL1", label: t("bin.R_REAL1"), accent: "gdp", sign: 0 },
+      { id: "R_XCL", label: t("bin.R_XCL"), accent: "neither", sign: 0 }
+    ],
+    note: t("note.real")
+  };
+}
+
+function buildLayout(firms, options = {}) {
+  // The layout keeps the options it was built from, so localizeScenario() can rebuild its labels
+  const ledgers = [
+    {
+      id: "production",
+      label: t("ledger.production"),
+      wide: true,
+      bins: [
+        ...firms.flatMap(f => [
+          { id: `P_${f.key}_OUT`, label: t("bin.firmOutput", { firm: f.name }), accent: "both", sign: 1, firm: f.key, role: "output" },
+          { id: `P_${f.key}_INT`, label: t("bin.firmIntermediate", { firm: f.name }), accent: "both", sign: -1, firm: f.key, role: "intermediate" }
+        ]),
+        ...(options.publicSector
+          ? [
+              { id: `P_${GOVERNMENT_KEY}_OUT`, label: t("bin.govOutput"), accent: "both", sign: 1, firm: GOVERNMENT_KEY, role: "output", panel: "government" },
+              { id: `P_${GOVERNMENT_KEY}_INT`, label: t("bin.govIntermediate"), accent: "both", sign: -1, firm: GOVERNMENT_KEY, role: "intermediate", panel: "government" }
+            ]
+          : []),
+        ...(options.supplyChain
+          ? [{ id: "P_XCL", label: t("bin.P_XCL"), accent: "neither", sign: 0 }]
+          : [])
+      ],
+      // Bins with a `panel` are drawn together under that panel's heading
+      ...(options.publicSector ? { panels: [{ id: "government", label: t("panel.government"), note: t("note.governmentPanel") }] } : {}),
+      note: options.supplyChain ? t("note.productionChain") : t("note.production")
+    },
+    {
+      id: "expenditure",
+      label: t("ledger.expenditure"),
+      bins: [
+        { id: "E_C", label: t("bin.E_C"), accent: "both", sign: 1 },
+        { id: "E_I", label: t("bin.E_I"), accent: "both", sign: 1 },
+        { id: "E_G", label: t("bin.E_G"), accent: "both", sign: 1 },
+        { id: "E_X", label: t("bin.E_X"), accent: "both", sign: 1 },
+        { id: "E_M", label: t("bin.E_M"), accent: "both", sign: -1 },
+        { id: "E_XCL", label: t("bin.E_XCL"), accent: "neither", sign: 0 }
+      ],
+      note: t("note.expenditure")
+    },
+    buildIncomeLedger(options, firms)
+  ];
+  if (options.real) ledgers.push(buildRealLedger());
+  const kept = {
+    income: options.income === "full" ? "full" : "simple",
+    gnp: options.gnp === true,
+    real: options.real === true,
+    supplyChain: options.supplyChain === true,
+    firmIncome: options.firmIncome === true,
+    publicSector: options.publicSector === true
+  };
+  return {
+    firms,
+    ...(kept.publicSector ? { government: { key: GOVERNMENT_KEY, name: t("producer.government") } } : {}),
+    options: kept,
+    ledgers
+  };
+}
+
+function roundSig(x, digits) {
+  // Round to a number of significant digits, e.g. roundSig(24317, 3) === 24300
+  if (x === 0) return 0;
+  const scale = Math.pow(10, Math.floor(Math.log10(Math.abs(x))) - digits + 1);
+  return Math.round(x / scale) * scale;
+}
+
+function buildPriceQuantities(firms, target) {
+  // Real rounds: each firm's final output as price × quantity in a base year and this year.
+  // Card amounts are the $m values rounded to whole millions; every GDP measure is a sum
+  // of those rounded amounts, so correct placement still reconciles exactly.
+  // Only this year gets production, expenditure and income ledgers: the base year exists
+  // as these final sales alone, so its nominal GDP is checked against their total rather
+  // than reconciled three ways.
+  const values = partition(target, firms.length, 10);
+  return firms.map((f, idx) => pricedOutput(f, values[idx]));
+}
+
+function pricedOutput(f, value1) {
+  // One product worth about value1 ($m) this year, at prices near f.price
+  const P1 = roundSig(f.price * (0.8 + rand() * 0.45), 2);
+  const Q1 = Math.max(10, roundSig(value1 * 1e6 / P1, 3));
+  const inflation = -0.03 + rand() * 0.12;  // -3% to +9%
+  const growth = -0.04 + rand() * 0.12;     // -4% to +8%
+  const P0 = Math.max(1, roundSig(P1 / (1 + inflation), 3));
+  const Q0 = Math.max(10, roundSig(Q1 / (1 + growth), 3));
+  const value = (p, q) => Math.round(p * q / 1e6);
+  return {
+    name: f.name, units: f.units, P0, P1, Q0, Q1,
+    nominal0: value(P0, Q0),
+    nominal1: value(P1, Q1),
+    real1: value(P0, Q1),
+    mixed: value(P1, Q0) // this year's prices on base-year quantities: a distractor
+  };
+}
+
+function summarizeRealGDP(priceStats) {
+  const nominalBase = sum(priceStats.map(ps => ps.nominal0));
+  const nominalCurrent = sum(priceStats.map(ps => ps.nominal1));
+  const realCurrent = sum(priceStats.map(ps => ps.real1));
+  return {
+    products: priceStats,
+    nominalBase,
+    nominalCurrent,
+    realCurrent,
+    deflator: 100 * nominalCurrent / realCurrent,
+    realGrowth: realCurrent / nominalBase - 1
+  };
+}
+
+function generateScenario(seed = randomSeed(), options = {}) {
+  // Campaigns: last year's economy first, before this year's stream is seeded
+  const year = campaignYear(options);
+  const before = year > 1 ? generateScenario(seed, { ...options, year: year - 1 }).meta : null;
+  rand = makeRng(year ? hashString(`${seed}/${year}`) : seed);
+
+  const profile = resolveDifficulty(options.difficulty);
+  const firms = resolveFirms(options.firms === undefined ? profile.firms : options.firms);
+  const fullIncome = options.income === "full";
+  const gnp = options.gnp === true;
+  const real = options.real === true;
+  const supplyChain = options.supplyChain === true;
+  const firmIncome = options.firmIncome === true;
+  const splitImports = options.splitImports === true;
+  const publicSector = options.publicSector === true;
+  const findErrors = options.findErrors === true;
+  const layout = buildLayout(firms, options);
+
   // -----------------------------
   // 1) Choose a GDP target
+  //    Real rounds derive it from price × quantity of each firm's final output instead,
+  //    so this year's nominal GDP is the same number in every ledger.
+  //    Public-sector rounds set aside 6–11% of it as the government's payroll; in real rounds
+  //    that is public employees × pay, and real public output is measured by its staff.
+  //    Campaign years after the first grow last year's GDP instead (kept within the level's
+  //    range, stretched by half at the top).
   // -----------------------------
-  const GDP_TARGET = randInt(180, 520); // varies each round
+  let GDP_TARGET = before
+    ? clamp(Math.round(before.gdpTarget * (0.96 + rand() * 0.1)), profile.gdpRange[0], Math.round(profile.gdpRange[1] * 1.5))
+    : randInt(profile.gdpRange[0], profile.gdpRange[1]); // varies each round
+  let govPay = publicSector ? Math.round(GDP_TARGET * (0.06 + rand() * 0.05)) : 0;
+  const priceStats = real ? buildPriceQuantities(firms, GDP_TARGET - govPay) : null;
+  const govStats = real && publicSector ? pricedOutput({ name: GOVERNMENT_KEY, units: "public employees", price: PUBLIC_PAY }, govPay) : null;
+  if (govStats) govPay = govStats.nominal1;
+  if (priceStats) GDP_TARGET = sum(priceStats.map(ps => ps.nominal1)) + govPay;
 
   // -----------------------------
   // 2) Expenditure approach: choose components and solve for inventory investment
   // GDP = C + I_fixed + I_inv + G + (X - M)
+  // Campaign rounds draw the inventory change and let consumption take up the rest, so stocks
+  // rise and fall; years after the first scale last year's G, X, M and fixed investment with
+  // GDP, each ±3% on top.
   // -----------------------------
-  let C = clamp(Math.round(0.58 * GDP_TARGET + randInt(-35, 35)), 70, 420);
-  let G = clamp(Math.round(0.18 * GDP_TARGET + randInt(-20, 20)), 20, 200);
-  let X = clamp(Math.round(0.14 * GDP_TARGET + randInt(-20, 20)), 10, 200);
-  let M = clamp(Math.round(0.20 * GDP_TARGET + randInt(-25, 25)), 10, 240);
-  let I_fixed = clamp(Math.round(0.20 * GDP_TARGET + randInt(-25, 25)), 15, 240);
+  // Profiles without negative inventory keep it at 2 or more (one or two positive cards).
+  // Campaigns can only sell down the stock on hand at the start of the year.
+  const stockStart = before ? before.campaign.stockEnd : (year ? randInt(20, 60) : 0);
+  const IINV_MIN = profile.negativeInventory ? (year ? -Math.min(60, stockStart) : -60) : 2;
+  const IINV_MAX = 120;
+
+  const grown = (key) => Math.round(before.components[key] * GDP_TARGET / before.gdpTarget * (0.97 + rand() * 0.06));
+  let C = year ? 0 : clamp(Math.round(0.58 * GDP_TARGET + randInt(-35, 35)), 70, 420);
+  let G = clamp(before ? grown("G") : Math.round(0.18 * GDP_TARGET + randInt(-20, 20)), 20, 200);
+  let X = clamp(before ? grown("X") : Math.round(0.14 * GDP_TARGET + randInt(-20, 20)), 10, 200);
+  let M = clamp(before ? grown("M") : Math.round(0.20 * GDP_TARGET + randInt(-25, 25)), 10, 240);
+  let I_fixed = clamp(before ? grown("I_fixed") : Math.round(0.20 * GDP_TARGET + randInt(-25, 25)), 15, 240);
+  // G pays the government's payroll and still buys at least 5 from businesses
+  if (publicSector) G = Math.max(G, govPay + 5);
+  const invSwing = Math.max(5, Math.round(0.08 * GDP_TARGET)); // campaign inventory change: within ±8% of GDP
+  if (year) C = clamp(GDP_TARGET - I_fixed - G - (X - M) - randInt(Math.max(IINV_MIN, -invSwing), invSwing), 40, 500);
 
   // Solve for inventory investment (can be negative)
   let I_inv = GDP_TARGET - C - I_fixed - G - (X - M);
 
   // Keep inventory investment within a pedagogically reasonable band by nudging C (identity preserved).
   // (We prefer not to clamp I_inv directly because it would break reconciliation.)
-  const IINV_MIN = -60;
-  const IINV_MAX = 120;
 
   if (I_inv < IINV_MIN) {
     // make I_inv less negative by reducing C
@@ -92,6 +709,11 @@ function generateScenario() {
     C = clamp(C - bump, 40, 450);
     I_inv = GDP_TARGET - C - I_fixed - G - (X - M);
   }
+  if (I_inv < IINV_MIN && (!profile.negativeInventory || year)) {
+    // C hit its floor: more imports cover the rest, since inventories must not fall (this far)
+    M += IINV_MIN - I_inv;
+    I_inv = IINV_MIN;
+  }
   if (I_inv > IINV_MAX) {
     // make I_inv smaller by increasing C
     const bump = I_inv - IINV_MAX; // positive
@@ -104,20 +726,15 @@ function generateScenario() {
   // -----------------------------
   // 3) Production approach: choose firm VA shares summing to GDP_TARGET
   // -----------------------------
-  const firms = [
-    { keyOut: "P_S_OUT", keyInt: "P_S_INT", name: "SteelCo" },
-    { keyOut: "P_A_OUT", keyInt: "P_A_INT", name: "AutoCo" },
-    { keyOut: "P_P_OUT", keyInt: "P_P_INT", name: "PortCo" },
-    { keyOut: "P_M_OUT", keyInt: "P_M_INT", name: "MachCo" }
-  ];
-
-  // Random VA partition across firms (each at least 10)
-  const vaParts = partition(GDP_TARGET, 4, 10).map(x => Math.max(10, x));
-  // Fix any drift from enforcing min 10
-  let vaSum = vaParts.reduce((a, b) => a + b, 0);
-  if (vaSum !== GDP_TARGET) {
-    vaParts[0] += (GDP_TARGET - vaSum);
-  }
+  // Random VA partition across firms (each at least 10; every gdpRange starts >= 10 * MAX_FIRMS
+  // with room for the government's payroll); the government's VA is its payroll.
+  // Campaign years after the first grow each firm's last VA by ±8% and share out the new total.
+  const lastYear = (f) => before && before.campaign.firms[f.key];
+  const vaParts = before
+    ? apportion(GDP_TARGET - govPay, firms.map(f => (lastYear(f) ? lastYear(f).VA : 10) * (0.92 + rand() * 0.16)), 10)
+    : partition(GDP_TARGET - govPay, firms.length, 10);
+  // Government output at cost: payroll plus everything G buys from businesses, used up in production
+  const govInputs = G - govPay;
 
   // For each firm, pick an intermediate share and compute output/intermediate so VA is exact
   // Output = VA + Intermediate; Intermediate = round(theta * Output) is messy, so we do:
@@ -125,167 +742,281 @@ function generateScenario() {
   // Then Output = VA + Intermediate (exact integer).
   const firmStats = firms.map((f, idx) => {
     const VA = vaParts[idx];
-    const k = 0.2 + Math.random() * 0.9; // intermediate intensity relative to VA
+    // intermediate intensity relative to VA; a campaign firm keeps last year's, ±5%
+    const k = lastYear(f) ? clamp(lastYear(f).k * (0.95 + rand() * 0.1), 0.2, 1.1) : 0.2 + rand() * 0.9;
     const INT = Math.max(0, Math.round(k * VA));
     const OUT = VA + INT;
-    return { ...f, VA, INT, OUT };
+    return { ...f, keyOut: `P_${f.key}_OUT`, keyInt: `P_${f.key}_INT`, VA, INT, OUT, k };
   });
 
+  // Supply-chain rounds: route part of each firm's inputs through the other firms
+  // (leave at least 5 of fixed investment for the generic investment cards)
+  const chain = supplyChain ? buildSupplyChain(firmStats, I_fixed - 5) : { edges: [], io: null };
+  const soldTo = (key) => sum(chain.edges.filter(e => e.seller === key).map(e => e.amount));
+  const boughtBy = (key) => sum(chain.edges.filter(e => e.buyer === key && !e.capital).map(e => e.amount));
+  const capitalSales = sum(chain.edges.filter(e => e.capital).map(e => e.amount));
+
   // -----------------------------
   // 4) Income approach: wages + profits = VA per firm, summed to GDP_TARGET
+  //    Full income: W + P + MIX + DEP + TAX = VA per firm, where TAX is taxes on production
+  //    net of subsidies (TAX = taxes - subsidy)
   // -----------------------------
   const incomeStats = firmStats.map(fs => {
-    const wageShare = 0.55 + Math.random() * 0.25; // 0.55–0.80
-    const W = Math.round(wageShare * fs.VA);
-    const P = fs.VA - W;
-    return { name: fs.name, W, P };
+    let DEP = 0, TAX = 0, subsidy = 0, MIX = 0;
+    if (fullIncome) {
+      DEP = Math.max(1, Math.round(fs.VA * (0.08 + rand() * 0.07)));  // 8–15% of VA
+      TAX = Math.max(1, Math.round(fs.VA * (0.04 + rand() * 0.06)));  // 4–10% of VA
+      subsidy = rand() < 0.35 ? Math.max(1, Math.round(TAX * 0.4)) : 0;
+      // Working owners of the firm itself, so their income is part of its VA
+      MIX = rand() < 0.5 ? Math.round(fs.VA * (0.05 + rand() * 0.07)) : 0;
+    }
+    const factorVA = fs.VA - DEP - TAX - MIX; // left for employees and owners
+    const wageShare = 0.55 + rand() * 0.25; // 0.55–0.80
+    const W = Math.round(wageShare * factorVA);
+    const P = factorVA - W;
+    return { key: fs.key, name: fs.name, W, P, MIX, DEP, TAX, subsidy, WF: 0, PF: 0 };
   });
 
+  // -----------------------------
+  // 4b) GNP rounds: factor income crossing the border
+  //     Part of one firm's profits belongs to foreign owners (PF) and part of one firm's
+  //     payroll goes to cross-border commuters (WF): still in GDP, not in GNP.
+  //     Residents also earn wages and profits abroad: in GNP, not in GDP.
+  //     GNP = GDP + factorReceipts - factorPayments
+  // -----------------------------
+  let receiptsW = 0, receiptsP = 0, receiptsFirm = null;
+  if (gnp) {
+    const owned = incomeStats.find(st => st.name === "PortCo") || pick(incomeStats);
+    if (owned.P >= 2) owned.PF = clamp(Math.round(owned.P * (0.3 + rand() * 0.4)), 1, owned.P - 1);
+    const commuted = pick(incomeStats);
+    if (commuted.W >= 2) commuted.WF = clamp(Math.round(commuted.W * (0.08 + rand() * 0.1)), 1, commuted.W - 1);
+
+    receiptsW = randInt(4, 14);
+    receiptsP = randInt(3, 12);
+    receiptsFirm = pick(incomeStats).name;
+  }
+  const factorPayments = sum(incomeStats.map(st => st.WF + st.PF));
+  const factorReceipts = receiptsW + receiptsP;
+
   // -----------------------------
   // 5) Build lots of cards (with ambiguous wording, no parentheticals)
   // -----------------------------
   let idCounter = 0;
   const nextId = (prefix) => `${prefix}_${++idCounter}`;
+  // How many cards a total is split into: the standard [lo, hi] range scaled by the profile
+  const pieces = (lo, hi) => randInt(
+    Math.max(1, Math.round(lo * profile.splitScale)),
+    Math.max(1, Math.round(hi * profile.splitScale))
+  );
+  // Card text from a catalog template (i18n.js). Templates with variants draw one here, the
+  // same way in every language, and the card keeps its template for localizeScenario().
+  const worded = (key, params) => {
+    const n = variantCount(key);
+    const template = n > 1 ? { key, variant: randInt(0, n - 1), params } : { key, params };
+    return { text: t(key, params, template.variant), template };
+  };
 
   // Production cards (multiple outputs + multiple intermediate purchases per firm)
   const productionCards = [];
-const prodOutTemplates = [
-  (name, v) => `${name} records $${v}m in sales of goods/services produced this year.`,
-  (name, v) => `${name} delivers goods/services valued at $${v}m at market prices.`,
-  (name, v) => `${name} reports $${v}m in output for the year.`,
-  (name, v) => `${name} fulfills customer orders totaling $${v}m.`,
-  (name, v) => `${name} bills $${v}m for products/services it produced this year.`
-];
-const prodIntTemplates = [
-  (name, v) => `${name} purchases $${v}m of materials and services used up during production.`,
-  (name, v) => `${name} buys $${v}m of components/materials used in its production process.`,
-  (name, v) => `${name} pays $${v}m for production inputs (materials, services, energy).`
-];
 
   firmStats.forEach(fs => {
-    const outParts = partition(fs.OUT, randInt(2, 4), 3);
+    // Generic cards cover output sold to final users and inputs from outside the modelled firms
+    const outParts = partition(fs.OUT - soldTo(fs.key), pieces(2, 4), 3);
     outParts.forEach(v => {
       productionCards.push({
         id: nextId("p"),
         ledger: "production",
         amount: v,
-        text: pick(prodOutTemplates)(fs.name, v),
+        ...worded("card.prodOut", { firm: fs.name, v }),
         correctBin: fs.keyOut
       });
     });
 
-    const intParts = partition(fs.INT, randInt(2, 4), 1);
+    const intParts = partition(fs.INT - boughtBy(fs.key), pieces(2, 4), 1);
     intParts.forEach(v => {
       productionCards.push({
         id: nextId("p"),
         ledger: "production",
         amount: v,
-        text: pick(prodIntTemplates)(fs.name, v),
+        ...worded("card.prodInt", { firm: fs.name, v }),
         correctBin: fs.keyInt
       });
     });
   });
 
+  // Each inter-firm sale appears twice: as the seller's output and on the buyer's side
+  const firmByKey = Object.fromEntries(firmStats.map(fs => [fs.key, fs]));
+  chain.edges.forEach(e => {
+    const seller = firmByKey[e.seller];
+    const buyer = firmByKey[e.buyer];
+    const params = { seller: seller.name, buyer: buyer.name, product: firmTerm(seller, "product"), v: e.amount };
+    productionCards.push({
+      id: nextId("p"),
+      ledger: "production",
+      amount: e.amount,
+      ...worded(e.capital ? "card.chainCapitalSale" : "card.chainSale", params),
+      correctBin: seller.keyOut
+    });
+    productionCards.push({
+      id: nextId("p"),
+      ledger: "production",
+      amount: e.amount,
+      ...worded(e.capital ? "card.chainInstall" : "card.chainInput", params),
+      correctBin: e.capital ? "P_XCL" : buyer.keyInt
+    });
+  });
+
+  // The government producer: output at cost and the inputs it buys from businesses
+  if (publicSector) {
+    partition(govPay + govInputs, pieces(1, 2), 3).forEach(v => {
+      productionCards.push({
+        id: nextId("p"),
+        ledger: "production",
+        amount: v,
+        ...worded("card.govOutput", { v }),
+        correctBin: `P_${GOVERNMENT_KEY}_OUT`
+      });
+    });
+    partition(govInputs, pieces(1, 2), 2).forEach(v => {
+      productionCards.push({
+        id: nextId("p"),
+        ledger: "production",
+        amount: v,
+        ...worded("card.govInputs", { v }),
+        correctBin: `P_${GOVERNMENT_KEY}_INT`
+      });
+    });
+  }
+
   // Expenditure cards
   const expenditureCards = [];
 
-  // Consumption: split into 3–6 cards
-  partition(C, randInt(3, 6), 5).forEach(v => {
+  // Split-import rounds: imported goods bought by households, firms or government sit in their
+  // spending component and again in M, so each is carved out of both totals (C + I + G + X - M
+  // is unchanged). Each buyer keeps at least 5 for its ordinary cards and M at least 2.
+  const importRoom = { E_C: C, E_I: I_fixed - capitalSales, E_G: govInputs, E_M: M };
+  const splitCards = [];
+  if (splitImports) {
+    for (let n = randInt(1, 3); n > 0; n--) {
+      if (importRoom.E_M < 5) break;
+      const v = randInt(3, Math.min(20, importRoom.E_M - 2));
+      const buyers = ["E_C", "E_I", "E_G"].filter(b => importRoom[b] - v >= 5);
+      if (!buyers.length) break;
+      const bin = pick(buyers);
+      importRoom[bin] -= v;
+      importRoom.E_M -= v;
+      splitCards.push({ bin, v });
+    }
+  }
+
+  // Consumption: split into 3–6 cards (at standard difficulty; likewise below)
+  partition(importRoom.E_C, pieces(3, 6), 5).forEach(v => {
     expenditureCards.push({
       id: nextId("e"),
       ledger: "expenditure",
       amount: v,
-      text: pick([
-        `Households spend $${v}m on final goods and services.`,
-        `Consumer purchases total $${v}m this year.`,
-        `Household final spending equals $${v}m.`
-      ]),
+      ...worded("card.consumption", { v }),
       correctBin: "E_C"
     });
   });
 
   // Government purchases: split into 2–4 cards
-  partition(G, randInt(2, 4), 4).forEach(v => {
+  partition(importRoom.E_G, pieces(2, 4), 4).forEach(v => {
     expenditureCards.push({
       id: nextId("e"),
       ledger: "expenditure",
       amount: v,
-      text: pick([
-        `A public agency buys $${v}m of goods and services from businesses.`,
-        `Government purchases total $${v}m.`,
-        `Public-sector spending on goods/services equals $${v}m.`
-      ]),
+      ...worded("card.government", { v }),
       correctBin: "E_G"
     });
   });
 
+  // Public-sector rounds: the government's payroll is spending on the services it produces itself
+  if (publicSector) {
+    partition(govPay, pieces(1, 2), 3).forEach(v => {
+      expenditureCards.push({
+        id: nextId("e"),
+        ledger: "expenditure",
+        amount: v,
+        ...worded("card.govPayroll", { v }),
+        correctBin: "E_G",
+        meta: { subtype: "governmentPay" }
+      });
+    });
+  }
+
   // Exports: split into 1–3 cards
-  partition(X, randInt(1, 3), 3).forEach(v => {
+  partition(X, pieces(1, 3), 3).forEach(v => {
     expenditureCards.push({
       id: nextId("e"),
       ledger: "expenditure",
       amount: v,
-      text: pick([
-        `Foreign buyers purchase $${v}m of domestically produced output.`,
-        `Sales to customers abroad total $${v}m.`,
-        `Output sold to the rest of the world equals $${v}m.`
-      ]),
+      ...worded("card.exports", { v }),
       correctBin: "E_X"
     });
   });
 
   // Imports: split into 2–5 cards
-  partition(M, randInt(2, 5), 2).forEach(v => {
+  partition(importRoom.E_M, pieces(2, 5), 2).forEach(v => {
     expenditureCards.push({
       id: nextId("e"),
       ledger: "expenditure",
       amount: v,
-      text: pick([
-        `Domestic buyers purchase $${v}m of goods/services produced outside the country.`,
-        `Purchases of foreign-produced items total $${v}m.`,
-        `Spending on goods/services produced abroad equals $${v}m.`
-      ]),
+      ...worded("card.imports", { v }),
       correctBin: "E_M"
     });
   });
 
   // Investment fixed: 2–4 cards (non-inventory)
-  const fixedInvestTemplates = [
-    (v) => `Businesses purchase new equipment worth $${v}m.`,
-    (v) => `Firms acquire newly produced software and equipment totaling $${v}m.`,
-    (v) => `Private investment in structures/equipment equals $${v}m.`
-  ];
-  partition(I_fixed, randInt(2, 4), 5).forEach(v => {
+  partition(importRoom.E_I, pieces(2, 4), 5).forEach(v => {
     expenditureCards.push({
       id: nextId("e"),
       ledger: "expenditure",
       amount: v,
-      text: pick(fixedInvestTemplates)(v),
+      ...worded("card.fixed", { v }),
+      correctBin: "E_I",
+      meta: { subtype: "fixed" }
+    });
+  });
+
+  // Capital goods sold between firms are final investment by the buyer
+  chain.edges.filter(e => e.capital).forEach(e => {
+    const seller = firmByKey[e.seller];
+    const buyer = firmByKey[e.buyer];
+    expenditureCards.push({
+      id: nextId("e"),
+      ledger: "expenditure",
+      amount: e.amount,
+      ...worded("card.capitalPurchase", { buyer: buyer.name, seller: seller.name, product: firmTerm(seller, "product"), v: e.amount }),
       correctBin: "E_I",
       meta: { subtype: "fixed" }
     });
   });
 
+  // Imported final goods: one amount, two bins
+  const importKeys = { E_C: "card.importConsumption", E_I: "card.importInvestment", E_G: "card.importGovernment" };
+  splitCards.forEach(({ bin, v }) => {
+    expenditureCards.push({
+      id: nextId("e"),
+      ledger: "expenditure",
+      amount: v,
+      ...worded(importKeys[bin], { v }),
+      correctBins: [bin, "E_M"],
+      meta: { subtype: "importedGoods" }
+    });
+  });
+
   // Inventory investment: 1–2 cards (inside I)
   const invIds = [];
-  partition(I_inv, randInt(1, 2), 1).forEach(v => {
+  partition(I_inv, pieces(1, 2), 1).forEach(v => {
     const id = nextId("e");
     invIds.push(id);
     expenditureCards.push({
       id,
       ledger: "expenditure",
       amount: v,
-      text: (v >= 0)
-        ? pick([
-            `Firms end the year with larger inventories; inventories rise by $${v}m.`,
-            `Unsold output adds $${v}m to inventories by year end.`,
-            `Inventory accumulation totals $${v}m over the year.`
-          ])
-        : pick([
-            `Firms reduce inventories; inventories fall by $${Math.abs(v)}m.`,
-            `Sales out of existing inventories reduce inventories by $${Math.abs(v)}m.`,
-            `Inventory liquidation equals $${Math.abs(v)}m over the year.`
-          ]),
+      // After the first campaign year, a fall comes out of the stock built up in earlier years
+      ...worded(v >= 0 ? "card.inventoryUp" : (before ? "card.inventoryFromStock" : "card.inventoryDown"), { v: Math.abs(v) }),
       correctBin: "E_I",
       meta: { subtype: "inventory" }
     });
@@ -293,20 +1024,21 @@ const prodIntTemplates = [
 
   // Expenditure distractors (XCL): 3–6 cards, no obvious labels
   const xclPool = [
-    { amt: randInt(8, 22),  text: (a) => `A government program sends $${a}m to households.` },
-    { amt: randInt(6, 18),  text: (a) => `A used asset changes hands for $${a}m.` },
-    { amt: randInt(10, 30), text: (a) => `Households trade existing securities worth $${a}m.` },
-    { amt: randInt(6, 20),  text: (a) => `A one-time payment of $${a}m is made to individuals.` },
-    { amt: randInt(8, 24),  text: (a) => `A loan principal repayment totals $${a}m.` },
-    { amt: randInt(6, 18),  text: (a) => `A household receives $${a}m from an insurance claim payout.` }
+    { amt: randInt(8, 22),  subtype: "transfer",  key: "card.xclProgram" },
+    { amt: randInt(6, 18),  subtype: "usedGood",  key: "card.xclUsedAsset" },
+    { amt: randInt(10, 30), subtype: "financial", key: "card.xclSecurities" },
+    { amt: randInt(6, 20),  subtype: "transfer",  key: "card.xclOneTime" },
+    { amt: randInt(8, 24),  subtype: "financial", key: "card.xclLoan" },
+    { amt: randInt(6, 18),  subtype: "transfer",  key: "card.xclInsurance" }
   ];
-  shuffle(xclPool).slice(0, randInt(3, 6)).forEach(o => {
+  shuffle(xclPool).slice(0, randInt(profile.expenditureDistractors[0], profile.expenditureDistractors[1])).forEach(o => {
     expenditureCards.push({
       id: nextId("e"),
       ledger: "expenditure",
       amount: o.amt,
-      text: o.text(o.amt),
-      correctBin: "E_XCL"
+      ...worded(o.key, { v: o.amt }),
+      correctBin: "E_XCL",
+      meta: { subtype: o.subtype }
     });
   });
 
@@ -314,63 +1046,565 @@ const prodIntTemplates = [
   const incomeCards = [];
 
   incomeStats.forEach(st => {
-    // wages split 2–3
-    partition(st.W, randInt(2, 3), 4).forEach(v => {
+    // wages split 2–3 (wages of cross-border commuters get their own card below)
+    partition(st.W - st.WF, pieces(2, 3), 4).forEach(v => {
       incomeCards.push({
         id: nextId("i"),
         ledger: "income",
+        firm: st.key,
         amount: v,
-        text: pick([
-          `${st.name} pays $${v}m in compensation to workers.`,
-          `${st.name} payroll totals $${v}m.`,
-          `${st.name} pays $${v}m in wages and salaries.`
-        ]),
-        correctBin: "I_W"
+        ...worded("card.wages", { firm: st.name, v }),
+        correctBin: firmIncome ? `I_W_${st.key}` : "I_W"
       });
     });
 
-    // profits split 1–2
-    partition(st.P, randInt(1, 2), 2).forEach(v => {
+    // profits split 1–2 (the foreign owners' share gets its own card below)
+    partition(st.P - st.PF, pieces(1, 2), 2).forEach(v => {
       incomeCards.push({
         id: nextId("i"),
         ledger: "income",
+        firm: st.key,
         amount: v,
-        text: pick([
-          `${st.name} records $${v}m as operating surplus.`,
-          `${st.name} reports profits of $${v}m.`,
-          `${st.name} earns $${v}m in business income.`
-        ]),
-        correctBin: "I_P"
+        ...worded("card.profits", { firm: st.name, v }),
+        correctBin: firmIncome ? `I_P_${st.key}` : "I_P"
       });
     });
+
+    if (st.WF > 0) {
+      incomeCards.push({
+        id: nextId("i"),
+        ledger: "income",
+        firm: st.key,
+        amount: st.WF,
+        ...worded("card.commuters", { firm: st.name, v: st.WF }),
+        correctBin: "I_NFP"
+      });
+    }
+    if (st.PF > 0) {
+      incomeCards.push({
+        id: nextId("i"),
+        ledger: "income",
+        firm: st.key,
+        amount: st.PF,
+        ...worded("card.foreignOwners", { firm: st.name, v: st.PF }),
+        correctBin: "I_NFP"
+      });
+    }
+
+    if (!fullIncome) return;
+
+    if (st.MIX > 0) {
+      incomeCards.push({
+        id: nextId("i"),
+        ledger: "income",
+        firm: st.key,
+        amount: st.MIX,
+        ...worded("card.mixedIncome", { firm: st.name, v: st.MIX }),
+        correctBin: "I_MIX"
+      });
+    }
+
+    // depreciation split 1–2
+    partition(st.DEP, pieces(1, 2), 1).forEach(v => {
+      incomeCards.push({
+        id: nextId("i"),
+        ledger: "income",
+        firm: st.key,
+        amount: v,
+        ...worded("card.depreciation", { firm: st.name, v }),
+        correctBin: "I_DEP"
+      });
+    });
+
+    // production taxes (gross), plus a negative card for any subsidy so the bin nets out to TAX
+    const grossTax = st.TAX + st.subsidy;
+    incomeCards.push({
+      id: nextId("i"),
+      ledger: "income",
+      firm: st.key,
+      amount: grossTax,
+      ...worded("card.productionTax", { firm: st.name, v: grossTax }),
+      correctBin: "I_TAX"
+    });
+    if (st.subsidy > 0) {
+      incomeCards.push({
+        id: nextId("i"),
+        ledger: "income",
+        firm: st.key,
+        amount: -st.subsidy,
+        ...worded("card.subsidy", { firm: st.name, v: st.subsidy }),
+        correctBin: "I_TAX",
+        meta: { subtype: "subsidy" }
+      });
+    }
   });
 
+  // Public employees' pay is wages like any other, earned producing the government's output
+  if (publicSector) {
+    partition(govPay, pieces(1, 2), 3).forEach(v => {
+      incomeCards.push({
+        id: nextId("i"),
+        ledger: "income",
+        firm: GOVERNMENT_KEY,
+        amount: v,
+        ...worded("card.govWages", { v }),
+        correctBin: firmIncome ? `I_W_${GOVERNMENT_KEY}` : "I_W"
+      });
+    });
+  }
+
   // Income distractors: 2–4 (no “financial transaction” label)
   const incXclPool = [
-    { amt: randInt(8, 24), text: (a) => `A household receives $${a}m from a public benefit program.` },
-    { amt: randInt(8, 26), text: (a) => `Investors realize $${a}m from asset price changes.` },
-    { amt: randInt(10, 30), text: (a) => `A firm raises $${a}m by issuing new securities.` },
-    { amt: randInt(6, 18), text: (a) => `A lump-sum transfer of $${a}m is received by households.` }
+    { amt: randInt(8, 24), subtype: "transfer", key: "card.incBenefit" },
+    { amt: randInt(8, 26), subtype: "financial", key: "card.incAssetGains" },
+    { amt: randInt(10, 30), subtype: "financial", key: "card.incSecurities" },
+    { amt: randInt(6, 18), subtype: "transfer", key: "card.incLumpSum" }
   ];
-  shuffle(incXclPool).slice(0, randInt(2, 4)).forEach(o => {
+  if (gnp) {
+    incomeCards.push({
+      id: nextId("i"),
+      ledger: "income",
+      amount: receiptsW,
+      ...worded("card.residentsWages", { v: receiptsW }),
+      correctBin: "I_NFR"
+    });
+    incomeCards.push({
+      id: nextId("i"),
+      ledger: "income",
+      amount: receiptsP,
+      ...worded("card.residentsProfits", { firm: receiptsFirm, v: receiptsP }),
+      correctBin: "I_NFR"
+    });
+    // Money sent home is a transfer, not income earned from production anywhere
+    incXclPool.push({ amt: randInt(5, 16), subtype: "transfer", key: "card.incRemittances" });
+  }
+  if (fullIncome) {
+    // Taxes on income are not taxes on production: a trap next to the I_TAX bin
+    incXclPool.push({ amt: randInt(10, 28), subtype: "incomeTax", key: "card.incIncomeTax" });
+  }
+  shuffle(incXclPool).slice(0, randInt(profile.incomeDistractors[0], profile.incomeDistractors[1])).forEach(o => {
     incomeCards.push({
       id: nextId("i"),
       ledger: "income",
       amount: o.amt,
-      text: o.text(o.amt),
-      correctBin: "I_XCL"
+      ...worded(o.key, { v: o.amt }),
+      correctBin: "I_XCL",
+      meta: { subtype: o.subtype }
     });
   });
 
+  // Real-GDP cards: one per firm for each price/quantity combination
+  const realCards = [];
+  if (real) {
+    priceStats.forEach((ps, idx) => {
+      const about = { firm: ps.name, units: firmTerm(firms[idx], "units") };
+      [
+        { amount: ps.nominal0, correctBin: "R_NOM0", ...worded("card.realBase", { ...about, q: ps.Q0, p: ps.P0 }) },
+        { amount: ps.nominal1, correctBin: "R_NOM1", ...worded("card.realCurrent", { ...about, q: ps.Q1, p: ps.P1 }) },
+        { amount: ps.real1, correctBin: "R_REAL1", ...worded("card.realAtBase", { ...about, q: ps.Q1, p: ps.P0 }) },
+        { amount: ps.mixed, correctBin: "R_XCL", ...worded("card.realMixed", { ...about, q: ps.Q0, p: ps.P1 }) }
+      ].forEach(c => realCards.push({ id: nextId("r"), ledger: "real", ...c }));
+    });
+  }
+  if (govStats) {
+    const gs = govStats;
+    [
+      { amount: gs.nominal0, correctBin: "R_NOM0", ...worded("card.realGovBase", { q: gs.Q0, p: gs.P0 }) },
+      { amount: gs.nominal1, correctBin: "R_NOM1", ...worded("card.realGovCurrent", { q: gs.Q1, p: gs.P1 }) },
+      { amount: gs.real1, correctBin: "R_REAL1", ...worded("card.realGovAtBase", { q: gs.Q1, p: gs.P0 }) },
+      { amount: gs.mixed, correctBin: "R_XCL", ...worded("card.realGovMixed", { q: gs.Q0, p: gs.P1 }) }
+    ].forEach(c => realCards.push({ id: nextId("r"), ledger: "real", ...c }));
+  }
+
+  // Easy rounds spell out what each card is, e.g. "... equals $40m (imports)."
+  if (!profile.ambiguous) {
+    [productionCards, expenditureCards, incomeCards].forEach(cards => cards.forEach(c => {
+      if (!plainHint(c)) return;
+      c.template.hint = true;
+      c.text = cardText(c);
+    }));
+  }
+
+  [productionCards, expenditureCards, incomeCards, realCards].forEach(cards => cards.forEach(c => {
+    c.explanation = explainCard(c);
+  }));
+
+  // Find-the-errors rounds: the plants draw from a stream of their own, so the cards (and the
+  // order they are shuffled into) are the same as in the round without them
+  const planted = findErrors
+    ? plantErrors([...productionCards, ...expenditureCards, ...incomeCards], layout, profile.plantedErrors, makeRng(hashString(`${seed}/${year}/errors`)))
+    : null;
+
   // Final shuffle so pool is never in “logical” order
   return {
+    layout,
     productionCards: shuffle(productionCards),
     expenditureCards: shuffle(expenditureCards),
     incomeCards: shuffle(incomeCards),
+    ...(real ? { realCards: shuffle(realCards) } : {}),
     meta: {
+      seed,
+      roundCode: roundCode(seed, options),
+      difficulty: typeof options.difficulty === "string" && DIFFICULTY_LEVELS[options.difficulty] ? options.difficulty : "standard",
       inventoryCardIds: invIds,
       gdpTarget: GDP_TARGET,
-      components: { C, I_fixed, I_inv, I_total, G, X, M }
+      // W and P are what the wage and profit bins hold: in GNP rounds the commuters' wages and the
+      // foreign owners' profits are left to factorPayments, as the cards put them in I_NFP
+      components: {
+        C, I_fixed, I_inv, I_total, G, X, M,
+        W: sum(incomeStats.map(st => st.W - st.WF)) + govPay,
+        P: sum(incomeStats.map(st => st.P - st.PF)),
+        MIX: sum(incomeStats.map(st => st.MIX)),
+        DEP: sum(incomeStats.map(st => st.DEP)),
+        TAX: sum(incomeStats.map(st => st.TAX)),
+        ...(publicSector ? { govPay } : {}),
+        ...(gnp ? { factorReceipts, factorPayments, gnp: GDP_TARGET + factorReceipts - factorPayments } : {})
+      },
+      ...(real ? { real: summarizeRealGDP(govStats ? [...priceStats, govStats] : priceStats) } : {}),
+      ...(supplyChain ? { io: chain.io } : {}),
+      ...(planted ? { findErrors: { planted } } : {}),
+      // What next year starts from: the code without a year names the whole campaign
+      ...(year ? {
+        campaign: {
+          seed, year,
+          code: roundCode(seed, { ...options, year: 0 }),
+          growth: before ? GDP_TARGET / before.gdpTarget - 1 : null,
+          stockStart,
+          stockEnd: stockStart + I_inv,
+          firms: Object.fromEntries(firmStats.map(fs => [fs.key, { VA: fs.VA, k: fs.k }]))
+        }
+      } : {})
+    }
+  };
+}
+
+// -----------------------------
+// Scenario files (instructor-authored rounds)
+// -----------------------------
+// A scenario file is the same object generateScenario() returns, plus a format tag:
+//   { format: "gdp-lab-scenario", version: 1, layout?, productionCards, expenditureCards,
+//     incomeCards, realCards?, meta: { title?, inventoryCardIds?, findErrors?, ... } }
+// Each card is { id, ledger, amount, text, correctBin, firm?, explanation?, template?, meta? }, where
+// firm is the key of the firm whose value added an income card is part of, and template (generated
+// cards) is the catalog message the text was written from; scenarioToFile() leaves it out, so
+// exported text is kept as written. A split card has correctBins, two or more different bins of
+// its ledger that its amount goes in, instead of correctBin. Amounts are never 0 and only
+// cards with meta.subtype "inventory" (a stock run-down) or "subsidy" may be negative.
+// `layout` may be omitted: it is then inferred from the bins the cards use (default firms,
+// matching round options). meta.findErrors, when present, makes the file a find-the-errors round:
+// { planted: [{ card, mistake, bins }] }, with bins the card starts in (one per copy), every other
+// card starting in its correct bins.
+const SCENARIO_FORMAT = "gdp-lab-scenario";
+const SCENARIO_FORMAT_VERSION = 1;
+
+function hashString(s) {
+  // FNV-1a, 32-bit
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function scenarioLedgerIds(sc) {
+  return sc.layout.ledgers.map(l => l.id);
+}
+
+function scenarioCards(sc) {
+  return scenarioLedgerIds(sc).flatMap(id => sc[`${id}Cards`] || []);
+}
+
+function inferLayout(sc) {
+  const bins = new Set(["production", "expenditure", "income", "real"]
+    .flatMap(l => Array.isArray(sc[`${l}Cards`]) ? sc[`${l}Cards`] : [])
+    .flatMap(c => c ? cardBins(c) : []));
+
+  const keys = [];
+  bins.forEach(b => {
+    const m = /^P_(\w+?)_(OUT|INT)$/.exec(b || "") || /^I_[WP]_(\w+)$/.exec(b || "");
+    if (m && m[1] !== GOVERNMENT_KEY && !keys.includes(m[1])) keys.push(m[1]);
+  });
+  const known = FIRM_CATALOG.filter(f => keys.includes(f.key));
+  const firms = keys.length
+    ? keys.map(k => ({ ...(known.find(f => f.key === k) || { key: k, name: `Firm ${k}`, units: "units", price: 1000, product: "goods", customers: [] }) }))
+    : resolveFirms();
+
+  return buildLayout(firms, {
+    income: ["I_MIX", "I_DEP", "I_TAX"].some(b => bins.has(b)) ? "full" : "simple",
+    gnp: bins.has("I_NFR") || bins.has("I_NFP"),
+    real: Array.isArray(sc.realCards) && sc.realCards.length > 0,
+    supplyChain: bins.has("P_XCL"),
+    firmIncome: [...bins].some(b => /^I_[WP]_/.test(b || "")),
+    publicSector: bins.has(`P_${GOVERNMENT_KEY}_OUT`)
+  });
+}
+
+function answerKeyTotals(sc) {
+  // Every measure the app shows, computed as if each card sat in its correct bin(s)
+  const bins = Object.fromEntries(sc.layout.ledgers.flatMap(l => l.bins.map(b => [b.id, b])));
+  const binSum = (id) => sum(scenarioCards(sc).filter(c => cardBins(c).includes(id)).map(c => c.amount));
+  const gdp = {};
+  sc.layout.ledgers.forEach(l => {
+    gdp[l.id] = sum(l.bins.map(b => b.sign * binSum(b.id)));
+  });
+  const income = sc.layout.ledgers.find(l => l.id === "income");
+  const gnp = income && income.bins.some(b => b.gnpSign !== undefined)
+    ? sum(income.bins.map(b => (b.gnpSign === undefined ? b.sign : b.gnpSign) * binSum(b.id)))
+    : undefined;
+  return { gdp, gnp, binSum, bins };
+}
+
+const NEGATIVE_SUBTYPES = ["inventory", "subsidy"];
+const CARD_LEDGERS = ["production", "expenditure", "income", "real"];
+const BIN_ID_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const BIN_SIGNS = [-1, 0, 1];
+const BIN_ACCENTS = ["gdp", "gnp", "both", "neither"];
+
+function templateErrors(c) {
+  // A card's template is re-rendered on every load, so it must name a card message (and a
+  // variant and message references it has), or the card would show a raw message id
+  const { key, variant, params } = c.template;
+  if (!/^card\./.test(key) || !hasMessage(key)) return [t("error.unknownTemplate", { id: c.id, key })];
+  const errors = [];
+  if (variant !== undefined && !(Number.isInteger(variant) && variant >= 0 && variant < variantCount(key))) {
+    errors.push(t("error.badTemplateVariant", { id: c.id, key, variant }));
+  }
+  if (params !== undefined && (!params || typeof params !== "object")) errors.push(t("error.badTemplate", { id: c.id }));
+  else Object.values(params || {}).forEach(v => {
+    if (v && typeof v === "object" && !(typeof v.msg === "string" && hasMessage(v.msg))) {
+      errors.push(t("error.unknownTemplateRef", { id: c.id, key: v.msg }));
+    }
+  });
+  return errors;
+}
+
+function validateScenario(sc) {
+  // Returns a list of problems; an empty list means the round is well-formed and
+  // correct placement reconciles exactly. Used for imported files and by tools/check-scenarios.js.
+  const errors = [];
+  if (!sc || typeof sc !== "object") return [t("error.notObject")];
+  if (!sc.layout || !Array.isArray(sc.layout.ledgers)) return [t("error.noLayout")];
+
+  // Bin ids, signs and accents end up in page markup, selectors and totals: check them first
+  for (const ledger of sc.layout.ledgers) {
+    if (!ledger || typeof ledger !== "object" || !Array.isArray(ledger.bins)) {
+      errors.push(t("error.noBins", { ledger: ledger && ledger.id }));
+      continue;
+    }
+    for (const b of ledger.bins) {
+      if (!b || typeof b.id !== "string" || !BIN_ID_PATTERN.test(b.id)) {
+        errors.push(t("error.badBinId", { ledger: ledger.id, bin: b && b.id }));
+        continue;
+      }
+      if (!BIN_SIGNS.includes(b.sign) || (b.gnpSign !== undefined && !BIN_SIGNS.includes(b.gnpSign))) {
+        errors.push(t("error.badBinSign", { bin: b.id }));
+      }
+      if (!BIN_ACCENTS.includes(b.accent)) errors.push(t("error.badAccent", { bin: b.id, accent: b.accent }));
+    }
+  }
+  if (sc.meta && sc.meta.inventoryCardIds !== undefined && !Array.isArray(sc.meta.inventoryCardIds)) {
+    errors.push(t("error.inventoryIdsNotArray"));
+  }
+  if (errors.length) return errors;
+
+  for (const need of ["production", "expenditure", "income"]) {
+    if (!scenarioLedgerIds(sc).includes(need)) errors.push(t("error.missingLedger", { ledger: need }));
+    if (!Array.isArray(sc[`${need}Cards`])) errors.push(t("error.cardsNotArray", { ledger: need }));
+  }
+  // Cards of a ledger the layout does not have would never be dealt
+  CARD_LEDGERS.filter(l => sc[`${l}Cards`] !== undefined && !scenarioLedgerIds(sc).includes(l))
+    .forEach(ledger => errors.push(t("error.cardsWithoutLedger", { ledger })));
+  if (errors.length) return errors;
+
+  const seen = new Set();
+  const firmKeys = producers(sc.layout).map(f => f.key);
+  const bins = Object.fromEntries(sc.layout.ledgers.flatMap(l => l.bins.map(b => [b.id, b])));
+  for (const ledger of sc.layout.ledgers) {
+    const binIds = new Set(ledger.bins.map(b => b.id));
+    for (const c of sc[`${ledger.id}Cards`] || []) {
+      if (!c || typeof c.id !== "string" || !c.id) { errors.push(t("error.noId", { ledger: ledger.id })); continue; }
+      const id = c.id;
+      if (seen.has(id)) errors.push(t("error.duplicateId", { id }));
+      seen.add(id);
+      if (c.ledger !== ledger.id) errors.push(t("error.wrongLedger", { id, listed: ledger.id, ledger: c.ledger }));
+      if (typeof c.amount !== "number" || !Number.isFinite(c.amount)) errors.push(t("error.noAmount", { id }));
+      else if (c.amount === 0) errors.push(t("error.zeroAmount", { id }));
+      else if (c.amount < 0 && !NEGATIVE_SUBTYPES.includes(c.meta && c.meta.subtype)) errors.push(t("error.negativeAmount", { id, amount: c.amount }));
+      if (c.explanation !== undefined && typeof c.explanation !== "string") errors.push(t("error.badExplanation", { id }));
+      if (typeof c.text !== "string" || !c.text.trim()) errors.push(t("error.noText", { id }));
+      if (c.template !== undefined && !(c.template && typeof c.template.key === "string")) errors.push(t("error.badTemplate", { id }));
+      else if (c.template !== undefined) errors.push(...templateErrors(c));
+      if (c.correctBins !== undefined) {
+        const split = Array.isArray(c.correctBins) ? c.correctBins : [];
+        if (split.length < 2 || new Set(split).size !== split.length) errors.push(t("error.badSplit", { id }));
+        split.filter(b => !binIds.has(b)).forEach(bin => errors.push(t("error.unknownBin", { id, bin, ledger: ledger.id })));
+        if (c.correctBin !== undefined) errors.push(t("error.splitAndSingle", { id }));
+      } else if (!binIds.has(c.correctBin)) errors.push(t("error.unknownBin", { id, bin: c.correctBin, ledger: ledger.id }));
+      if (c.firm !== undefined && !firmKeys.includes(c.firm)) errors.push(t("error.unknownFirm", { id, firm: c.firm }));
+      else if (c.firm !== undefined) {
+        cardBins(c).filter(b => bins[b] && bins[b].firm && bins[b].firm !== c.firm)
+          .forEach(bin => errors.push(t("error.otherFirmsBin", { id, firm: c.firm, bin })));
+      }
     }
+  }
+
+  const meta = sc.meta || {};
+  const expenditureIds = new Set(sc.expenditureCards.map(c => c && c.id));
+  (meta.inventoryCardIds || []).forEach(id => {
+    if (!expenditureIds.has(id)) errors.push(t("error.inventoryNotExpenditure", { id }));
+  });
+  sc.expenditureCards.forEach(c => {
+    const listed = (meta.inventoryCardIds || []).includes(c.id);
+    const inventory = listed || (c.meta && c.meta.subtype === "inventory");
+    if (inventory && c.correctBin !== "E_I") errors.push(t("error.inventoryBin", { id: c.id, bin: cardBins(c).join(" + ") }));
+  });
+  // Find-the-errors rounds: each planted error names a card once, with a bin of its ledger per copy
+  if (meta.findErrors !== undefined) {
+    const planted = meta.findErrors && meta.findErrors.planted;
+    const cards = Object.fromEntries(scenarioCards(sc).map(c => [c && c.id, c]));
+    const plantedIds = new Set();
+    if (!Array.isArray(planted)) errors.push(t("error.badPlanted"));
+    else planted.forEach(p => {
+      const c = p && cards[p.card];
+      if (!c || plantedIds.has(p.card)) { errors.push(t("error.plantedCard", { id: p && p.card })); return; }
+      plantedIds.add(c.id);
+      const ledger = sc.layout.ledgers.find(l => l.id === c.ledger);
+      const own = new Set(ledger ? ledger.bins.map(b => b.id) : []);
+      if (!Array.isArray(p.bins) || p.bins.length !== cardBins(c).length || !p.bins.every(b => own.has(b))) {
+        errors.push(t("error.plantedBins", { id: c.id, ledger: c.ledger }));
+      }
+    });
+  }
+  if (errors.length) return errors;
+
+  // Reconciliation: correct placement must give the same GDP in all three ledgers
+  const { gdp, gnp, binSum } = answerKeyTotals(sc);
+  const target = meta.gdpTarget === undefined ? gdp.production : meta.gdpTarget;
+  ["production", "expenditure", "income"].forEach(l => {
+    if (gdp[l] !== target) errors.push(t("error.gdpMismatch", { ledger: l, gdp: gdp[l], target }));
+  });
+  const components = meta.components || {};
+  if (gnp !== undefined && components.gnp !== undefined && gnp !== components.gnp) {
+    errors.push(t("error.gnpMismatch", { gnp, expected: components.gnp }));
+  }
+  if (scenarioLedgerIds(sc).includes("real") && binSum("R_NOM1") !== target) {
+    errors.push(t("error.realNominal", { value: binSum("R_NOM1"), target }));
+  }
+
+  // Firm level: once every income card counted in GDP names its firm, each firm's income
+  // must equal its value added, or the firm table would flag a correct answer
+  const signed = (c, keep = () => true) => sum(cardBins(c).filter(b => keep(bins[b])).map(b => bins[b].sign * c.amount));
+  const counted = sc.incomeCards.filter(c => cardBins(c).some(b => bins[b].sign !== 0));
+  if (counted.length && counted.every(c => c.firm !== undefined)) {
+    firmKeys.forEach(key => {
+      const va = sum(sc.productionCards.map(c => signed(c, b => b.firm === key)));
+      const income = sum(counted.filter(c => c.firm === key).map(c => signed(c)));
+      if (va !== income) errors.push(t("error.firmIncome", { firm: key, va, income }));
+    });
+  }
+  return errors;
+}
+
+function scenarioFromFile(raw) {
+  // Parse + complete + validate an uploaded scenario. Returns { scenario, errors }.
+  let data = raw;
+  if (typeof raw === "string") {
+    try { data = JSON.parse(raw); } catch (e) { return { scenario: null, errors: [t("error.notJson")] }; }
+  }
+  if (!data || typeof data !== "object") return { scenario: null, errors: [t("error.noScenario")] };
+  if (data.format !== undefined && data.format !== SCENARIO_FORMAT) {
+    return { scenario: null, errors: [t("error.unknownFormat", { format: data.format })] };
+  }
+  if (data.version > SCENARIO_FORMAT_VERSION) {
+    return { scenario: null, errors: [t("error.newerVersion", { version: data.version, max: SCENARIO_FORMAT_VERSION })] };
+  }
+
+  const sc = {
+    layout: data.layout || inferLayout(data),
+    productionCards: data.productionCards,
+    expenditureCards: data.expenditureCards,
+    incomeCards: data.incomeCards,
+    ...(data.realCards ? { realCards: data.realCards } : {}),
+    meta: { ...(data.meta || {}) }
+  };
+  const errors = validateScenario(sc);
+  if (errors.length) return { scenario: null, errors };
+
+  // Fill in what the app reads from meta but a hand-written file need not spell out
+  const { gdp, gnp, binSum } = answerKeyTotals(sc);
+  const meta = sc.meta;
+  const fileId = seedToRoundCode(hashString(JSON.stringify(data)) % ROUND_SEED_LIMIT);
+  meta.imported = true;
+  meta.fileId = fileId;
+  meta.seed = Number.isInteger(meta.seed) ? meta.seed : roundCodeToSeed(fileId);
+  meta.roundCode = meta.title ? String(meta.title) : `File ${fileId}`;
+  meta.inventoryCardIds = meta.inventoryCardIds || [];
+  meta.gdpTarget = gdp.production;
+  meta.components = { ...(meta.components || {}) };
+  if (gnp !== undefined && meta.components.gnp === undefined) {
+    meta.components.factorReceipts = binSum("I_NFR");
+    meta.components.factorPayments = binSum("I_NFP");
+    meta.components.gnp = gnp;
+  }
+  if (sc.realCards && !meta.real) {
+    const nominalBase = binSum("R_NOM0"), nominalCurrent = binSum("R_NOM1"), realCurrent = binSum("R_REAL1");
+    meta.real = {
+      products: [], nominalBase, nominalCurrent, realCurrent,
+      deflator: 100 * nominalCurrent / realCurrent,
+      realGrowth: realCurrent / nominalBase - 1
+    };
+  }
+  return { scenario: sc, errors: [] };
+}
+
+function localizeScenario(sc) {
+  // Re-words a round in the current locale: cards with a template get new text and the
+  // concept's explanation, and a built layout (one that kept its options) gets new labels
+  // for the bins it shares with a fresh build. Amounts, ids and answers never change, and
+  // hand-written text is left alone.
+  scenarioCards(sc).forEach(c => {
+    if (!c.template) return;
+    c.text = cardText(c);
+    c.explanation = t(`concept.${conceptOf(c)}.explanation`);
+  });
+  if (sc.layout.options && sc.layout.firms) {
+    const fresh = buildLayout(sc.layout.firms, sc.layout.options);
+    if (sc.layout.government && fresh.government) sc.layout.government.name = fresh.government.name;
+    sc.layout.ledgers.forEach(l => {
+      const built = fresh.ledgers.find(x => x.id === l.id);
+      if (!built) return;
+      l.label = built.label;
+      l.note = built.note;
+      (l.panels || []).forEach(p => {
+        const same = (built.panels || []).find(x => x.id === p.id);
+        if (same) Object.assign(p, { label: same.label, note: same.note });
+      });
+      l.bins.forEach(b => {
+        const same = built.bins.find(x => x.id === b.id);
+        if (same) b.label = same.label;
+      });
+    });
+  }
+  return sc;
+}
+
+function scenarioToFile(sc) {
+  // Cards leave without their template: the file's text is what an instructor edits, and
+  // localizeScenario() would otherwise write the catalog wording back over it on import
+  const { imported, fileId, ...meta } = sc.meta;
+  const cards = {};
+  ["productionCards", "expenditureCards", "incomeCards", "realCards"].forEach(k => {
+    if (sc[k]) cards[k] = sc[k].map(({ template, ...c }) => c);
+  });
+  return JSON.stringify({ format: SCENARIO_FORMAT, version: SCENARIO_FORMAT_VERSION, ...sc, ...cards, meta }, null, 2);
+}
+
+// Node (tools/check-scenarios.js) loads this file as a module; in the browser these stay globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    generateScenario, validateScenario, scenarioFromFile, scenarioToFile,
+    partition, apportion, makeRng, roundCode, parseRoundCode, ROUND_FLAGS, MIN_FIRMS, MAX_FIRMS, CAMPAIGN_MAX_YEARS, MISTAKE_CATALOG,
+    DIFFICULTY_LEVELS, resolveDifficulty, CARD_CONCEPTS, cardBins, producers, conceptOf, conceptLabel, explainCard, localizeScenario
   };
 }
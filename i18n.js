@@ -0,0 +1,785 @@
+// i18n.js — message catalogs and locale-aware numbers for the lab
+//
+// Every string the lab shows lives in a catalog under a message id: UI text, ledger and bin
+// labels, concept explanations and every card template. English below is the source language
+// and the fallback for anything a translation leaves out; locales/*.js register the others.
+//
+// A message is one of:
+// - a string with {name} placeholders; {name:money}, {name:price}, {name:num} and {name:pct}
+//   format a number for the locale ($40m, 40 M$, ...);
+// - a list of variants (card templates). The generator draws a variant number against the
+//   English list, so a round keeps its wording choices in every language;
+// - plural forms { one, other, ... }, picked with Intl.PluralRules for params.count.
+// A param may itself be a message reference { msg, params }, resolved in the same locale,
+// which is how cards keep translated product names without storing any text.
+
+const LOCALES = {};
+let currentLocale = "en";
+
+function registerLocale(id, locale) {
+  // locale: { label, intl, currency, scale, money, price, messages }
+  //   money / price are patterns over {n} (the formatted number), {currency} and {scale}
+  LOCALES[id] = locale;
+}
+
+function setLocale(id) {
+  currentLocale = LOCALES[id] ? id : "en";
+  return currentLocale;
+}
+
+function getLocale() {
+  return currentLocale;
+}
+
+function localeTag() {
+  return LOCALES[currentLocale].intl;
+}
+
+function matchLocale(tags) {
+  // First supported locale among language tags like "es-MX", or null
+  for (const tag of tags || []) {
+    const id = String(tag || "").toLowerCase().split("-")[0];
+    if (LOCALES[id]) return id;
+  }
+  return null;
+}
+
+function lookup(key, id = currentLocale) {
+  const own = LOCALES[id] && LOCALES[id].messages[key];
+  return own !== undefined ? own : LOCALES.en.messages[key];
+}
+
+function hasMessage(key) {
+  return lookup(key) !== undefined;
+}
+
+function variantCount(key) {
+  // Templates are drawn against the English list, the same in every locale
+  const msg = LOCALES.en.messages[key];
+  return Array.isArray(msg) ? msg.length : 1;
+}
+
+function formatNumber(x, digits) {
+  // Without digits, as many decimals as the number has (up to three)
+  const fixed = digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+  return (x + 0).toLocaleString(localeTag(), fixed);
+}
+
+function fillPattern(pattern, n) {
+  const loc = LOCALES[currentLocale];
+  return pattern.replace("{n}", n).replace("{currency}", loc.currency).replace("{scale}", loc.scale);
+}
+
+function formatMoney(x) {
+  // An amount in millions, e.g. $40m or 40 M$
+  return fillPattern(LOCALES[currentLocale].money, formatNumber(x, 0));
+}
+
+function formatPrice(x) {
+  // A unit price in currency units, e.g. $1,250 or 1 250 $
+  return fillPattern(LOCALES[currentLocale].price, formatNumber(x));
+}
+
+function formatPercent(x, signed = false) {
+  // signed: changes such as growth rates show their sign, "+2.5%"
+  return (x + 0).toLocaleString(localeTag(), { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1, ...(signed ? { signDisplay: "exceptZero" } : {}) });
+}
+
+function formatParam(value, format) {
+  if (value && typeof value === "object") return t(value.msg, value.params);
+  if (format === "money") return formatMoney(value);
+  if (format === "price") return formatPrice(value);
+  if (format === "num") return formatNumber(value);
+  if (format === "pct") return formatPercent(value);
+  return String(value);
+}
+
+function t(key, params = {}, variant = 0) {
+  // Unknown keys come back as themselves, so a gap in a catalog shows up instead of crashing
+  const msg = lookup(key);
+  if (msg === undefined) return key;
+  let text = msg;
+  if (Array.isArray(msg)) text = msg[variant % msg.length];
+  else if (typeof msg === "object") text = msg[new Intl.PluralRules(localeTag()).select(params.count)] || msg.other;
+  return text.replace(/\{(\w+)(?::(\w+))?\}/g, (m, name, format) => (name in params ? formatParam(params[name], format) : m));
+}
+
+registerLocale("en", {
+  label: "English",
+  intl: "en-US",
+  currency: "$",
+  scale: "m",
+  money: "{currency}{n}{scale}",
+  price: "{currency}{n}",
+  messages: {
+    // -----------------------------
+    // Page (index.html, by data-i18n attribute)
+    // -----------------------------
+    "page.title": "GDP Reconciliation Lab: Production = Expenditure = Income",
+    "page.kicker": "Macroeconomics Practice Lab",
+    "page.heading": "GDP Reconciliation Lab",
+    "page.intro": "Classify items in three ledgers. When you do it correctly: <strong>Production (Value Added)</strong> = <strong>Expenditure</strong> = <strong>Income</strong>. Investment includes <strong>fixed investment + inventory investment</strong>.",
+    "page.language": "Language",
+    "page.identities": "Key identities",
+    "page.identity.expenditure": "<strong>Expenditure</strong>: \\(\\;GDP = C + I + G + (X-M)\\)",
+    "page.identity.investment": "<strong>Investment</strong>: \\(\\;I = I_{\\text{fixed}} + \\Delta \\text{Inventories}\\)",
+    "page.identity.production": "<strong>Production</strong>: \\(\\;GDP = \\sum (\\text{Output} - \\text{Intermediate Inputs})\\)",
+    "page.identity.incomeSimple": "<strong>Income</strong> (simplified): \\(\\;GDP = \\text{Wages} + \\text{Profits}\\)",
+    "page.identity.incomeFull": "<strong>Income</strong> (full): \\(\\;GDP = \\text{Wages} + \\text{Profits} + \\text{Mixed income} + \\text{Depreciation} + (\\text{Taxes on production} - \\text{Subsidies})\\)",
+    "page.identity.real": "<strong>Real GDP</strong>: \\(\\;\\text{Real}_t = \\sum P_{\\text{base}} Q_t\\), \\(\\;\\text{Deflator} = 100 \\times \\text{Nominal}_t / \\text{Real}_t\\)",
+    "page.identity.gnp": "<strong>GNP</strong>: \\(\\;GNP = GDP + \\text{factor income from abroad} - \\text{factor income paid to foreigners}\\)",
+    "page.scenario": "Scenario · round",
+    "page.roundCodePlaceholder": "Round code",
+    "page.roundCodeAria": "Round code to open (leave empty for a random round)",
+    "page.newRound": "New Round",
+    "page.nextYear": "Next year ▶",
+    "page.nextYearTitle": "Play the next year of this economy (once this year reconciles)",
+    "page.difficultyAria": "Difficulty of the next round",
+    "page.pastRoundsAria": "Resume a past round",
+    "page.export": "Export",
+    "page.exportTitle": "Download this round as a scenario file",
+    "page.import": "Import",
+    "page.importTitle": "Load an instructor scenario file (.json)",
+    "page.print": "Print worksheet",
+    "page.printTitle": "Print this round as a paper worksheet, with an answer key on the last page",
+    "page.actions": "Actions",
+    "page.reset": "Reset",
+    "page.undo": "Undo",
+    "page.undoTitle": "Undo the last move (Ctrl+Z)",
+    "page.redo": "Redo",
+    "page.redoTitle": "Redo the move you undid (Ctrl+Y)",
+    "page.replay": "Replay",
+    "page.replayTitle": "Step through this round's moves from the start",
+    "page.replayAria": "Move replay",
+    "page.replayPrev": "◀ Back",
+    "page.replayNext": "Next ▶",
+    "page.replayExit": "Back to my round",
+    "page.submit": "Submit",
+    "page.optionsAria": "Options for the next round",
+    "page.optFullIncome": "Full income approach (depreciation, production taxes, mixed income)",
+    "page.optGnp": "GDP vs GNP (factor income across the border)",
+    "page.optReal": "Nominal vs real GDP (base year and deflator)",
+    "page.optSupplyChain": "Supply chain (firms sell inputs and machines to each other)",
+    "page.optFirmIncome": "Wages and profits by firm (one income bin per firm)",
+    "page.optSplitImports": "Imported final goods (one card in C, I or G and in M)",
+    "page.optPublicSector": "Government as a producer (public services valued at cost)",
+    "page.optCampaign": "Multi-year economy (each reconciled year unlocks the next)",
+    "page.optFindErrors": "Find the errors (every card starts placed, a few in the wrong bin)",
+    "page.gdpProduction": "GDP (Production)",
+    "page.gdpExpenditure": "GDP (Expenditure)",
+    "page.gdpIncome": "GDP (Income)",
+    "page.gap": "Reconciliation gap",
+    "page.gnpIncome": "GNP (Income)",
+    "page.deflator": "GDP deflator",
+    "page.realGrowth": "Real growth",
+    "page.items": "Items",
+    "page.itemsSub": "Switch tabs, then drag items into bins — or select an item (click, tap or Enter) and pick a bin (click, tap or arrow keys + Enter).",
+    "page.tabsAria": "Ledger tabs",
+    "page.ledger": "Ledger",
+    "page.ledgerSub": "Correct classifications make all three GDP totals match.",
+    "page.legendAria": "Bin colour key",
+    "page.legendBoth": "GDP and GNP",
+    "page.legendGdp": "GDP only",
+    "page.legendGnp": "GNP only",
+    "page.legendNeither": "Neither",
+    "page.firmByFirm": "Firm by firm",
+    "page.firmByFirmSub": "Each firm's value added must equal the income it generates. Updates as you place cards.",
+    "page.circularFlow": "Circular flow",
+    "page.circularFlowSub": "Arrow widths follow your bins as you place cards. After Check, the pale band under each arrow is the correct flow and red arrows differ from it.",
+    "page.campaign": "This economy, year by year",
+    "page.partC": "Consumption (C)",
+    "page.partI": "Investment (I)",
+    "page.partG": "Government (G)",
+    "page.partNX": "Net exports (X − M)",
+    "page.colYear": "Year",
+    "page.colGdp": "GDP",
+    "page.colGrowth": "Growth",
+    "page.checks": "Checks",
+    "page.checksSub": "Updates when you click “Check”.",
+    "page.record": "Your record",
+    "page.colRound": "Round",
+    "page.colLevel": "Level",
+    "page.colScore": "Score",
+    "page.colChecks": "Checks",
+    "page.colHints": "Hints",
+    "page.colCardType": "Card type",
+    "page.colMisplaced": "Misplaced",
+    "page.colRate": "Rate",
+    "page.namePlaceholder": "Your name",
+    "page.nameAria": "Your name, included in exports",
+    "page.exportCsv": "Export CSV",
+    "page.exportJson": "Export JSON",
+    "page.clear": "Clear",
+    "page.goal": "Goal: gap = 0 under correct classification.",
+
+    // -----------------------------
+    // App messages (app.js)
+    // -----------------------------
+    "ui.card": "Card",
+    "ui.cardLabel": "{amount} card \"{words}\"",
+    "ui.thePool": "the card pool",
+    "ui.cardPool": "Card pool",
+    "ui.binAria": "Bin: {bin}",
+    "ui.moved": "{card} moved to {zone}.",
+    "ui.locked": "Answers are submitted; the bins are locked.",
+    "ui.selectionCleared": "Selection cleared.",
+    "ui.selected": "{card} selected. Use arrow keys to choose a bin and Enter to place it, or tap a bin. Escape cancels.",
+    "ui.target": "Target: {zone}.",
+    "ui.activeLedger": "Active ledger: {ledger}.",
+    "ui.firm": "Firm",
+    "ui.output": "Output",
+    "ui.intermediate": "Intermediate",
+    "ui.valueAdded": "Value added",
+    "ui.wages": "Wages",
+    "ui.profits": "Profits",
+    "ui.otherIncome": "Other income",
+    "ui.income": "Income",
+    "ui.vaMismatch": "VA ≠ income",
+    "ui.flowAria": "Circular flow of money between households, firms, government and the rest of the world",
+    "ui.flowTitle": "{flow}: {v:money} from {from} to {to}",
+    "ui.flowTitleKey": "{flow}: {v:money} from {from} to {to}; answer key {key:money}",
+    "ui.flowKey": "key {key:money}",
+    "ui.allFirms": "All firms",
+    "ui.noMistakes": "No misplaced cards.",
+    "ui.mistakesByConcept": "Mistakes by concept ({count})",
+    "ui.placedIn": " — placed in {bins}. {explanation}",
+    "ui.gnpOk": "GNP check: ✓ GNP {gnp:money} = GDP {gdp:money} + {receipts:money} earned abroad − {payments:money} paid to foreigners.",
+    "ui.gnpOff": "GNP check: ✗ GNP does not yet equal GDP + factor income from abroad − factor income paid to foreigners.",
+    "ui.realOk": "Real GDP check: ✓ Nominal GDP {base:money} (base year) and {current:money} (this year); real GDP {real:money} at base-year prices. Deflator {deflator}, real growth {growth:pct}.",
+    "ui.realOff": "Real GDP check: ✗ At least one of nominal GDP (either year) or real GDP does not match yet.",
+    "ui.notBin": "✗ Not {bin}. {explanation}",
+    "ui.splitCopy": "copy {n} of {total}",
+    "ui.inventoryOk": "Inventory check: ✓ Inventory investment is correctly placed inside Investment (I).",
+    "ui.inventoryOff": "Inventory check: ✗ At least one inventory-change item is not in Investment (I).",
+    "ui.checksLeft": { one: "{count} Check left", other: "{count} Checks left" },
+    "ui.noChecksLeft": "No Checks left",
+    "ui.examChecked": "Checked: {correct}/{placed} correct. {left}; Submit when you are done.",
+    "ui.placeFirst": "Place items in bins, then click Check.",
+    "ui.scoreSuffix": " Score {score}/100.",
+    "ui.perfect": "Perfect. GDP totals reconcile exactly (gap = {gap:money}).{score}",
+    "ui.perfectGnp": "Perfect. GDP totals reconcile exactly and GNP = GDP + net factor income (gap = {gap:money}).{score}",
+    "ui.checked": "Checked: {correct}/{placed} correct. Gap: {gap:money}.",
+    "ui.errorsLeft": { one: "Checked: {count} card is still misplaced; finding it is up to you. Gap: {gap:money}.", other: "Checked: {count} cards are still misplaced; finding them is up to you. Gap: {gap:money}." },
+    "ui.errorsTask": { one: "Find the errors: {count} card starts in a wrong bin.", other: "Find the errors: {count} cards start in a wrong bin." },
+    "ui.errorsMoves": "Moves so far: {moves} (fewest possible: {fewest}).",
+    "ui.errorsPlanted": { one: "The planted error, {fixed} of {count} fixed · moves: {moves} (fewest possible: {fewest})", other: "The {count} planted errors, {fixed} fixed · moves: {moves} (fewest possible: {fewest})" },
+    "ui.plantedError": "{card}: {mistake} ({state})",
+    "ui.plantedFixed": "fixed",
+    "ui.plantedMissed": "still wrong",
+    "ui.badCode": "\"{code}\" is not a valid round code (e.g. K3F9Q2 or K3F9Q2-FNR).",
+    "ui.roundLoaded": "{level} round {code} loaded. Make all three GDP totals match.",
+    "ui.yearLoaded": "{level} round {code} loaded: year {year} of this economy, with {stock:money} of inventories on hand at the start.",
+    "ui.yearCharted": "Year {year} is on the economy chart; Next year carries on from it.",
+    "ui.campaignInfo": "Year {year} of economy {code}. Inventories at the start of the year: {stock:money}.",
+    "ui.campaignEmpty": "Reconcile this year to put it on the chart.",
+    "ui.campaignChartAria": { one: "GDP and its C, I, G and X − M for {count} reconciled year", other: "GDP and its C, I, G and X − M for {count} reconciled years" },
+    "ui.yearShort": "Year {year}",
+    "ui.reset": "Reset placements (this round).",
+    "ui.undone": "Undone: {card} is back in {zone}.",
+    "ui.redone": "Redone: {card} moved to {zone}.",
+    "ui.undoneReset": { one: "Reset undone: {count} card is back in its bin.", other: "Reset undone: {count} cards are back in their bins." },
+    "ui.redoneReset": { one: "Reset redone: {count} card went back to the pool.", other: "Reset redone: {count} cards went back to the pool." },
+    "ui.nothingToUndo": "Nothing to undo.",
+    "ui.nothingToRedo": "Nothing to redo.",
+    "ui.noMoves": "No moves to replay yet.",
+    "ui.replayLocked": "This is a replay; go back to your round to move cards.",
+    "ui.replayStarted": "Replay: use Next and Back to step through your moves.",
+    "ui.replayEnded": "Back to your round.",
+    "ui.replayStart": { one: "Start of the round · {count} move", other: "Start of the round · {count} moves" },
+    "ui.replayPlace": "Move {n}/{total} at {time}: {card} to {zone}.",
+    "ui.replayUndo": "Move {n}/{total} at {time}: Undo, {card} back to {zone}.",
+    "ui.replayRedo": "Move {n}/{total} at {time}: Redo, {card} to {zone}.",
+    "ui.replayReset": { one: "Move {n}/{total} at {time}: Reset, {count} card back to the pool.", other: "Move {n}/{total} at {time}: Reset, {count} cards back to the pool." },
+    "ui.replayUndoReset": { one: "Move {n}/{total} at {time}: Undo Reset, {count} card back in its bin.", other: "Move {n}/{total} at {time}: Undo Reset, {count} cards back in their bins." },
+    "ui.replayRedoReset": { one: "Move {n}/{total} at {time}: Redo Reset, {count} card back to the pool.", other: "Move {n}/{total} at {time}: Redo Reset, {count} cards back to the pool." },
+    "ui.resetStart": "Reset: every card is back where the round started.",
+    "ui.redoneResetStart": { one: "Reset redone: {count} card went back to where it started.", other: "Reset redone: {count} cards went back to where they started." },
+    "ui.replayResetStart": { one: "Move {n}/{total} at {time}: Reset, {count} card back to where it started.", other: "Move {n}/{total} at {time}: Reset, {count} cards back to where they started." },
+    "ui.replayRedoResetStart": { one: "Move {n}/{total} at {time}: Redo Reset, {count} card back to where it started.", other: "Move {n}/{total} at {time}: Redo Reset, {count} cards back to where they started." },
+    "ui.languageChanged": "Language: English. The round's amounts are unchanged.",
+    "ui.noHintsLeft": "No hints left in this round.",
+    "ui.placeAllFirst": "Place every card before asking for a hint ({count} still in the pool).",
+    "ui.nothingToFix": "Nothing to fix: every bin matches the answer key.",
+    "ui.earlierHints": "Your earlier hints still apply: fix those first.",
+    "ui.hintStatus": "Hint: {text}",
+    "ui.hintButton": "Hint ({count} left)",
+    "ui.hintsUsed": "Hints used: {used} of {max}",
+    "ui.inventoryIncrease": "Inventory increase",
+    "ui.inventoryDecrease": "Inventory decrease",
+    "ui.nothingToExport": "Nothing to export yet: use Check first.",
+    "ui.historyExported": "Exported {count} history entries as {format}.",
+    "ui.confirmClearHistory": "Delete your whole attempt history on this device?",
+    "ui.historyCleared": "Attempt history cleared.",
+    "ui.checksCount": { one: "{count} Check", other: "{count} Checks" },
+    "ui.roundsFinished": { one: "{count} round finished", other: "{count} rounds finished" },
+    "ui.averageScore": ", average score {avg}/100",
+    "ui.historySummary": "{checks}, {rounds}{average}.",
+    "ui.noHistory": "No Checks logged yet.",
+    "ui.exam": "exam",
+    "ui.lrsPending": { one: "LMS: {count} result waiting to send", other: "LMS: {count} results waiting to send" },
+    "ui.lrsSent": "LMS: all results sent",
+    "ui.lrsRejected": { one: "({count} result refused by the LMS)", other: "({count} results refused by the LMS)" },
+    "ui.checkButton": "Check",
+    "ui.checkButtonLeft": "Check ({count} left)",
+    "ui.timeLeft": "{time} left",
+    "ui.confirmSubmit": "Submit your answers? The bins lock once you submit.",
+    "ui.timeUp": "Time is up: your answers were submitted. See the score report below.",
+    "ui.submitted": "Submitted. See the score report below.",
+    "ui.scoreReport": "Score report",
+    "ui.cardsCorrect": "{correct}/{total} cards correct ({pct}%)",
+    "ui.reportLedger": "Ledger",
+    "ui.reportCorrect": "Correct",
+    "ui.reportNotPlaced": "Not placed",
+    "ui.reportGdp": "GDP by production {production:money}, expenditure {expenditure:money}, income {income:money}: {verdict}.",
+    "ui.reportReconcile": "the three approaches reconcile",
+    "ui.reportGap": "gap {gap:money}",
+    "ui.reportScore": "Score: {score}/100.",
+    "ui.reportChecks": "Checks used: {used} of {allowed}.",
+    "ui.reportSingle": "Single submission, no Checks.",
+    "ui.reportTime": "Time taken: {time}{note}.",
+    "ui.reportTimedOut": " (time ran out)",
+    "ui.resumed": "Resumed round {code}.",
+    "ui.resumePast": "Resume a past round…",
+    "ui.noPastRounds": "No past rounds yet",
+    "ui.pastRound": "{code} · {placed}/{total} placed{tags} · {when}",
+    "ui.tagExam": " · exam",
+    "ui.tagHints": { one: " · {count} hint", other: " · {count} hints" },
+    "ui.tagSolved": " · ✓ solved",
+    "ui.exported": "Exported round {code}.",
+    "ui.importFailed": "Could not load {file}: {errors}{more}",
+    "ui.moreErrors": " (+{count} more)",
+    "ui.imported": "Loaded scenario \"{code}\" from {file}. Make all three GDP totals match.",
+    "ui.readFailed": "Could not read {file}.",
+    "ui.printed": "Worksheet for round {code} sent to the printer; the answer key is on its own page.",
+
+    // Hints: {ledger} is the ledger's name in lower case, {name} as written
+    "hint.ledgerSplit": "GDP by {ledger} comes out right, but some of its cards are in the wrong bins.",
+    "hint.ledgerHigh": "GDP by {ledger} is too high.",
+    "hint.ledgerLow": "GDP by {ledger} is too low.",
+    "hint.ledgerBins": "Some cards in the {name} ledger are in the wrong bins.",
+    "hint.firmVaSplit": "{firm}'s value added is right, but its cards are split wrongly between its bins.",
+    "hint.firmVaHigh": "{firm}'s value added is too high.",
+    "hint.firmVaLow": "{firm}'s value added is too low.",
+    "hint.firmLedgerSplit": "{firm}'s {ledger} is right, but its cards are split wrongly between its bins.",
+    "hint.firmLedgerHigh": "{firm}'s {ledger} is too high.",
+    "hint.firmLedgerLow": "{firm}'s {ledger} is too low.",
+    "hint.binHigh": "{bin} is too high.",
+    "hint.binLow": "{bin} is too low.",
+
+    // -----------------------------
+    // Printable worksheet (app.js)
+    // -----------------------------
+    "print.heading": "GDP Reconciliation Lab: worksheet",
+    "print.round": "Round {code} · {level}",
+    "print.name": "Name",
+    "print.instructions": "Write the bin each card belongs in, then list the card numbers and add up every bin in the ledger tables. Done correctly, GDP comes out the same by production, expenditure and income.",
+    "print.colNumber": "#",
+    "print.colAmount": "Amount",
+    "print.colItem": "Item",
+    "print.colBin": "Bin",
+    "print.colCards": "Cards",
+    "print.colTotal": "Total",
+    "print.gdpRow": "GDP ({ledger})",
+    "print.keyHeading": "Answer key: round {code}",
+    "print.components": "Components",
+    "print.totals": "Totals",
+
+    // -----------------------------
+    // Circular flow: sectors and the flows between them (app.js)
+    // -----------------------------
+    "flow.households": "Households",
+    "flow.firms": "Firms",
+    "flow.government": "Government",
+    "flow.world": "Rest of the world",
+    "flow.consumption": "Consumption",
+    "flow.wages": "Wages",
+    "flow.profits": "Profits",
+    "flow.investment": "Investment",
+    "flow.purchases": "Gov. purchases",
+    "flow.exports": "Exports",
+    "flow.imports": "Imports",
+
+    // -----------------------------
+    // Difficulty levels, ledgers and bins (data.js)
+    // -----------------------------
+    "difficulty.easy": "Easy",
+    "difficulty.standard": "Standard",
+    "difficulty.hard": "Hard",
+    "difficulty.brutal": "Brutal",
+
+    "producer.government": "Government",
+    "panel.government": "Government as a producer",
+    "ledger.production": "Production",
+    "ledger.expenditure": "Expenditure",
+    "ledger.income": "Income",
+    "ledger.real": "Real GDP",
+
+    "bin.firmOutput": "{firm}: Output",
+    "bin.firmIntermediate": "{firm}: Intermediate",
+    "bin.firmWages": "{firm}: Wages",
+    "bin.firmProfits": "{firm}: Profits",
+    "bin.govOutput": "Government: Output (at cost)",
+    "bin.govIntermediate": "Government: Intermediate",
+    "bin.govWages": "Government: Wages",
+    "bin.P_XCL": "Not intermediate: capital goods bought",
+    "bin.E_C": "Consumption (C)",
+    "bin.E_I": "Investment (I)",
+    "bin.E_G": "Government (G)",
+    "bin.E_X": "Exports (X)",
+    "bin.E_M": "Imports (M)",
+    "bin.E_XCL": "Not in GDP / Intermediate / Transfer",
+    "bin.I_W": "Wages",
+    "bin.I_P": "Profits",
+    "bin.I_MIX": "Mixed / proprietors' income",
+    "bin.I_DEP": "Depreciation",
+    "bin.I_TAX": "Taxes on production less subsidies",
+    "bin.I_NFR": "Factor income from abroad",
+    "bin.I_NFP": "Factor income paid to foreigners",
+    "bin.I_XCL": "Not income / Transfer / Financial",
+    "bin.R_NOM0": "Nominal GDP, base year",
+    "bin.R_NOM1": "Nominal GDP, current year",
+    "bin.R_REAL1": "Real GDP, current year (base-year prices)",
+    "bin.R_XCL": "Not used in either measure",
+
+    "note.production": "GDP (Production) = sum of firm value added (Output − Intermediate).",
+    "note.productionChain": "GDP (Production) = sum of firm value added (Output − Intermediate). A sale between firms is output for the seller and intermediate input for the buyer: value added counts it once.",
+    "note.expenditure": "GDP (Expenditure) = \\(C + I + G + (X - M)\\).",
+    "note.incomeFull": "Full income approach: Wages + Profits + Mixed income + Depreciation + (Taxes on production − Subsidies).",
+    "note.incomeSimple": "Simplified income approach: Wages + Profits. (No depreciation/taxes here.)",
+    "note.gnp": " GNP = GDP + factor income from abroad − factor income paid to foreigners.",
+    "note.real": "Nominal GDP values each year's output at that year's prices; real GDP values this year's output at base-year prices. Deflator = 100 × Nominal ÷ Real.",
+    "note.governmentPanel": "Public services have no market price, so government output is valued at cost: the pay of its employees plus the inputs it buys. Its value added is its payroll.",
+
+    // Products and units of the catalog firms; custom sectors from ?firms= use the generic pair
+    "firm.S.product": "steel", "firm.S.units": "tons of steel",
+    "firm.A.product": "vehicles", "firm.A.units": "cars",
+    "firm.P.product": "port services", "firm.P.units": "container moves",
+    "firm.M.product": "machines", "firm.M.units": "machines",
+    "firm.F.product": "grain", "firm.F.units": "tons of grain",
+    "firm.C.product": "chemicals", "firm.C.units": "barrels of solvent",
+    "firm.T.product": "fabric", "firm.T.units": "bolts of cloth",
+    "firm.D.product": "IT services", "firm.D.units": "software licenses",
+    "firm.custom.product": "supplies", "firm.custom.units": "units of {name} output",
+
+    // -----------------------------
+    // Card concepts: label, easy-round hint and explanation
+    // -----------------------------
+    "concept.output.label": "Output",
+    "concept.output.hint": "output",
+    "concept.output.explanation": "Goods and services a firm produced this year are part of its output, whoever buys them.",
+    "concept.intermediate.label": "Intermediate inputs",
+    "concept.intermediate.hint": "intermediate input",
+    "concept.intermediate.explanation": "Inputs used up in production are subtracted from output; they are already counted in the supplier's output, so adding them again would double count.",
+    "concept.capitalGood.label": "New capital goods",
+    "concept.capitalGood.hint": "new capital good",
+    "concept.capitalGood.explanation": "A new machine that lasts for years is investment by the buyer, not an input used up this year, so it is not subtracted from the buyer's output.",
+    "concept.governmentOutput.label": "Government output at cost",
+    "concept.governmentOutput.hint": "government output at cost",
+    "concept.governmentOutput.explanation": "Public services are not sold at a market price, so government output is valued at what it costs to produce: the pay of its employees plus the inputs it buys from businesses.",
+    "concept.consumption.label": "Consumption",
+    "concept.consumption.hint": "consumption",
+    "concept.consumption.explanation": "Household spending on newly produced final goods and services is consumption (C).",
+    "concept.fixed.label": "Fixed investment",
+    "concept.fixed.hint": "investment",
+    "concept.fixed.explanation": "Businesses buying newly produced equipment, software and structures is investment (I).",
+    "concept.inventory.label": "Inventory change",
+    "concept.inventory.hint": "inventory change",
+    "concept.inventory.explanation": "A change in inventories belongs in investment (I): output made this year but not sold adds to it, and sales out of old stock subtract from it.",
+    "concept.government.label": "Government purchases",
+    "concept.government.hint": "government purchases",
+    "concept.government.explanation": "Government buying goods and services from producers is government purchases (G).",
+    "concept.governmentPay.label": "Government payroll",
+    "concept.governmentPay.hint": "government purchases",
+    "concept.governmentPay.explanation": "Paying public employees is the government buying their work to produce its own services, so it counts in government purchases (G), valued at cost like the output itself.",
+    "concept.exports.label": "Exports",
+    "concept.exports.hint": "exports",
+    "concept.exports.explanation": "Exports are domestic production bought by foreigners, so they add to GDP.",
+    "concept.imports.label": "Imports",
+    "concept.imports.hint": "imports",
+    "concept.imports.explanation": "An import is subtracted because it was produced abroad; the spending on it is already counted inside C, I or G.",
+    "concept.importedGoods.label": "Imported final goods",
+    "concept.importedGoods.hint": "spending and imports",
+    "concept.importedGoods.explanation": "An imported good bought for final use is spending by its buyer, so it goes in C, I or G, and it was produced abroad, so it goes in M as well: the two cancel, and it adds nothing to GDP.",
+    "concept.transfer.label": "Transfer payments",
+    "concept.transfer.hint": "transfer",
+    "concept.transfer.explanation": "A transfer moves money without buying anything produced this year, so it is not part of GDP.",
+    "concept.usedGood.label": "Used goods",
+    "concept.usedGood.hint": "used good",
+    "concept.usedGood.explanation": "A used asset is not current production: it was counted in GDP in the year it was made.",
+    "concept.financial.label": "Financial transactions",
+    "concept.financial.hint": "financial transaction",
+    "concept.financial.explanation": "Trading securities, raising funds or repaying a loan is a financial transaction: assets change hands but nothing is produced.",
+    "concept.excluded.label": "Not in GDP",
+    "concept.excluded.hint": "not in GDP",
+    "concept.excluded.explanation": "This payment is not income or spending on this year's production, so it stays out of GDP.",
+    "concept.wages.label": "Wages",
+    "concept.wages.hint": "wages",
+    "concept.wages.explanation": "Pay to employees for their work this year is compensation of employees, part of income from production.",
+    "concept.profits.label": "Profits",
+    "concept.profits.hint": "profits",
+    "concept.profits.explanation": "What is left of a firm's value added after paying its workers (and other charges) is profit, part of income from production.",
+    "concept.mixedIncome.label": "Mixed income",
+    "concept.mixedIncome.hint": "mixed income",
+    "concept.mixedIncome.explanation": "The self-employed earn a mix of wage and profit that cannot be separated, so it is counted on its own as mixed income.",
+    "concept.depreciation.label": "Depreciation",
+    "concept.depreciation.hint": "depreciation",
+    "concept.depreciation.explanation": "Capital worn out in production is part of the value of output, so depreciation is added to get from net income to GDP.",
+    "concept.productionTax.label": "Taxes on production",
+    "concept.productionTax.hint": "tax on production",
+    "concept.productionTax.explanation": "Sales, excise and property taxes are part of market prices, so taxes on production are included in GDP by income.",
+    "concept.subsidy.label": "Subsidies",
+    "concept.subsidy.hint": "subsidy",
+    "concept.subsidy.explanation": "A production subsidy lowers market prices, so it is subtracted within taxes on production less subsidies.",
+    "concept.incomeTax.label": "Taxes on income",
+    "concept.incomeTax.hint": "tax on income",
+    "concept.incomeTax.explanation": "Personal income tax is paid out of income already counted as wages or profits; it is not a tax on production.",
+    "concept.factorReceipts.label": "Factor income from abroad",
+    "concept.factorReceipts.hint": "factor income from abroad",
+    "concept.factorReceipts.explanation": "Residents' earnings abroad come from production in another country: in GNP, not in GDP.",
+    "concept.factorPayments.label": "Factor income paid abroad",
+    "concept.factorPayments.hint": "factor income paid abroad",
+    "concept.factorPayments.explanation": "Wages and profits paid to foreigners come from domestic production: in GDP, but not in GNP.",
+    "concept.baseNominal.label": "Base-year nominal GDP",
+    "concept.baseNominal.explanation": "Base-year quantities at base-year prices make up base-year nominal GDP.",
+    "concept.currentNominal.label": "Nominal GDP",
+    "concept.currentNominal.explanation": "This year's quantities at this year's prices make up this year's nominal GDP.",
+    "concept.currentReal.label": "Real GDP",
+    "concept.currentReal.explanation": "This year's quantities at base-year prices make up real GDP: only quantities have changed.",
+    "concept.mixedPrices.label": "Mixed prices and quantities",
+    "concept.mixedPrices.explanation": "Old quantities at new prices measure neither year's output at a consistent price, so they match no GDP measure.",
+
+    // -----------------------------
+    // Planted errors: the mistakes a find-the-errors round starts with (data.js)
+    // -----------------------------
+    "mistake.inventoryDropInC": "a fall in inventories counted in consumption (C)",
+    "mistake.transferInG": "a transfer payment counted as government purchases (G)",
+    "mistake.usedGoodInC": "a second-hand sale counted in consumption (C)",
+    "mistake.financialInI": "a financial transaction counted as investment (I)",
+    "mistake.importsLeftOut": "imports left out instead of subtracted (M)",
+    "mistake.importedGoodsNotInM": "an imported good counted in spending but not subtracted in M",
+    "mistake.intermediateAsOutput": "an intermediate purchase booked as output",
+    "mistake.transferAsWages": "a transfer payment counted as wages",
+    "mistake.assetGainsAsProfits": "a financial gain counted as profits",
+    "mistake.incomeTaxAsProductionTax": "income tax counted as a tax on production",
+
+    // -----------------------------
+    // Card templates
+    // -----------------------------
+    // Production
+    "card.prodOut": [
+      "{firm} records {v:money} in sales of goods/services produced this year.",
+      "{firm} delivers goods/services valued at {v:money} at market prices.",
+      "{firm} reports {v:money} in output for the year.",
+      "{firm} fulfills customer orders totaling {v:money}.",
+      "{firm} bills {v:money} for products/services it produced this year."
+    ],
+    "card.prodInt": [
+      "{firm} purchases {v:money} of materials and services used up during production.",
+      "{firm} buys {v:money} of components/materials used in its production process.",
+      "{firm} pays {v:money} for production inputs (materials, services, energy)."
+    ],
+    "card.chainSale": "{seller} sells {v:money} of {product} to {buyer}.",
+    "card.chainCapitalSale": "{seller} delivers {v:money} of new {product} to {buyer}.",
+    "card.chainInput": "{buyer} buys {v:money} of {product} from {seller} and uses it up in production.",
+    "card.chainInstall": "{buyer} installs {v:money} of new {product} from {seller}, expected to last for years.",
+    "card.govOutput": [
+      "Public schools, hospitals and courts provide services that cost {v:money} to run.",
+      "Government agencies deliver services whose cost of production totals {v:money}.",
+      "Public services provided this year are worth {v:money} at cost."
+    ],
+    "card.govInputs": [
+      "Government agencies buy {v:money} of supplies and services from businesses and use them up.",
+      "Public offices use up {v:money} of purchased materials, energy and services.",
+      "Inputs the public sector buys and uses up in providing its services total {v:money}."
+    ],
+
+    // Expenditure
+    "card.consumption": [
+      "Households spend {v:money} on final goods and services.",
+      "Consumer purchases total {v:money} this year.",
+      "Household final spending equals {v:money}."
+    ],
+    "card.government": [
+      "A public agency buys {v:money} of goods and services from businesses.",
+      "Government purchases total {v:money}.",
+      "Public-sector spending on goods/services equals {v:money}."
+    ],
+    "card.govPayroll": [
+      "The government pays {v:money} in salaries to teachers, nurses and other public employees.",
+      "Public-sector payroll totals {v:money}.",
+      "Government spending on the pay of its own staff equals {v:money}."
+    ],
+    "card.exports": [
+      "Foreign buyers purchase {v:money} of domestically produced output.",
+      "Sales to customers abroad total {v:money}.",
+      "Output sold to the rest of the world equals {v:money}."
+    ],
+    "card.imports": [
+      "Domestic buyers purchase {v:money} of goods/services produced outside the country.",
+      "Purchases of foreign-produced items total {v:money}.",
+      "Spending on goods/services produced abroad equals {v:money}."
+    ],
+    "card.fixed": [
+      "Businesses purchase new equipment worth {v:money}.",
+      "Firms acquire newly produced software and equipment totaling {v:money}.",
+      "Private investment in structures/equipment equals {v:money}."
+    ],
+    "card.importConsumption": [
+      "Households buy {v:money} of phones and clothing made abroad.",
+      "Consumers spend {v:money} on imported goods.",
+      "Household purchases of foreign-produced goods equal {v:money}."
+    ],
+    "card.importInvestment": [
+      "Firms install {v:money} of new machinery built abroad.",
+      "Businesses buy {v:money} of newly produced imported equipment.",
+      "Investment in foreign-made equipment totals {v:money}."
+    ],
+    "card.importGovernment": [
+      "A public agency buys {v:money} of vehicles made abroad.",
+      "Government purchases of imported equipment total {v:money}.",
+      "Public-sector spending on foreign-produced goods equals {v:money}."
+    ],
+    "card.capitalPurchase": "{buyer} spends {v:money} on new {product} built by {seller}.",
+    "card.inventoryUp": [
+      "Firms end the year with larger inventories; inventories rise by {v:money}.",
+      "Unsold output adds {v:money} to inventories by year end.",
+      "Inventory accumulation totals {v:money} over the year."
+    ],
+    "card.inventoryDown": [
+      "Firms reduce inventories; inventories fall by {v:money}.",
+      "Sales out of existing inventories reduce inventories by {v:money}.",
+      "Inventory liquidation equals {v:money} over the year."
+    ],
+    "card.inventoryFromStock": [
+      "Firms sell {v:money} of goods out of the stock built up in earlier years.",
+      "Inventories carried over from last year fall by {v:money}.",
+      "Sales from last year's unsold output run inventories down by {v:money}."
+    ],
+    "card.xclProgram": "A government program sends {v:money} to households.",
+    "card.xclUsedAsset": "A used asset changes hands for {v:money}.",
+    "card.xclSecurities": "Households trade existing securities worth {v:money}.",
+    "card.xclOneTime": "A one-time payment of {v:money} is made to individuals.",
+    "card.xclLoan": "A loan principal repayment totals {v:money}.",
+    "card.xclInsurance": "A household receives {v:money} from an insurance claim payout.",
+
+    // Income
+    "card.wages": [
+      "{firm} pays {v:money} in compensation to workers.",
+      "{firm} payroll totals {v:money}.",
+      "{firm} pays {v:money} in wages and salaries."
+    ],
+    "card.govWages": [
+      "Public employees earn {v:money} in salaries this year.",
+      "Teachers, nurses and civil servants are paid {v:money}.",
+      "Compensation of government employees totals {v:money}."
+    ],
+    "card.profits": [
+      "{firm} records {v:money} as operating surplus.",
+      "{firm} reports profits of {v:money}.",
+      "{firm} earns {v:money} in business income."
+    ],
+    "card.commuters": [
+      "Workers who live across the border earn {v:money} at {firm}.",
+      "{firm} pays {v:money} in wages to staff who commute in from a neighboring country."
+    ],
+    "card.foreignOwners": [
+      "{firm}'s foreign parent company is entitled to {v:money} of {firm}'s profits.",
+      "Shareholders abroad own {v:money} of the profits {firm} earns this year."
+    ],
+    "card.mixedIncome": [
+      "The partners who run {firm} themselves keep {v:money} of its output for their own work and capital.",
+      "{firm}'s working owners draw {v:money} from the business this year, with no separate salary.",
+      "{firm}'s proprietors, who work in the business themselves, earn {v:money} from it this year."
+    ],
+    "card.depreciation": [
+      "{firm}'s machinery and buildings wear out by {v:money} over the year.",
+      "{firm} writes off {v:money} for capital used up in production.",
+      "{firm} sets aside {v:money} to cover the wear on its equipment."
+    ],
+    "card.productionTax": [
+      "{firm} pays {v:money} in sales and excise taxes on what it sells.",
+      "{firm} remits {v:money} of taxes on its products and premises.",
+      "Business property and sales taxes cost {firm} {v:money}."
+    ],
+    "card.subsidy": [
+      "{firm} receives a {v:money} production subsidy from the government.",
+      "A public program pays {firm} {v:money} to keep producing at current prices."
+    ],
+    "card.residentsWages": [
+      "Citizens working for employers abroad earn {v:money} in wages.",
+      "Residents on overseas work contracts are paid {v:money}."
+    ],
+    "card.residentsProfits": [
+      "{firm}'s factory in another country earns {v:money} for {firm}'s shareholders.",
+      "A foreign subsidiary of {firm} makes {v:money} in profits for its home-country owners."
+    ],
+    "card.incBenefit": "A household receives {v:money} from a public benefit program.",
+    "card.incAssetGains": "Investors realize {v:money} from asset price changes.",
+    "card.incSecurities": "A firm raises {v:money} by issuing new securities.",
+    "card.incLumpSum": "A lump-sum transfer of {v:money} is received by households.",
+    "card.incRemittances": "Emigrants send {v:money} home to their families.",
+    "card.incIncomeTax": "Households pay {v:money} of personal income tax.",
+
+    // Real GDP
+    "card.realBase": "{firm}'s sales to final users in the base year, {q:num} {units}, at the base-year price of {p:price} each.",
+    "card.realCurrent": "{firm}'s sales to final users this year, {q:num} {units}, at this year's price of {p:price} each.",
+    "card.realAtBase": "{firm}'s sales to final users this year, {q:num} {units}, at the base-year price of {p:price} each.",
+    "card.realMixed": "{firm}'s sales to final users in the base year, {q:num} {units}, at this year's price of {p:price} each.",
+    "card.realGovBase": "Public employees in the base year, {q:num} of them, at the base-year average pay of {p:price} each.",
+    "card.realGovCurrent": "Public employees this year, {q:num} of them, at this year's average pay of {p:price} each.",
+    "card.realGovAtBase": "Public employees this year, {q:num} of them, at the base-year average pay of {p:price} each.",
+    "card.realGovMixed": "Public employees in the base year, {q:num} of them, at this year's average pay of {p:price} each.",
+
+    // -----------------------------
+    // Scenario file problems (validateScenario, scenarioFromFile)
+    // -----------------------------
+    "error.notObject": "Scenario is not an object.",
+    "error.noLayout": "Scenario has no ledger layout.",
+    "error.noBins": "Ledger \"{ledger}\" in the layout has no list of bins.",
+    "error.badBinId": "Bin \"{bin}\" in the {ledger} ledger needs an id of capital letters, digits and underscores, starting with a letter.",
+    "error.badBinSign": "Bin {bin} needs a sign (and gnpSign, if given) of -1, 0 or 1.",
+    "error.badAccent": "Bin {bin} has accent \"{accent}\"; use gdp, gnp, both or neither.",
+    "error.inventoryIdsNotArray": "meta.inventoryCardIds must be a list.",
+    "error.missingLedger": "Layout is missing the {ledger} ledger.",
+    "error.cardsNotArray": "{ledger}Cards must be an array.",
+    "error.cardsWithoutLedger": "The file has {ledger}Cards but its layout has no {ledger} ledger.",
+    "error.noId": "A {ledger} card has no id.",
+    "error.duplicateId": "Duplicate card id \"{id}\".",
+    "error.wrongLedger": "Card {id} is listed under {listed} but says ledger \"{ledger}\".",
+    "error.noAmount": "Card {id} has no numeric amount.",
+    "error.zeroAmount": "Card {id} has a zero amount.",
+    "error.negativeAmount": "Card {id} has a negative amount ({amount}).",
+    "error.badExplanation": "Card {id} has an explanation that is not text.",
+    "error.noText": "Card {id} has no text.",
+    "error.badTemplate": "Card {id} has a template without a message id.",
+    "error.unknownTemplate": "Card {id} has template \"{key}\", which is not a card message in this lab.",
+    "error.badTemplateVariant": "Card {id} asks for variant {variant} of template \"{key}\", which has no such variant.",
+    "error.unknownTemplateRef": "Card {id} has a template value that refers to unknown message \"{key}\".",
+    "error.unknownBin": "Card {id} has unknown correctBin \"{bin}\" for the {ledger} ledger.",
+    "error.badSplit": "Card {id} has correctBins that are not two or more different bins.",
+    "error.splitAndSingle": "Card {id} has both correctBin and correctBins.",
+    "error.unknownFirm": "Card {id} names unknown firm \"{firm}\".",
+    "error.otherFirmsBin": "Card {id} belongs to firm {firm} but its correctBin {bin} is another firm's.",
+    "error.inventoryNotExpenditure": "meta.inventoryCardIds lists \"{id}\", which is not an expenditure card.",
+    "error.inventoryBin": "Inventory card {id} belongs in E_I, not {bin}.",
+    "error.badPlanted": "meta.findErrors.planted must be a list.",
+    "error.plantedCard": "meta.findErrors plants an error on \"{id}\", which is not a card or is planted twice.",
+    "error.plantedBins": "The planted error on card {id} needs one {ledger} bin for each copy of the card.",
+    "error.gdpMismatch": "Correct placement gives GDP ({ledger}) = {gdp}, expected {target}.",
+    "error.gnpMismatch": "Correct placement gives GNP = {gnp}, but meta.components.gnp is {expected}.",
+    "error.realNominal": "Current-year nominal GDP in the real ledger is {value}, expected {target}.",
+    "error.firmIncome": "Firm {firm}: correct placement gives value added {va} but income {income}.",
+    "error.notJson": "File is not valid JSON.",
+    "error.noScenario": "File does not contain a scenario object.",
+    "error.unknownFormat": "Unknown format \"{format}\".",
+    "error.newerVersion": "File is format version {version}; this lab reads up to version {max}."
+  }
+});
+
+// Node (tools/) loads this file as a module; in the browser these stay globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LOCALES, registerLocale, setLocale, getLocale, localeTag, matchLocale, hasMessage, variantCount,
+    formatNumber, formatMoney, formatPrice, formatPercent, t
+  };
+}
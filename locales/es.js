@@ -0,0 +1,668 @@
+// locales/es.js — Spanish catalog (see i18n.js for the message format)
+/* global registerLocale */
+
+registerLocale("es", {
+  label: "Español",
+  intl: "es",
+  currency: "$",
+  scale: "M",
+  money: "{n}\u00a0{scale}{currency}",
+  price: "{n}\u00a0{currency}",
+  messages: {
+    // -----------------------------
+    // Page
+    // -----------------------------
+    "page.title": "Laboratorio de conciliación del PIB: Producción = Gasto = Ingreso",
+    "page.kicker": "Laboratorio de práctica de macroeconomía",
+    "page.heading": "Laboratorio de conciliación del PIB",
+    "page.intro": "Clasifica las partidas en tres libros. Si lo haces bien: <strong>Producción (valor agregado)</strong> = <strong>Gasto</strong> = <strong>Ingreso</strong>. La inversión incluye <strong>inversión fija + variación de existencias</strong>.",
+    "page.language": "Idioma",
+    "page.identities": "Identidades clave",
+    "page.identity.expenditure": "<strong>Gasto</strong>: \\(\\;PIB = C + I + G + (X-M)\\)",
+    "page.identity.investment": "<strong>Inversión</strong>: \\(\\;I = I_{\\text{fija}} + \\Delta \\text{Existencias}\\)",
+    "page.identity.production": "<strong>Producción</strong>: \\(\\;PIB = \\sum (\\text{Producción} - \\text{Consumo intermedio})\\)",
+    "page.identity.incomeSimple": "<strong>Ingreso</strong> (simplificado): \\(\\;PIB = \\text{Salarios} + \\text{Beneficios}\\)",
+    "page.identity.incomeFull": "<strong>Ingreso</strong> (completo): \\(\\;PIB = \\text{Salarios} + \\text{Beneficios} + \\text{Ingreso mixto} + \\text{Depreciación} + (\\text{Impuestos sobre la producción} - \\text{Subvenciones})\\)",
+    "page.identity.real": "<strong>PIB real</strong>: \\(\\;\\text{Real}_t = \\sum P_{\\text{base}} Q_t\\), \\(\\;\\text{Deflactor} = 100 \\times \\text{Nominal}_t / \\text{Real}_t\\)",
+    "page.identity.gnp": "<strong>PNB</strong>: \\(\\;PNB = PIB + \\text{rentas de factores del exterior} - \\text{rentas de factores pagadas al exterior}\\)",
+    "page.scenario": "Escenario · ronda",
+    "page.roundCodePlaceholder": "Código de ronda",
+    "page.roundCodeAria": "Código de la ronda que quieres abrir (vacío para una ronda al azar)",
+    "page.newRound": "Nueva ronda",
+    "page.nextYear": "Año siguiente ▶",
+    "page.nextYearTitle": "Jugar el año siguiente de esta economía (cuando este año cuadre)",
+    "page.difficultyAria": "Dificultad de la próxima ronda",
+    "page.pastRoundsAria": "Retomar una ronda anterior",
+    "page.export": "Exportar",
+    "page.exportTitle": "Descargar esta ronda como archivo de escenario",
+    "page.import": "Importar",
+    "page.importTitle": "Cargar un archivo de escenario del profesor (.json)",
+    "page.print": "Imprimir hoja de trabajo",
+    "page.printTitle": "Imprimir esta ronda como hoja de trabajo en papel, con la clave de respuestas en la última página",
+    "page.actions": "Acciones",
+    "page.reset": "Reiniciar",
+    "page.undo": "Deshacer",
+    "page.undoTitle": "Deshacer el último movimiento (Ctrl+Z)",
+    "page.redo": "Rehacer",
+    "page.redoTitle": "Rehacer el movimiento deshecho (Ctrl+Y)",
+    "page.replay": "Repetición",
+    "page.replayTitle": "Recorrer los movimientos de esta ronda desde el principio",
+    "page.replayAria": "Repetición de movimientos",
+    "page.replayPrev": "◀ Atrás",
+    "page.replayNext": "Siguiente ▶",
+    "page.replayExit": "Volver a mi ronda",
+    "page.submit": "Entregar",
+    "page.optionsAria": "Opciones de la próxima ronda",
+    "page.optFullIncome": "Enfoque del ingreso completo (depreciación, impuestos sobre la producción, ingreso mixto)",
+    "page.optGnp": "PIB frente a PNB (rentas de factores que cruzan la frontera)",
+    "page.optReal": "PIB nominal frente a real (año base y deflactor)",
+    "page.optSupplyChain": "Cadena de suministro (las empresas se venden insumos y máquinas entre sí)",
+    "page.optFirmIncome": "Salarios y beneficios por empresa (una casilla de ingreso por empresa)",
+    "page.optSplitImports": "Bienes finales importados (una tarjeta en C, I o G y en M)",
+    "page.optPublicSector": "El Estado como productor (servicios públicos valorados al costo)",
+    "page.optCampaign": "Economía de varios años (cada año cuadrado desbloquea el siguiente)",
+    "page.optFindErrors": "Encuentra los errores (todas las tarjetas empiezan colocadas, unas pocas en la casilla equivocada)",
+    "page.gdpProduction": "PIB (Producción)",
+    "page.gdpExpenditure": "PIB (Gasto)",
+    "page.gdpIncome": "PIB (Ingreso)",
+    "page.gap": "Diferencia de conciliación",
+    "page.gnpIncome": "PNB (Ingreso)",
+    "page.deflator": "Deflactor del PIB",
+    "page.realGrowth": "Crecimiento real",
+    "page.items": "Partidas",
+    "page.itemsSub": "Cambia de pestaña y arrastra las partidas a las casillas, o selecciona una partida (clic, toque o Intro) y elige una casilla (clic, toque o flechas + Intro).",
+    "page.tabsAria": "Pestañas de los libros",
+    "page.ledger": "Libro",
+    "page.ledgerSub": "Si clasificas bien, los tres totales del PIB coinciden.",
+    "page.legendAria": "Clave de colores de las casillas",
+    "page.legendBoth": "PIB y PNB",
+    "page.legendGdp": "Solo PIB",
+    "page.legendGnp": "Solo PNB",
+    "page.legendNeither": "Ninguno",
+    "page.firmByFirm": "Empresa por empresa",
+    "page.firmByFirmSub": "El valor agregado de cada empresa debe ser igual al ingreso que genera. Se actualiza al colocar tarjetas.",
+    "page.circularFlow": "Flujo circular",
+    "page.circularFlowSub": "El grosor de las flechas sigue tus casillas a medida que colocas tarjetas. Tras Comprobar, la banda clara bajo cada flecha es el flujo correcto y las flechas rojas difieren de él.",
+    "page.campaign": "Esta economía, año por año",
+    "page.partC": "Consumo (C)",
+    "page.partI": "Inversión (I)",
+    "page.partG": "Gobierno (G)",
+    "page.partNX": "Exportaciones netas (X − M)",
+    "page.colYear": "Año",
+    "page.colGdp": "PIB",
+    "page.colGrowth": "Crecimiento",
+    "page.checks": "Comprobaciones",
+    "page.checksSub": "Se actualiza al pulsar «Comprobar».",
+    "page.record": "Tu historial",
+    "page.colRound": "Ronda",
+    "page.colLevel": "Nivel",
+    "page.colScore": "Puntuación",
+    "page.colChecks": "Comprobaciones",
+    "page.colHints": "Pistas",
+    "page.colCardType": "Tipo de tarjeta",
+    "page.colMisplaced": "Mal colocadas",
+    "page.colRate": "Tasa",
+    "page.namePlaceholder": "Tu nombre",
+    "page.nameAria": "Tu nombre, incluido en las exportaciones",
+    "page.exportCsv": "Exportar CSV",
+    "page.exportJson": "Exportar JSON",
+    "page.clear": "Borrar",
+    "page.goal": "Objetivo: diferencia = 0 con la clasificación correcta.",
+
+    // -----------------------------
+    // App messages
+    // -----------------------------
+    "ui.card": "Tarjeta",
+    "ui.cardLabel": "tarjeta de {amount} «{words}»",
+    "ui.thePool": "el montón de tarjetas",
+    "ui.cardPool": "Montón de tarjetas",
+    "ui.binAria": "Casilla: {bin}",
+    "ui.moved": "{card} movida a {zone}.",
+    "ui.locked": "Las respuestas están entregadas; las casillas están bloqueadas.",
+    "ui.selectionCleared": "Selección anulada.",
+    "ui.selected": "{card} seleccionada. Usa las flechas para elegir una casilla e Intro para colocarla, o toca una casilla. Escape cancela.",
+    "ui.target": "Destino: {zone}.",
+    "ui.activeLedger": "Libro activo: {ledger}.",
+    "ui.firm": "Empresa",
+    "ui.output": "Producción",
+    "ui.intermediate": "Consumo intermedio",
+    "ui.valueAdded": "Valor agregado",
+    "ui.wages": "Salarios",
+    "ui.profits": "Beneficios",
+    "ui.otherIncome": "Otros ingresos",
+    "ui.income": "Ingreso",
+    "ui.vaMismatch": "VA ≠ ingreso",
+    "ui.flowAria": "Flujo circular del dinero entre hogares, empresas, gobierno y resto del mundo",
+    "ui.flowTitle": "{flow}: {v:money} de {from} a {to}",
+    "ui.flowTitleKey": "{flow}: {v:money} de {from} a {to}; clave de respuestas {key:money}",
+    "ui.flowKey": "clave {key:money}",
+    "ui.allFirms": "Todas las empresas",
+    "ui.noMistakes": "No hay tarjetas mal colocadas.",
+    "ui.mistakesByConcept": "Errores por concepto ({count})",
+    "ui.placedIn": " — colocadas en {bins}. {explanation}",
+    "ui.gnpOk": "Comprobación del PNB: ✓ PNB {gnp:money} = PIB {gdp:money} + {receipts:money} ganados en el exterior − {payments:money} pagados a no residentes.",
+    "ui.gnpOff": "Comprobación del PNB: ✗ el PNB aún no es igual a PIB + rentas de factores del exterior − rentas de factores pagadas al exterior.",
+    "ui.realOk": "Comprobación del PIB real: ✓ PIB nominal {base:money} (año base) y {current:money} (este año); PIB real {real:money} a precios del año base. Deflactor {deflator}, crecimiento real {growth:pct}.",
+    "ui.realOff": "Comprobación del PIB real: ✗ el PIB nominal de algún año o el PIB real todavía no coincide.",
+    "ui.notBin": "✗ No va en {bin}. {explanation}",
+    "ui.splitCopy": "copia {n} de {total}",
+    "ui.inventoryOk": "Comprobación de existencias: ✓ la variación de existencias está correctamente dentro de la inversión (I).",
+    "ui.inventoryOff": "Comprobación de existencias: ✗ al menos una variación de existencias no está en inversión (I).",
+    "ui.checksLeft": { one: "Queda {count} comprobación", other: "Quedan {count} comprobaciones" },
+    "ui.noChecksLeft": "No quedan comprobaciones",
+    "ui.examChecked": "Comprobado: {correct}/{placed} correctas. {left}; entrega cuando termines.",
+    "ui.placeFirst": "Coloca partidas en las casillas y pulsa Comprobar.",
+    "ui.scoreSuffix": " Puntuación {score}/100.",
+    "ui.perfect": "¡Perfecto! Los totales del PIB concilian exactamente (diferencia = {gap:money}).{score}",
+    "ui.perfectGnp": "¡Perfecto! Los totales del PIB concilian exactamente y PNB = PIB + rentas netas de factores (diferencia = {gap:money}).{score}",
+    "ui.checked": "Comprobado: {correct}/{placed} correctas. Diferencia: {gap:money}.",
+    "ui.errorsLeft": { one: "Comprobado: {count} tarjeta sigue mal colocada; encontrarla te toca a ti. Diferencia: {gap:money}.", other: "Comprobado: {count} tarjetas siguen mal colocadas; encontrarlas te toca a ti. Diferencia: {gap:money}." },
+    "ui.errorsTask": { one: "Encuentra los errores: {count} tarjeta empieza en una casilla equivocada.", other: "Encuentra los errores: {count} tarjetas empiezan en una casilla equivocada." },
+    "ui.errorsMoves": "Movimientos hasta ahora: {moves} (mínimo posible: {fewest}).",
+    "ui.errorsPlanted": { one: "El error colocado, {fixed} de {count} corregido · movimientos: {moves} (mínimo posible: {fewest})", other: "Los {count} errores colocados, {fixed} corregidos · movimientos: {moves} (mínimo posible: {fewest})" },
+    "ui.plantedError": "{card}: {mistake} ({state})",
+    "ui.plantedFixed": "corregido",
+    "ui.plantedMissed": "sigue mal",
+    "ui.badCode": "«{code}» no es un código de ronda válido (p. ej., K3F9Q2 o K3F9Q2-FNR).",
+    "ui.roundLoaded": "Ronda {code} ({level}) cargada. Haz que coincidan los tres totales del PIB.",
+    "ui.yearLoaded": "Ronda {code} ({level}) cargada: año {year} de esta economía, con {stock:money} de existencias al inicio.",
+    "ui.yearCharted": "El año {year} ya está en el gráfico de la economía; Año siguiente continúa desde él.",
+    "ui.campaignInfo": "Año {year} de la economía {code}. Existencias al inicio del año: {stock:money}.",
+    "ui.campaignEmpty": "Haz cuadrar este año para añadirlo al gráfico.",
+    "ui.campaignChartAria": { one: "PIB y sus C, I, G y X − M en {count} año cuadrado", other: "PIB y sus C, I, G y X − M en {count} años cuadrados" },
+    "ui.yearShort": "Año {year}",
+    "ui.reset": "Colocaciones reiniciadas (en esta ronda).",
+    "ui.undone": "Deshecho: {card} vuelve a {zone}.",
+    "ui.redone": "Rehecho: {card} movida a {zone}.",
+    "ui.undoneReset": { one: "Reinicio deshecho: {count} tarjeta vuelve a su casilla.", other: "Reinicio deshecho: {count} tarjetas vuelven a sus casillas." },
+    "ui.redoneReset": { one: "Reinicio rehecho: {count} tarjeta vuelve al montón.", other: "Reinicio rehecho: {count} tarjetas vuelven al montón." },
+    "ui.nothingToUndo": "No hay nada que deshacer.",
+    "ui.nothingToRedo": "No hay nada que rehacer.",
+    "ui.noMoves": "Todavía no hay movimientos que repetir.",
+    "ui.replayLocked": "Esto es una repetición; vuelve a tu ronda para mover tarjetas.",
+    "ui.replayStarted": "Repetición: usa Siguiente y Atrás para recorrer tus movimientos.",
+    "ui.replayEnded": "De vuelta a tu ronda.",
+    "ui.replayStart": { one: "Inicio de la ronda · {count} movimiento", other: "Inicio de la ronda · {count} movimientos" },
+    "ui.replayPlace": "Movimiento {n}/{total} a los {time}: {card} a {zone}.",
+    "ui.replayUndo": "Movimiento {n}/{total} a los {time}: Deshacer, {card} vuelve a {zone}.",
+    "ui.replayRedo": "Movimiento {n}/{total} a los {time}: Rehacer, {card} a {zone}.",
+    "ui.replayReset": { one: "Movimiento {n}/{total} a los {time}: Reiniciar, {count} tarjeta vuelve al montón.", other: "Movimiento {n}/{total} a los {time}: Reiniciar, {count} tarjetas vuelven al montón." },
+    "ui.replayUndoReset": { one: "Movimiento {n}/{total} a los {time}: Deshacer el reinicio, {count} tarjeta vuelve a su casilla.", other: "Movimiento {n}/{total} a los {time}: Deshacer el reinicio, {count} tarjetas vuelven a sus casillas." },
+    "ui.replayRedoReset": { one: "Movimiento {n}/{total} a los {time}: Rehacer el reinicio, {count} tarjeta vuelve al montón.", other: "Movimiento {n}/{total} a los {time}: Rehacer el reinicio, {count} tarjetas vuelven al montón." },
+    "ui.resetStart": "Reinicio: cada tarjeta vuelve a donde empezó la ronda.",
+    "ui.redoneResetStart": { one: "Reinicio rehecho: {count} tarjeta vuelve a donde empezó.", other: "Reinicio rehecho: {count} tarjetas vuelven a donde empezaron." },
+    "ui.replayResetStart": { one: "Movimiento {n}/{total} a los {time}: Reiniciar, {count} tarjeta vuelve a donde empezó.", other: "Movimiento {n}/{total} a los {time}: Reiniciar, {count} tarjetas vuelven a donde empezaron." },
+    "ui.replayRedoResetStart": { one: "Movimiento {n}/{total} a los {time}: Rehacer el reinicio, {count} tarjeta vuelve a donde empezó.", other: "Movimiento {n}/{total} a los {time}: Rehacer el reinicio, {count} tarjetas vuelven a donde empezaron." },
+    "ui.languageChanged": "Idioma: español. Los importes de la ronda no cambian.",
+    "ui.noHintsLeft": "No quedan pistas en esta ronda.",
+    "ui.placeAllFirst": "Coloca todas las tarjetas antes de pedir una pista (quedan {count} en el montón).",
+    "ui.nothingToFix": "Nada que corregir: todas las casillas coinciden con la clave de respuestas.",
+    "ui.earlierHints": "Tus pistas anteriores siguen vigentes: corrige eso primero.",
+    "ui.hintStatus": "Pista: {text}",
+    "ui.hintButton": "Pista (restantes: {count})",
+    "ui.hintsUsed": "Pistas usadas: {used} de {max}",
+    "ui.inventoryIncrease": "Aumento de existencias",
+    "ui.inventoryDecrease": "Disminución de existencias",
+    "ui.nothingToExport": "Aún no hay nada que exportar: usa Comprobar primero.",
+    "ui.historyExported": "{count} entradas del historial exportadas como {format}.",
+    "ui.confirmClearHistory": "¿Borrar todo tu historial de intentos en este dispositivo?",
+    "ui.historyCleared": "Historial de intentos borrado.",
+    "ui.checksCount": { one: "{count} comprobación", other: "{count} comprobaciones" },
+    "ui.roundsFinished": { one: "{count} ronda terminada", other: "{count} rondas terminadas" },
+    "ui.averageScore": ", puntuación media {avg}/100",
+    "ui.historySummary": "{checks}, {rounds}{average}.",
+    "ui.noHistory": "Todavía no hay comprobaciones registradas.",
+    "ui.exam": "examen",
+    "ui.lrsPending": { one: "LMS: {count} resultado pendiente de envío", other: "LMS: {count} resultados pendientes de envío" },
+    "ui.lrsSent": "LMS: todos los resultados enviados",
+    "ui.lrsRejected": { one: "({count} resultado rechazado por el LMS)", other: "({count} resultados rechazados por el LMS)" },
+    "ui.checkButton": "Comprobar",
+    "ui.checkButtonLeft": "Comprobar (restantes: {count})",
+    "ui.timeLeft": "Quedan {time}",
+    "ui.confirmSubmit": "¿Entregar tus respuestas? Las casillas se bloquean al entregar.",
+    "ui.timeUp": "Se acabó el tiempo: tus respuestas se han entregado. Consulta el informe de puntuación abajo.",
+    "ui.submitted": "Entregado. Consulta el informe de puntuación abajo.",
+    "ui.scoreReport": "Informe de puntuación",
+    "ui.cardsCorrect": "{correct}/{total} tarjetas correctas ({pct} %)",
+    "ui.reportLedger": "Libro",
+    "ui.reportCorrect": "Correctas",
+    "ui.reportNotPlaced": "Sin colocar",
+    "ui.reportGdp": "PIB por producción {production:money}, gasto {expenditure:money}, ingreso {income:money}: {verdict}.",
+    "ui.reportReconcile": "los tres enfoques concilian",
+    "ui.reportGap": "diferencia de {gap:money}",
+    "ui.reportScore": "Puntuación: {score}/100.",
+    "ui.reportChecks": "Comprobaciones usadas: {used} de {allowed}.",
+    "ui.reportSingle": "Entrega única, sin comprobaciones.",
+    "ui.reportTime": "Tiempo empleado: {time}{note}.",
+    "ui.reportTimedOut": " (se acabó el tiempo)",
+    "ui.resumed": "Ronda {code} retomada.",
+    "ui.resumePast": "Retomar una ronda anterior…",
+    "ui.noPastRounds": "Aún no hay rondas anteriores",
+    "ui.pastRound": "{code} · {placed}/{total} colocadas{tags} · {when}",
+    "ui.tagExam": " · examen",
+    "ui.tagHints": { one: " · {count} pista", other: " · {count} pistas" },
+    "ui.tagSolved": " · ✓ resuelta",
+    "ui.exported": "Ronda {code} exportada.",
+    "ui.importFailed": "No se pudo cargar {file}: {errors}{more}",
+    "ui.moreErrors": " (+{count} más)",
+    "ui.imported": "Escenario «{code}» cargado desde {file}. Haz que coincidan los tres totales del PIB.",
+    "ui.readFailed": "No se pudo leer {file}.",
+    "ui.printed": "Hoja de trabajo de la ronda {code} enviada a la impresora; la clave de respuestas va en una página aparte.",
+
+    "hint.ledgerSplit": "El PIB por {ledger} sale bien, pero algunas de sus tarjetas están en casillas equivocadas.",
+    "hint.ledgerHigh": "El PIB por {ledger} es demasiado alto.",
+    "hint.ledgerLow": "El PIB por {ledger} es demasiado bajo.",
+    "hint.ledgerBins": "Algunas tarjetas del libro {name} están en casillas equivocadas.",
+    "hint.firmVaSplit": "El valor agregado de {firm} es correcto, pero sus tarjetas están mal repartidas entre sus casillas.",
+    "hint.firmVaHigh": "El valor agregado de {firm} es demasiado alto.",
+    "hint.firmVaLow": "El valor agregado de {firm} es demasiado bajo.",
+    "hint.firmLedgerSplit": "{firm}: el total de {ledger} es correcto, pero sus tarjetas están mal repartidas entre sus casillas.",
+    "hint.firmLedgerHigh": "{firm}: el total de {ledger} es demasiado alto.",
+    "hint.firmLedgerLow": "{firm}: el total de {ledger} es demasiado bajo.",
+    "hint.binHigh": "{bin}: el total es demasiado alto.",
+    "hint.binLow": "{bin}: el total es demasiado bajo.",
+
+    // -----------------------------
+    // Printable worksheet
+    // -----------------------------
+    "print.heading": "Laboratorio de conciliación del PIB: hoja de trabajo",
+    "print.round": "Ronda {code} · {level}",
+    "print.name": "Nombre",
+    "print.instructions": "Escribe la casilla a la que pertenece cada tarjeta; luego anota los números de tarjeta y suma cada casilla en las tablas de los libros. Si lo haces bien, el PIB sale igual por producción, gasto e ingreso.",
+    "print.colNumber": "N.º",
+    "print.colAmount": "Importe",
+    "print.colItem": "Partida",
+    "print.colBin": "Casilla",
+    "print.colCards": "Tarjetas",
+    "print.colTotal": "Total",
+    "print.gdpRow": "PIB ({ledger})",
+    "print.keyHeading": "Clave de respuestas: ronda {code}",
+    "print.components": "Componentes",
+    "print.totals": "Totales",
+
+    // -----------------------------
+    // Circular flow
+    // -----------------------------
+    "flow.households": "Hogares",
+    "flow.firms": "Empresas",
+    "flow.government": "Gobierno",
+    "flow.world": "Resto del mundo",
+    "flow.consumption": "Consumo",
+    "flow.wages": "Salarios",
+    "flow.profits": "Beneficios",
+    "flow.investment": "Inversión",
+    "flow.purchases": "Compras públicas",
+    "flow.exports": "Exportaciones",
+    "flow.imports": "Importaciones",
+
+    // -----------------------------
+    // Difficulty levels, ledgers and bins
+    // -----------------------------
+    "difficulty.easy": "Fácil",
+    "difficulty.standard": "Estándar",
+    "difficulty.hard": "Difícil",
+    "difficulty.brutal": "Brutal",
+
+    "producer.government": "Gobierno",
+    "panel.government": "El Estado como productor",
+    "ledger.production": "Producción",
+    "ledger.expenditure": "Gasto",
+    "ledger.income": "Ingreso",
+    "ledger.real": "PIB real",
+
+    "bin.firmOutput": "{firm}: producción",
+    "bin.firmIntermediate": "{firm}: consumo intermedio",
+    "bin.firmWages": "{firm}: salarios",
+    "bin.firmProfits": "{firm}: beneficios",
+    "bin.govOutput": "Gobierno: producción (al costo)",
+    "bin.govIntermediate": "Gobierno: consumo intermedio",
+    "bin.govWages": "Gobierno: salarios",
+    "bin.P_XCL": "No es consumo intermedio: bienes de capital comprados",
+    "bin.E_C": "Consumo (C)",
+    "bin.E_I": "Inversión (I)",
+    "bin.E_G": "Gobierno (G)",
+    "bin.E_X": "Exportaciones (X)",
+    "bin.E_M": "Importaciones (M)",
+    "bin.E_XCL": "Fuera del PIB / intermedio / transferencia",
+    "bin.I_W": "Salarios",
+    "bin.I_P": "Beneficios",
+    "bin.I_MIX": "Ingreso mixto / de propietarios",
+    "bin.I_DEP": "Depreciación",
+    "bin.I_TAX": "Impuestos sobre la producción menos subvenciones",
+    "bin.I_NFR": "Rentas de factores del exterior",
+    "bin.I_NFP": "Rentas de factores pagadas al exterior",
+    "bin.I_XCL": "No es ingreso / transferencia / financiero",
+    "bin.R_NOM0": "PIB nominal, año base",
+    "bin.R_NOM1": "PIB nominal, año en curso",
+    "bin.R_REAL1": "PIB real, año en curso (precios del año base)",
+    "bin.R_XCL": "No entra en ninguna medida",
+
+    "note.production": "PIB (Producción) = suma del valor agregado de las empresas (producción − consumo intermedio).",
+    "note.productionChain": "PIB (Producción) = suma del valor agregado de las empresas (producción − consumo intermedio). Una venta entre empresas es producción para quien vende y consumo intermedio para quien compra: el valor agregado la cuenta una sola vez.",
+    "note.expenditure": "PIB (Gasto) = \\(C + I + G + (X - M)\\).",
+    "note.incomeFull": "Enfoque del ingreso completo: salarios + beneficios + ingreso mixto + depreciación + (impuestos sobre la producción − subvenciones).",
+    "note.incomeSimple": "Enfoque del ingreso simplificado: salarios + beneficios. (Aquí no hay depreciación ni impuestos).",
+    "note.gnp": " PNB = PIB + rentas de factores del exterior − rentas de factores pagadas al exterior.",
+    "note.real": "El PIB nominal valora la producción de cada año a los precios de ese año; el PIB real valora la producción de este año a precios del año base. Deflactor = 100 × nominal ÷ real.",
+    "note.governmentPanel": "Los servicios públicos no tienen precio de mercado, así que la producción del Estado se valora al costo: la remuneración de sus empleados más los insumos que compra. Su valor agregado es su nómina.",
+
+    "firm.S.product": "acero", "firm.S.units": "toneladas de acero",
+    "firm.A.product": "vehículos", "firm.A.units": "automóviles",
+    "firm.P.product": "servicios portuarios", "firm.P.units": "movimientos de contenedores",
+    "firm.M.product": "maquinaria", "firm.M.units": "máquinas",
+    "firm.F.product": "cereales", "firm.F.units": "toneladas de cereal",
+    "firm.C.product": "productos químicos", "firm.C.units": "barriles de disolvente",
+    "firm.T.product": "tejidos", "firm.T.units": "rollos de tela",
+    "firm.D.product": "servicios informáticos", "firm.D.units": "licencias de software",
+    "firm.custom.product": "suministros", "firm.custom.units": "unidades de producción de {name}",
+
+    // -----------------------------
+    // Card concepts
+    // -----------------------------
+    "concept.output.label": "Producción",
+    "concept.output.hint": "producción",
+    "concept.output.explanation": "Los bienes y servicios que una empresa produjo este año forman parte de su producción, los compre quien los compre.",
+    "concept.intermediate.label": "Consumo intermedio",
+    "concept.intermediate.hint": "consumo intermedio",
+    "concept.intermediate.explanation": "Los insumos que se agotan en la producción se restan de la producción; ya están contados en la producción del proveedor, así que sumarlos otra vez sería contarlos dos veces.",
+    "concept.capitalGood.label": "Bienes de capital nuevos",
+    "concept.capitalGood.hint": "bien de capital nuevo",
+    "concept.capitalGood.explanation": "Una máquina nueva que dura años es inversión del comprador, no un insumo que se agota este año, así que no se resta de su producción.",
+    "concept.governmentOutput.label": "Producción del Estado al costo",
+    "concept.governmentOutput.hint": "producción del Estado al costo",
+    "concept.governmentOutput.explanation": "Los servicios públicos no se venden a un precio de mercado, así que la producción del Estado se valora por lo que cuesta producirla: la remuneración de sus empleados más los insumos que compra a las empresas.",
+    "concept.consumption.label": "Consumo",
+    "concept.consumption.hint": "consumo",
+    "concept.consumption.explanation": "El gasto de los hogares en bienes y servicios finales de nueva producción es consumo (C).",
+    "concept.fixed.label": "Inversión fija",
+    "concept.fixed.hint": "inversión",
+    "concept.fixed.explanation": "La compra por las empresas de equipo, software y construcciones de nueva producción es inversión (I).",
+    "concept.inventory.label": "Variación de existencias",
+    "concept.inventory.hint": "variación de existencias",
+    "concept.inventory.explanation": "La variación de existencias va en la inversión (I): lo producido este año y no vendido la aumenta, y las ventas de existencias antiguas la reducen.",
+    "concept.government.label": "Compras del Estado",
+    "concept.government.hint": "compras del Estado",
+    "concept.government.explanation": "Lo que el Estado compra en bienes y servicios a los productores son compras del Estado (G).",
+    "concept.governmentPay.label": "Nómina del Estado",
+    "concept.governmentPay.hint": "compras del Estado",
+    "concept.governmentPay.explanation": "Pagar a los empleados públicos es el Estado comprando su trabajo para producir sus propios servicios, así que cuenta en las compras del Estado (G), valorado al costo como la propia producción.",
+    "concept.exports.label": "Exportaciones",
+    "concept.exports.hint": "exportaciones",
+    "concept.exports.explanation": "Las exportaciones son producción nacional comprada por extranjeros, así que suman al PIB.",
+    "concept.imports.label": "Importaciones",
+    "concept.imports.hint": "importaciones",
+    "concept.imports.explanation": "Una importación se resta porque se produjo en el exterior; el gasto en ella ya está contado dentro de C, I o G.",
+    "concept.importedGoods.label": "Bienes finales importados",
+    "concept.importedGoods.hint": "gasto e importaciones",
+    "concept.importedGoods.explanation": "Un bien importado para uso final es gasto de quien lo compra, así que va en C, I o G, y se produjo en el exterior, así que también va en M: ambos se compensan y no suma nada al PIB.",
+    "concept.transfer.label": "Transferencias",
+    "concept.transfer.hint": "transferencia",
+    "concept.transfer.explanation": "Una transferencia mueve dinero sin comprar nada producido este año, así que no forma parte del PIB.",
+    "concept.usedGood.label": "Bienes usados",
+    "concept.usedGood.hint": "bien usado",
+    "concept.usedGood.explanation": "Un activo usado no es producción corriente: se contó en el PIB del año en que se fabricó.",
+    "concept.financial.label": "Operaciones financieras",
+    "concept.financial.hint": "operación financiera",
+    "concept.financial.explanation": "Negociar títulos, captar fondos o devolver un préstamo es una operación financiera: los activos cambian de manos, pero no se produce nada.",
+    "concept.excluded.label": "Fuera del PIB",
+    "concept.excluded.hint": "fuera del PIB",
+    "concept.excluded.explanation": "Este pago no es ingreso ni gasto por la producción de este año, así que queda fuera del PIB.",
+    "concept.wages.label": "Salarios",
+    "concept.wages.hint": "salarios",
+    "concept.wages.explanation": "Lo que se paga a los empleados por su trabajo de este año es remuneración de asalariados, parte del ingreso generado por la producción.",
+    "concept.profits.label": "Beneficios",
+    "concept.profits.hint": "beneficios",
+    "concept.profits.explanation": "Lo que queda del valor agregado de una empresa tras pagar a sus trabajadores (y otros cargos) es beneficio, parte del ingreso generado por la producción.",
+    "concept.mixedIncome.label": "Ingreso mixto",
+    "concept.mixedIncome.hint": "ingreso mixto",
+    "concept.mixedIncome.explanation": "Los autónomos obtienen una mezcla de salario y beneficio que no se puede separar, así que se cuenta aparte como ingreso mixto.",
+    "concept.depreciation.label": "Depreciación",
+    "concept.depreciation.hint": "depreciación",
+    "concept.depreciation.explanation": "El capital desgastado en la producción forma parte del valor de lo producido, así que la depreciación se suma para pasar del ingreso neto al PIB.",
+    "concept.productionTax.label": "Impuestos sobre la producción",
+    "concept.productionTax.hint": "impuesto sobre la producción",
+    "concept.productionTax.explanation": "Los impuestos sobre las ventas, especiales y sobre bienes inmuebles forman parte de los precios de mercado, así que se incluyen en el PIB por el lado del ingreso.",
+    "concept.subsidy.label": "Subvenciones",
+    "concept.subsidy.hint": "subvención",
+    "concept.subsidy.explanation": "Una subvención a la producción abarata los precios de mercado, así que se resta dentro de los impuestos sobre la producción menos subvenciones.",
+    "concept.incomeTax.label": "Impuestos sobre la renta",
+    "concept.incomeTax.hint": "impuesto sobre la renta",
+    "concept.incomeTax.explanation": "El impuesto sobre la renta personal se paga con ingresos ya contados como salarios o beneficios; no es un impuesto sobre la producción.",
+    "concept.factorReceipts.label": "Rentas de factores del exterior",
+    "concept.factorReceipts.hint": "rentas de factores del exterior",
+    "concept.factorReceipts.explanation": "Lo que ganan los residentes en el exterior procede de la producción de otro país: entra en el PNB, no en el PIB.",
+    "concept.factorPayments.label": "Rentas de factores pagadas al exterior",
+    "concept.factorPayments.hint": "rentas de factores pagadas al exterior",
+    "concept.factorPayments.explanation": "Los salarios y beneficios pagados a no residentes proceden de la producción nacional: entran en el PIB, pero no en el PNB.",
+    "concept.baseNominal.label": "PIB nominal del año base",
+    "concept.baseNominal.explanation": "Las cantidades del año base a precios del año base forman el PIB nominal del año base.",
+    "concept.currentNominal.label": "PIB nominal",
+    "concept.currentNominal.explanation": "Las cantidades de este año a precios de este año forman el PIB nominal de este año.",
+    "concept.currentReal.label": "PIB real",
+    "concept.currentReal.explanation": "Las cantidades de este año a precios del año base forman el PIB real: solo han cambiado las cantidades.",
+    "concept.mixedPrices.label": "Precios y cantidades mezclados",
+    "concept.mixedPrices.explanation": "Cantidades antiguas a precios nuevos no miden la producción de ningún año a un precio coherente, así que no corresponden a ninguna medida del PIB.",
+
+    // -----------------------------
+    // Planted errors
+    // -----------------------------
+    "mistake.inventoryDropInC": "una caída de existencias contada en el consumo (C)",
+    "mistake.transferInG": "una transferencia contada como compras del gobierno (G)",
+    "mistake.usedGoodInC": "una venta de segunda mano contada en el consumo (C)",
+    "mistake.financialInI": "una operación financiera contada como inversión (I)",
+    "mistake.importsLeftOut": "importaciones excluidas en lugar de restadas (M)",
+    "mistake.importedGoodsNotInM": "un bien importado contado en el gasto pero no restado en M",
+    "mistake.intermediateAsOutput": "una compra intermedia registrada como producción",
+    "mistake.transferAsWages": "una transferencia contada como salarios",
+    "mistake.assetGainsAsProfits": "una ganancia financiera contada como beneficios",
+    "mistake.incomeTaxAsProductionTax": "un impuesto sobre la renta contado como impuesto sobre la producción",
+
+    // -----------------------------
+    // Card templates
+    // -----------------------------
+    "card.prodOut": [
+      "{firm} registra ventas por {v:money} de bienes/servicios producidos este año.",
+      "{firm} entrega bienes/servicios valorados en {v:money} a precios de mercado.",
+      "{firm} declara una producción de {v:money} en el año.",
+      "{firm} atiende pedidos de clientes por un total de {v:money}.",
+      "{firm} factura {v:money} por productos/servicios que produjo este año."
+    ],
+    "card.prodInt": [
+      "{firm} compra {v:money} en materiales y servicios que se agotan durante la producción.",
+      "{firm} adquiere {v:money} en componentes/materiales para su proceso productivo.",
+      "{firm} paga {v:money} por insumos de producción (materiales, servicios, energía)."
+    ],
+    "card.chainSale": "{seller} vende {product} por valor de {v:money} a {buyer}.",
+    "card.chainCapitalSale": "{seller} entrega a {buyer} {product} de fabricación reciente por valor de {v:money}.",
+    "card.chainInput": "{buyer} compra {product} por valor de {v:money} a {seller}, un insumo que se agota en la producción.",
+    "card.chainInstall": "{buyer} instala {product} de fabricación reciente de {seller} por valor de {v:money}, que durará años.",
+    "card.govOutput": [
+      "Las escuelas, hospitales y tribunales públicos prestan servicios cuyo funcionamiento cuesta {v:money}.",
+      "Los organismos públicos prestan servicios con un costo de producción total de {v:money}.",
+      "Los servicios públicos prestados este año valen {v:money} al costo."
+    ],
+    "card.govInputs": [
+      "Los organismos públicos compran {v:money} en suministros y servicios a empresas y los agotan.",
+      "Las oficinas públicas consumen {v:money} en materiales, energía y servicios comprados.",
+      "Los insumos que el sector público compra y agota para prestar sus servicios suman {v:money}."
+    ],
+
+    "card.consumption": [
+      "Los hogares gastan {v:money} en bienes y servicios finales.",
+      "Las compras de los consumidores suman {v:money} este año.",
+      "El gasto final de los hogares asciende a {v:money}."
+    ],
+    "card.government": [
+      "Un organismo público compra {v:money} en bienes y servicios a empresas.",
+      "Las compras del Estado suman {v:money}.",
+      "El gasto del sector público en bienes/servicios asciende a {v:money}."
+    ],
+    "card.govPayroll": [
+      "El Estado paga {v:money} en sueldos a docentes, enfermeras y otros empleados públicos.",
+      "La nómina del sector público suma {v:money}.",
+      "El gasto del Estado en la remuneración de su propio personal asciende a {v:money}."
+    ],
+    "card.exports": [
+      "Compradores extranjeros adquieren {v:money} de producción nacional.",
+      "Las ventas a clientes del exterior suman {v:money}.",
+      "La producción vendida al resto del mundo asciende a {v:money}."
+    ],
+    "card.imports": [
+      "Compradores nacionales adquieren {v:money} en bienes/servicios producidos fuera del país.",
+      "Las compras de artículos producidos en el extranjero suman {v:money}.",
+      "El gasto en bienes/servicios producidos en el exterior asciende a {v:money}."
+    ],
+    "card.fixed": [
+      "Las empresas compran equipo nuevo por valor de {v:money}.",
+      "Las empresas adquieren software y equipo de nueva producción por un total de {v:money}.",
+      "La inversión privada en construcciones/equipo asciende a {v:money}."
+    ],
+    "card.importConsumption": [
+      "Los hogares compran {v:money} en teléfonos y ropa fabricados en el exterior.",
+      "Los consumidores gastan {v:money} en bienes importados.",
+      "Las compras de los hogares de bienes producidos en el extranjero ascienden a {v:money}."
+    ],
+    "card.importInvestment": [
+      "Las empresas instalan maquinaria nueva fabricada en el exterior por valor de {v:money}.",
+      "Las empresas compran equipo importado de nueva producción por valor de {v:money}.",
+      "La inversión en equipo fabricado en el extranjero suma {v:money}."
+    ],
+    "card.importGovernment": [
+      "Un organismo público compra vehículos fabricados en el exterior por valor de {v:money}.",
+      "Las compras del Estado de equipo importado suman {v:money}.",
+      "El gasto del sector público en bienes producidos en el extranjero asciende a {v:money}."
+    ],
+    "card.capitalPurchase": "{buyer} gasta {v:money} en {product} de fabricación reciente de {seller}.",
+    "card.inventoryUp": [
+      "Las empresas terminan el año con más existencias; las existencias aumentan {v:money}.",
+      "La producción no vendida añade {v:money} a las existencias a fin de año.",
+      "La acumulación de existencias suma {v:money} en el año."
+    ],
+    "card.inventoryDown": [
+      "Las empresas reducen sus existencias; las existencias bajan {v:money}.",
+      "Las ventas de existencias previas las reducen en {v:money}.",
+      "La liquidación de existencias asciende a {v:money} en el año."
+    ],
+    "card.inventoryFromStock": [
+      "Las empresas venden {v:money} de bienes de las existencias acumuladas en años anteriores.",
+      "Las existencias que venían del año pasado bajan {v:money}.",
+      "Las ventas de la producción no vendida el año pasado reducen las existencias en {v:money}."
+    ],
+    "card.xclProgram": "Un programa público envía {v:money} a los hogares.",
+    "card.xclUsedAsset": "Un activo usado cambia de manos por {v:money}.",
+    "card.xclSecurities": "Los hogares negocian títulos ya existentes por valor de {v:money}.",
+    "card.xclOneTime": "Se hace un pago único de {v:money} a particulares.",
+    "card.xclLoan": "La devolución del principal de un préstamo suma {v:money}.",
+    "card.xclInsurance": "Un hogar recibe {v:money} por la indemnización de un seguro.",
+
+    "card.wages": [
+      "{firm} paga {v:money} en remuneraciones a sus trabajadores.",
+      "La nómina de {firm} suma {v:money}.",
+      "{firm} paga {v:money} en sueldos y salarios."
+    ],
+    "card.govWages": [
+      "Los empleados públicos ganan {v:money} en sueldos este año.",
+      "Docentes, enfermeras y funcionarios cobran {v:money}.",
+      "La remuneración de los empleados del Estado suma {v:money}."
+    ],
+    "card.profits": [
+      "{firm} registra {v:money} como excedente de explotación.",
+      "{firm} declara beneficios de {v:money}.",
+      "{firm} obtiene {v:money} en rentas empresariales."
+    ],
+    "card.commuters": [
+      "Trabajadores que viven al otro lado de la frontera ganan {v:money} en {firm}.",
+      "{firm} paga {v:money} en salarios a personal que viene a diario de un país vecino."
+    ],
+    "card.foreignOwners": [
+      "A la matriz extranjera de {firm} le corresponden {v:money} de los beneficios de {firm}.",
+      "Accionistas del exterior poseen {v:money} de los beneficios que {firm} obtiene este año."
+    ],
+    "card.mixedIncome": [
+      "Los socios que dirigen {firm} en persona se quedan {v:money} de su producción por su propio trabajo y capital.",
+      "Los dueños de {firm}, que trabajan en el negocio, retiran {v:money} este año sin cobrar un sueldo aparte.",
+      "Los propietarios de {firm}, que trabajan en la empresa ellos mismos, obtienen {v:money} de ella este año."
+    ],
+    "card.depreciation": [
+      "La maquinaria y los edificios de {firm} se desgastan {v:money} en el año.",
+      "{firm} amortiza {v:money} por el capital consumido en la producción.",
+      "{firm} reserva {v:money} para cubrir el desgaste de su equipo."
+    ],
+    "card.productionTax": [
+      "{firm} paga {v:money} en impuestos sobre las ventas y especiales por lo que vende.",
+      "{firm} ingresa {v:money} en impuestos sobre sus productos y locales.",
+      "Los impuestos sobre bienes inmuebles y ventas le cuestan {v:money} a {firm}."
+    ],
+    "card.subsidy": [
+      "{firm} recibe del Estado una subvención a la producción de {v:money}.",
+      "Un programa público paga {v:money} a {firm} para que siga produciendo a los precios actuales."
+    ],
+    "card.residentsWages": [
+      "Ciudadanos que trabajan para empleadores del exterior ganan {v:money} en salarios.",
+      "Residentes con contratos de trabajo en el extranjero cobran {v:money}."
+    ],
+    "card.residentsProfits": [
+      "La fábrica de {firm} en otro país gana {v:money} para los accionistas de {firm}.",
+      "Una filial extranjera de {firm} obtiene {v:money} en beneficios para sus dueños en el país."
+    ],
+    "card.incBenefit": "Un hogar recibe {v:money} de un programa público de prestaciones.",
+    "card.incAssetGains": "Los inversores obtienen {v:money} por variaciones del precio de los activos.",
+    "card.incSecurities": "Una empresa capta {v:money} emitiendo nuevos títulos.",
+    "card.incLumpSum": "Los hogares reciben una transferencia única de {v:money}.",
+    "card.incRemittances": "Los emigrantes envían {v:money} a sus familias en el país.",
+    "card.incIncomeTax": "Los hogares pagan {v:money} de impuesto sobre la renta personal.",
+
+    "card.realBase": "Ventas de {firm} a usuarios finales en el año base, {q:num} {units}, al precio del año base de {p:price} por unidad.",
+    "card.realCurrent": "Ventas de {firm} a usuarios finales este año, {q:num} {units}, al precio de este año de {p:price} por unidad.",
+    "card.realAtBase": "Ventas de {firm} a usuarios finales este año, {q:num} {units}, al precio del año base de {p:price} por unidad.",
+    "card.realMixed": "Ventas de {firm} a usuarios finales en el año base, {q:num} {units}, al precio de este año de {p:price} por unidad.",
+    "card.realGovBase": "Empleados públicos en el año base, {q:num}, al sueldo medio del año base de {p:price} por persona.",
+    "card.realGovCurrent": "Empleados públicos este año, {q:num}, al sueldo medio de este año de {p:price} por persona.",
+    "card.realGovAtBase": "Empleados públicos este año, {q:num}, al sueldo medio del año base de {p:price} por persona.",
+    "card.realGovMixed": "Empleados públicos en el año base, {q:num}, al sueldo medio de este año de {p:price} por persona.",
+
+    // -----------------------------
+    // Scenario file problems
+    // -----------------------------
+    "error.notObject": "El escenario no es un objeto.",
+    "error.noLayout": "El escenario no tiene disposición de libros.",
+    "error.noBins": "El libro \"{ledger}\" de la disposición no tiene una lista de casillas.",
+    "error.badBinId": "La casilla \"{bin}\" del libro {ledger} necesita un id de mayúsculas, dígitos y guiones bajos que empiece por una letra.",
+    "error.badBinSign": "La casilla {bin} necesita un sign (y gnpSign, si lo tiene) de -1, 0 o 1.",
+    "error.badAccent": "La casilla {bin} tiene el acento \"{accent}\"; usa gdp, gnp, both o neither.",
+    "error.inventoryIdsNotArray": "meta.inventoryCardIds debe ser una lista.",
+    "error.missingLedger": "A la disposición le falta el libro {ledger}.",
+    "error.cardsNotArray": "{ledger}Cards debe ser una lista.",
+    "error.cardsWithoutLedger": "El archivo tiene {ledger}Cards pero su disposición no tiene libro {ledger}.",
+    "error.noId": "Una tarjeta de {ledger} no tiene id.",
+    "error.duplicateId": "Id de tarjeta duplicado «{id}».",
+    "error.wrongLedger": "La tarjeta {id} figura en {listed} pero indica el libro «{ledger}».",
+    "error.noAmount": "La tarjeta {id} no tiene un importe numérico.",
+    "error.zeroAmount": "La tarjeta {id} tiene un importe cero.",
+    "error.negativeAmount": "La tarjeta {id} tiene un importe negativo ({amount}).",
+    "error.badExplanation": "La tarjeta {id} tiene una explicación que no es texto.",
+    "error.noText": "La tarjeta {id} no tiene texto.",
+    "error.badTemplate": "La tarjeta {id} tiene una plantilla sin id de mensaje.",
+    "error.unknownTemplate": "La tarjeta {id} tiene la plantilla «{key}», que no es un mensaje de tarjeta de este laboratorio.",
+    "error.badTemplateVariant": "La tarjeta {id} pide la variante {variant} de la plantilla «{key}», que no existe.",
+    "error.unknownTemplateRef": "La tarjeta {id} tiene un valor de plantilla que remite al mensaje desconocido «{key}».",
+    "error.unknownBin": "La tarjeta {id} tiene un correctBin desconocido «{bin}» para el libro {ledger}.",
+    "error.badSplit": "La tarjeta {id} tiene un correctBins que no son dos o más casillas distintas.",
+    "error.splitAndSingle": "La tarjeta {id} tiene a la vez correctBin y correctBins.",
+    "error.unknownFirm": "La tarjeta {id} nombra una empresa desconocida «{firm}».",
+    "error.otherFirmsBin": "La tarjeta {id} es de la empresa {firm}, pero su correctBin {bin} es de otra empresa.",
+    "error.inventoryNotExpenditure": "meta.inventoryCardIds incluye «{id}», que no es una tarjeta de gasto.",
+    "error.inventoryBin": "La tarjeta de existencias {id} va en E_I, no en {bin}.",
+    "error.badPlanted": "meta.findErrors.planted debe ser una lista.",
+    "error.plantedCard": "meta.findErrors coloca un error en \"{id}\", que no es una tarjeta o se coloca dos veces.",
+    "error.plantedBins": "El error colocado en la tarjeta {id} necesita una casilla de {ledger} por cada copia de la tarjeta.",
+    "error.gdpMismatch": "La colocación correcta da PIB ({ledger}) = {gdp}; se esperaba {target}.",
+    "error.gnpMismatch": "La colocación correcta da PNB = {gnp}, pero meta.components.gnp es {expected}.",
+    "error.realNominal": "El PIB nominal del año en curso en el libro real es {value}; se esperaba {target}.",
+    "error.firmIncome": "Empresa {firm}: la colocación correcta da un valor agregado de {va} pero un ingreso de {income}.",
+    "error.notJson": "El archivo no es JSON válido.",
+    "error.noScenario": "El archivo no contiene un objeto de escenario.",
+    "error.unknownFormat": "Formato desconocido «{format}».",
+    "error.newerVersion": "El archivo tiene la versión de formato {version}; este laboratorio lee hasta la versión {max}."
+  }
+});
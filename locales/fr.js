@@ -0,0 +1,670 @@
+// locales/fr.js — French catalog (see i18n.js for the message format)
+/* global registerLocale */
+
+// Product names carry their article (de l'acier, des machines) so templates never need "de"
+// before them, and firms are written as subjects or after à/par/chez, which never elide.
+registerLocale("fr", {
+  label: "Français",
+  intl: "fr-FR",
+  currency: "$",
+  scale: "M",
+  money: "{n}\u00a0{scale}{currency}",
+  price: "{n}\u00a0{currency}",
+  messages: {
+    // -----------------------------
+    // Page
+    // -----------------------------
+    "page.title": "Laboratoire de réconciliation du PIB : production = dépenses = revenus",
+    "page.kicker": "Laboratoire d'exercices de macroéconomie",
+    "page.heading": "Laboratoire de réconciliation du PIB",
+    "page.intro": "Classez les opérations dans trois comptes. Si votre classement est juste : <strong>Production (valeur ajoutée)</strong> = <strong>Dépenses</strong> = <strong>Revenus</strong>. L'investissement comprend <strong>l'investissement fixe + la variation des stocks</strong>.",
+    "page.language": "Langue",
+    "page.identities": "Identités clés",
+    "page.identity.expenditure": "<strong>Dépenses</strong> : \\(\\;PIB = C + I + G + (X-M)\\)",
+    "page.identity.investment": "<strong>Investissement</strong> : \\(\\;I = I_{\\text{fixe}} + \\Delta \\text{Stocks}\\)",
+    "page.identity.production": "<strong>Production</strong> : \\(\\;PIB = \\sum (\\text{Production} - \\text{Consommation intermédiaire})\\)",
+    "page.identity.incomeSimple": "<strong>Revenus</strong> (simplifié) : \\(\\;PIB = \\text{Salaires} + \\text{Profits}\\)",
+    "page.identity.incomeFull": "<strong>Revenus</strong> (complet) : \\(\\;PIB = \\text{Salaires} + \\text{Profits} + \\text{Revenu mixte} + \\text{Amortissement} + (\\text{Impôts sur la production} - \\text{Subventions})\\)",
+    "page.identity.real": "<strong>PIB réel</strong> : \\(\\;\\text{Réel}_t = \\sum P_{\\text{base}} Q_t\\), \\(\\;\\text{Déflateur} = 100 \\times \\text{Nominal}_t / \\text{Réel}_t\\)",
+    "page.identity.gnp": "<strong>PNB</strong> : \\(\\;PNB = PIB + \\text{revenus des facteurs reçus de l'étranger} - \\text{revenus des facteurs versés à l'étranger}\\)",
+    "page.scenario": "Scénario · exercice",
+    "page.roundCodePlaceholder": "Code d'exercice",
+    "page.roundCodeAria": "Code de l'exercice à ouvrir (vide pour un exercice au hasard)",
+    "page.newRound": "Nouvel exercice",
+    "page.nextYear": "Année suivante ▶",
+    "page.nextYearTitle": "Jouer l'année suivante de cette économie (une fois cette année équilibrée)",
+    "page.difficultyAria": "Difficulté du prochain exercice",
+    "page.pastRoundsAria": "Reprendre un exercice précédent",
+    "page.export": "Exporter",
+    "page.exportTitle": "Télécharger cet exercice comme fichier de scénario",
+    "page.import": "Importer",
+    "page.importTitle": "Charger un fichier de scénario de l'enseignant (.json)",
+    "page.print": "Imprimer la fiche",
+    "page.printTitle": "Imprimer cet exercice sur une fiche papier, avec le corrigé en dernière page",
+    "page.actions": "Actions",
+    "page.reset": "Réinitialiser",
+    "page.undo": "Annuler",
+    "page.undoTitle": "Annuler le dernier déplacement (Ctrl+Z)",
+    "page.redo": "Rétablir",
+    "page.redoTitle": "Rétablir le déplacement annulé (Ctrl+Y)",
+    "page.replay": "Revoir",
+    "page.replayTitle": "Revoir pas à pas les déplacements de cet exercice",
+    "page.replayAria": "Relecture des déplacements",
+    "page.replayPrev": "◀ Précédent",
+    "page.replayNext": "Suivant ▶",
+    "page.replayExit": "Revenir à mon exercice",
+    "page.submit": "Rendre",
+    "page.optionsAria": "Options du prochain exercice",
+    "page.optFullIncome": "Optique revenus complète (amortissement, impôts sur la production, revenu mixte)",
+    "page.optGnp": "PIB et PNB (revenus des facteurs qui traversent la frontière)",
+    "page.optReal": "PIB nominal et PIB réel (année de base et déflateur)",
+    "page.optSupplyChain": "Chaîne d'approvisionnement (les entreprises se vendent intrants et machines)",
+    "page.optFirmIncome": "Salaires et profits par entreprise (une case de revenus par entreprise)",
+    "page.optSplitImports": "Biens finals importés (une carte dans C, I ou G et dans M)",
+    "page.optPublicSector": "L'État producteur (services publics évalués au coût)",
+    "page.optCampaign": "Économie sur plusieurs années (chaque année équilibrée débloque la suivante)",
+    "page.optFindErrors": "Trouver les erreurs (toutes les cartes sont déjà placées, quelques-unes au mauvais endroit)",
+    "page.gdpProduction": "PIB (production)",
+    "page.gdpExpenditure": "PIB (dépenses)",
+    "page.gdpIncome": "PIB (revenus)",
+    "page.gap": "Écart de réconciliation",
+    "page.gnpIncome": "PNB (revenus)",
+    "page.deflator": "Déflateur du PIB",
+    "page.realGrowth": "Croissance réelle",
+    "page.items": "Opérations",
+    "page.itemsSub": "Changez d'onglet et glissez les opérations dans les cases, ou sélectionnez une opération (clic, toucher ou Entrée) puis choisissez une case (clic, toucher ou flèches + Entrée).",
+    "page.tabsAria": "Onglets des comptes",
+    "page.ledger": "Compte",
+    "page.ledgerSub": "Avec un classement juste, les trois totaux du PIB sont égaux.",
+    "page.legendAria": "Code couleur des cases",
+    "page.legendBoth": "PIB et PNB",
+    "page.legendGdp": "PIB seulement",
+    "page.legendGnp": "PNB seulement",
+    "page.legendNeither": "Aucun des deux",
+    "page.firmByFirm": "Entreprise par entreprise",
+    "page.firmByFirmSub": "La valeur ajoutée de chaque entreprise doit égaler les revenus qu'elle verse. Mis à jour à chaque carte placée.",
+    "page.circularFlow": "Circuit économique",
+    "page.circularFlowSub": "L'épaisseur des flèches suit vos cases à mesure que vous placez les cartes. Après Vérifier, la bande pâle sous chaque flèche est le flux correct et les flèches rouges s'en écartent.",
+    "page.campaign": "Cette économie, année après année",
+    "page.partC": "Consommation (C)",
+    "page.partI": "Investissement (I)",
+    "page.partG": "État (G)",
+    "page.partNX": "Exportations nettes (X − M)",
+    "page.colYear": "Année",
+    "page.colGdp": "PIB",
+    "page.colGrowth": "Croissance",
+    "page.checks": "Vérifications",
+    "page.checksSub": "Mis à jour quand vous cliquez sur « Vérifier ».",
+    "page.record": "Votre historique",
+    "page.colRound": "Exercice",
+    "page.colLevel": "Niveau",
+    "page.colScore": "Score",
+    "page.colChecks": "Vérifications",
+    "page.colHints": "Indices",
+    "page.colCardType": "Type de carte",
+    "page.colMisplaced": "Mal placées",
+    "page.colRate": "Taux",
+    "page.namePlaceholder": "Votre nom",
+    "page.nameAria": "Votre nom, inclus dans les exports",
+    "page.exportCsv": "Exporter en CSV",
+    "page.exportJson": "Exporter en JSON",
+    "page.clear": "Effacer",
+    "page.goal": "Objectif : écart = 0 avec un classement juste.",
+
+    // -----------------------------
+    // App messages
+    // -----------------------------
+    "ui.card": "Carte",
+    "ui.cardLabel": "carte de {amount} « {words} »",
+    "ui.thePool": "la pioche",
+    "ui.cardPool": "Pioche",
+    "ui.binAria": "Case : {bin}",
+    "ui.moved": "{card} déplacée vers {zone}.",
+    "ui.locked": "Les réponses sont rendues ; les cases sont verrouillées.",
+    "ui.selectionCleared": "Sélection annulée.",
+    "ui.selected": "{card} sélectionnée. Choisissez une case avec les flèches et placez-la avec Entrée, ou touchez une case. Échap annule.",
+    "ui.target": "Destination : {zone}.",
+    "ui.activeLedger": "Compte actif : {ledger}.",
+    "ui.firm": "Entreprise",
+    "ui.output": "Production",
+    "ui.intermediate": "Conso. intermédiaire",
+    "ui.valueAdded": "Valeur ajoutée",
+    "ui.wages": "Salaires",
+    "ui.profits": "Profits",
+    "ui.otherIncome": "Autres revenus",
+    "ui.income": "Revenus",
+    "ui.vaMismatch": "VA ≠ revenus",
+    "ui.flowAria": "Circuit de la monnaie entre ménages, entreprises, État et reste du monde",
+    "ui.flowTitle": "{flow} : {v:money} de {from} vers {to}",
+    "ui.flowTitleKey": "{flow} : {v:money} de {from} vers {to} ; corrigé {key:money}",
+    "ui.flowKey": "corrigé {key:money}",
+    "ui.allFirms": "Toutes les entreprises",
+    "ui.noMistakes": "Aucune carte mal placée.",
+    "ui.mistakesByConcept": "Erreurs par notion ({count})",
+    "ui.placedIn": " — placées dans {bins}. {explanation}",
+    "ui.gnpOk": "Vérification du PNB : ✓ PNB {gnp:money} = PIB {gdp:money} + {receipts:money} gagnés à l'étranger − {payments:money} versés à des non-résidents.",
+    "ui.gnpOff": "Vérification du PNB : ✗ le PNB n'est pas encore égal à PIB + revenus des facteurs reçus de l'étranger − revenus des facteurs versés à l'étranger.",
+    "ui.realOk": "Vérification du PIB réel : ✓ PIB nominal {base:money} (année de base) et {current:money} (cette année) ; PIB réel {real:money} aux prix de l'année de base. Déflateur {deflator}, croissance réelle {growth:pct}.",
+    "ui.realOff": "Vérification du PIB réel : ✗ le PIB nominal d'une des deux années ou le PIB réel ne correspond pas encore.",
+    "ui.notBin": "✗ Pas dans {bin}. {explanation}",
+    "ui.splitCopy": "copie {n} sur {total}",
+    "ui.inventoryOk": "Vérification des stocks : ✓ la variation des stocks est bien placée dans l'investissement (I).",
+    "ui.inventoryOff": "Vérification des stocks : ✗ au moins une variation des stocks n'est pas dans l'investissement (I).",
+    "ui.checksLeft": { one: "{count} vérification restante", other: "{count} vérifications restantes" },
+    "ui.noChecksLeft": "Plus de vérification",
+    "ui.examChecked": "Vérifié : {correct}/{placed} justes. {left} ; rendez quand vous avez terminé.",
+    "ui.placeFirst": "Placez des opérations dans les cases, puis cliquez sur Vérifier.",
+    "ui.scoreSuffix": " Score {score}/100.",
+    "ui.perfect": "Parfait. Les totaux du PIB se réconcilient exactement (écart = {gap:money}).{score}",
+    "ui.perfectGnp": "Parfait. Les totaux du PIB se réconcilient exactement et PNB = PIB + revenus nets des facteurs (écart = {gap:money}).{score}",
+    "ui.checked": "Vérifié : {correct}/{placed} justes. Écart : {gap:money}.",
+    "ui.errorsLeft": { one: "Vérifié : {count} carte est encore mal placée ; à vous de la trouver. Écart : {gap:money}.", other: "Vérifié : {count} cartes sont encore mal placées ; à vous de les trouver. Écart : {gap:money}." },
+    "ui.errorsTask": { one: "Trouvez les erreurs : {count} carte commence dans une mauvaise case.", other: "Trouvez les erreurs : {count} cartes commencent dans une mauvaise case." },
+    "ui.errorsMoves": "Déplacements jusqu'ici : {moves} (minimum possible : {fewest}).",
+    "ui.errorsPlanted": { one: "L'erreur placée, {fixed} sur {count} corrigée · déplacements : {moves} (minimum possible : {fewest})", other: "Les {count} erreurs placées, {fixed} corrigées · déplacements : {moves} (minimum possible : {fewest})" },
+    "ui.plantedError": "{card} : {mistake} ({state})",
+    "ui.plantedFixed": "corrigée",
+    "ui.plantedMissed": "toujours fausse",
+    "ui.badCode": "« {code} » n'est pas un code d'exercice valide (par ex. K3F9Q2 ou K3F9Q2-FNR).",
+    "ui.roundLoaded": "Exercice {code} ({level}) chargé. Rendez les trois totaux du PIB égaux.",
+    "ui.yearLoaded": "Exercice {code} ({level}) chargé : année {year} de cette économie, avec {stock:money} de stocks en début d'année.",
+    "ui.yearCharted": "L'année {year} figure sur le graphique de l'économie ; Année suivante reprend à partir d'elle.",
+    "ui.campaignInfo": "Année {year} de l'économie {code}. Stocks en début d'année : {stock:money}.",
+    "ui.campaignEmpty": "Équilibrez cette année pour l'ajouter au graphique.",
+    "ui.campaignChartAria": { one: "PIB et ses C, I, G et X − M sur {count} année équilibrée", other: "PIB et ses C, I, G et X − M sur {count} années équilibrées" },
+    "ui.yearShort": "Année {year}",
+    "ui.reset": "Placements réinitialisés (pour cet exercice).",
+    "ui.undone": "Annulé : {card} revient dans {zone}.",
+    "ui.redone": "Rétabli : {card} déplacée vers {zone}.",
+    "ui.undoneReset": { one: "Réinitialisation annulée : {count} carte revient dans sa case.", other: "Réinitialisation annulée : {count} cartes reviennent dans leurs cases." },
+    "ui.redoneReset": { one: "Réinitialisation rétablie : {count} carte retourne dans la pioche.", other: "Réinitialisation rétablie : {count} cartes retournent dans la pioche." },
+    "ui.nothingToUndo": "Rien à annuler.",
+    "ui.nothingToRedo": "Rien à rétablir.",
+    "ui.noMoves": "Aucun déplacement à revoir pour l'instant.",
+    "ui.replayLocked": "Ceci est une relecture ; revenez à votre exercice pour déplacer des cartes.",
+    "ui.replayStarted": "Relecture : utilisez Suivant et Précédent pour parcourir vos déplacements.",
+    "ui.replayEnded": "Retour à votre exercice.",
+    "ui.replayStart": { one: "Début de l'exercice · {count} déplacement", other: "Début de l'exercice · {count} déplacements" },
+    "ui.replayPlace": "Déplacement {n}/{total} à {time} : {card} vers {zone}.",
+    "ui.replayUndo": "Déplacement {n}/{total} à {time} : Annuler, {card} revient dans {zone}.",
+    "ui.replayRedo": "Déplacement {n}/{total} à {time} : Rétablir, {card} vers {zone}.",
+    "ui.replayReset": { one: "Déplacement {n}/{total} à {time} : Réinitialiser, {count} carte retourne dans la pioche.", other: "Déplacement {n}/{total} à {time} : Réinitialiser, {count} cartes retournent dans la pioche." },
+    "ui.replayUndoReset": { one: "Déplacement {n}/{total} à {time} : Annuler la réinitialisation, {count} carte revient dans sa case.", other: "Déplacement {n}/{total} à {time} : Annuler la réinitialisation, {count} cartes reviennent dans leurs cases." },
+    "ui.replayRedoReset": { one: "Déplacement {n}/{total} à {time} : Rétablir la réinitialisation, {count} carte retourne dans la pioche.", other: "Déplacement {n}/{total} à {time} : Rétablir la réinitialisation, {count} cartes retournent dans la pioche." },
+    "ui.resetStart": "Réinitialisation : chaque carte est revenue là où l'exercice a commencé.",
+    "ui.redoneResetStart": { one: "Réinitialisation rétablie : {count} carte revient à sa place de départ.", other: "Réinitialisation rétablie : {count} cartes reviennent à leur place de départ." },
+    "ui.replayResetStart": { one: "Déplacement {n}/{total} à {time} : Réinitialiser, {count} carte revient à sa place de départ.", other: "Déplacement {n}/{total} à {time} : Réinitialiser, {count} cartes reviennent à leur place de départ." },
+    "ui.replayRedoResetStart": { one: "Déplacement {n}/{total} à {time} : Rétablir la réinitialisation, {count} carte revient à sa place de départ.", other: "Déplacement {n}/{total} à {time} : Rétablir la réinitialisation, {count} cartes reviennent à leur place de départ." },
+    "ui.languageChanged": "Langue : français. Les montants de l'exercice ne changent pas.",
+    "ui.noHintsLeft": "Plus d'indice pour cet exercice.",
+    "ui.placeAllFirst": "Placez toutes les cartes avant de demander un indice ({count} encore dans la pioche).",
+    "ui.nothingToFix": "Rien à corriger : chaque case correspond au corrigé.",
+    "ui.earlierHints": "Vos indices précédents restent valables : corrigez d'abord cela.",
+    "ui.hintStatus": "Indice : {text}",
+    "ui.hintButton": "Indice (reste : {count})",
+    "ui.hintsUsed": "Indices utilisés : {used} sur {max}",
+    "ui.inventoryIncrease": "Hausse des stocks",
+    "ui.inventoryDecrease": "Baisse des stocks",
+    "ui.nothingToExport": "Rien à exporter pour l'instant : utilisez d'abord Vérifier.",
+    "ui.historyExported": "{count} entrées d'historique exportées en {format}.",
+    "ui.confirmClearHistory": "Supprimer tout votre historique de tentatives sur cet appareil ?",
+    "ui.historyCleared": "Historique des tentatives effacé.",
+    "ui.checksCount": { one: "{count} vérification", other: "{count} vérifications" },
+    "ui.roundsFinished": { one: "{count} exercice terminé", other: "{count} exercices terminés" },
+    "ui.averageScore": ", score moyen {avg}/100",
+    "ui.historySummary": "{checks}, {rounds}{average}.",
+    "ui.noHistory": "Aucune vérification enregistrée pour l'instant.",
+    "ui.exam": "examen",
+    "ui.lrsPending": { one: "ENT : {count} résultat en attente d'envoi", other: "ENT : {count} résultats en attente d'envoi" },
+    "ui.lrsSent": "ENT : tous les résultats sont envoyés",
+    "ui.lrsRejected": { one: "({count} résultat refusé par l'ENT)", other: "({count} résultats refusés par l'ENT)" },
+    "ui.checkButton": "Vérifier",
+    "ui.checkButtonLeft": "Vérifier (reste : {count})",
+    "ui.timeLeft": "Reste {time}",
+    "ui.confirmSubmit": "Rendre vos réponses ? Les cases se verrouillent une fois rendues.",
+    "ui.timeUp": "Temps écoulé : vos réponses ont été rendues. Voir le rapport de score ci-dessous.",
+    "ui.submitted": "Rendu. Voir le rapport de score ci-dessous.",
+    "ui.scoreReport": "Rapport de score",
+    "ui.cardsCorrect": "{correct}/{total} cartes justes ({pct} %)",
+    "ui.reportLedger": "Compte",
+    "ui.reportCorrect": "Justes",
+    "ui.reportNotPlaced": "Non placées",
+    "ui.reportGdp": "PIB en optique production {production:money}, dépenses {expenditure:money}, revenus {income:money} : {verdict}.",
+    "ui.reportReconcile": "les trois optiques se réconcilient",
+    "ui.reportGap": "écart de {gap:money}",
+    "ui.reportScore": "Score : {score}/100.",
+    "ui.reportChecks": "Vérifications utilisées : {used} sur {allowed}.",
+    "ui.reportSingle": "Remise unique, sans vérification.",
+    "ui.reportTime": "Temps passé : {time}{note}.",
+    "ui.reportTimedOut": " (temps écoulé)",
+    "ui.resumed": "Exercice {code} repris.",
+    "ui.resumePast": "Reprendre un exercice précédent…",
+    "ui.noPastRounds": "Aucun exercice précédent",
+    "ui.pastRound": "{code} · {placed}/{total} placées{tags} · {when}",
+    "ui.tagExam": " · examen",
+    "ui.tagHints": { one: " · {count} indice", other: " · {count} indices" },
+    "ui.tagSolved": " · ✓ résolu",
+    "ui.exported": "Exercice {code} exporté.",
+    "ui.importFailed": "Impossible de charger {file} : {errors}{more}",
+    "ui.moreErrors": " (+{count} autres)",
+    "ui.imported": "Scénario « {code} » chargé depuis {file}. Rendez les trois totaux du PIB égaux.",
+    "ui.readFailed": "Impossible de lire {file}.",
+    "ui.printed": "Fiche de l'exercice {code} envoyée à l'imprimante ; le corrigé est sur une page à part.",
+
+    "hint.ledgerSplit": "Le PIB en optique {ledger} est juste, mais certaines de ses cartes sont dans de mauvaises cases.",
+    "hint.ledgerHigh": "Le PIB en optique {ledger} est trop élevé.",
+    "hint.ledgerLow": "Le PIB en optique {ledger} est trop faible.",
+    "hint.ledgerBins": "Certaines cartes du compte « {name} » sont dans de mauvaises cases.",
+    "hint.firmVaSplit": "{firm} : la valeur ajoutée est juste, mais ses cartes sont mal réparties entre ses cases.",
+    "hint.firmVaHigh": "{firm} : la valeur ajoutée est trop élevée.",
+    "hint.firmVaLow": "{firm} : la valeur ajoutée est trop faible.",
+    "hint.firmLedgerSplit": "{firm} : le total « {ledger} » est juste, mais ses cartes sont mal réparties entre ses cases.",
+    "hint.firmLedgerHigh": "{firm} : le total « {ledger} » est trop élevé.",
+    "hint.firmLedgerLow": "{firm} : le total « {ledger} » est trop faible.",
+    "hint.binHigh": "{bin} : le total est trop élevé.",
+    "hint.binLow": "{bin} : le total est trop faible.",
+
+    // -----------------------------
+    // Printable worksheet
+    // -----------------------------
+    "print.heading": "Laboratoire de réconciliation du PIB : fiche d'exercice",
+    "print.round": "Exercice {code} · {level}",
+    "print.name": "Nom",
+    "print.instructions": "Indiquez la case de chaque carte, puis notez les numéros des cartes et faites le total de chaque case dans les tableaux des comptes. Si votre classement est juste, le PIB est le même en optique production, dépenses et revenus.",
+    "print.colNumber": "N°",
+    "print.colAmount": "Montant",
+    "print.colItem": "Opération",
+    "print.colBin": "Case",
+    "print.colCards": "Cartes",
+    "print.colTotal": "Total",
+    "print.gdpRow": "PIB ({ledger})",
+    "print.keyHeading": "Corrigé : exercice {code}",
+    "print.components": "Composantes",
+    "print.totals": "Totaux",
+
+    // -----------------------------
+    // Circular flow
+    // -----------------------------
+    "flow.households": "Ménages",
+    "flow.firms": "Entreprises",
+    "flow.government": "État",
+    "flow.world": "Reste du monde",
+    "flow.consumption": "Consommation",
+    "flow.wages": "Salaires",
+    "flow.profits": "Profits",
+    "flow.investment": "Investissement",
+    "flow.purchases": "Achats publics",
+    "flow.exports": "Exportations",
+    "flow.imports": "Importations",
+
+    // -----------------------------
+    // Difficulty levels, ledgers and bins
+    // -----------------------------
+    "difficulty.easy": "Facile",
+    "difficulty.standard": "Standard",
+    "difficulty.hard": "Difficile",
+    "difficulty.brutal": "Redoutable",
+
+    "producer.government": "État",
+    "panel.government": "L'État producteur",
+    "ledger.production": "Production",
+    "ledger.expenditure": "Dépenses",
+    "ledger.income": "Revenus",
+    "ledger.real": "PIB réel",
+
+    "bin.firmOutput": "{firm} : production",
+    "bin.firmIntermediate": "{firm} : consommation intermédiaire",
+    "bin.firmWages": "{firm} : salaires",
+    "bin.firmProfits": "{firm} : profits",
+    "bin.govOutput": "État : production (au coût)",
+    "bin.govIntermediate": "État : consommation intermédiaire",
+    "bin.govWages": "État : salaires",
+    "bin.P_XCL": "Pas une consommation intermédiaire : biens d'équipement achetés",
+    "bin.E_C": "Consommation (C)",
+    "bin.E_I": "Investissement (I)",
+    "bin.E_G": "État (G)",
+    "bin.E_X": "Exportations (X)",
+    "bin.E_M": "Importations (M)",
+    "bin.E_XCL": "Hors PIB / intermédiaire / transfert",
+    "bin.I_W": "Salaires",
+    "bin.I_P": "Profits",
+    "bin.I_MIX": "Revenu mixte / des indépendants",
+    "bin.I_DEP": "Amortissement",
+    "bin.I_TAX": "Impôts sur la production moins subventions",
+    "bin.I_NFR": "Revenus des facteurs reçus de l'étranger",
+    "bin.I_NFP": "Revenus des facteurs versés à l'étranger",
+    "bin.I_XCL": "Pas un revenu / transfert / financier",
+    "bin.R_NOM0": "PIB nominal, année de base",
+    "bin.R_NOM1": "PIB nominal, année en cours",
+    "bin.R_REAL1": "PIB réel, année en cours (prix de l'année de base)",
+    "bin.R_XCL": "N'entre dans aucune mesure",
+
+    "note.production": "PIB (production) = somme des valeurs ajoutées des entreprises (production − consommation intermédiaire).",
+    "note.productionChain": "PIB (production) = somme des valeurs ajoutées des entreprises (production − consommation intermédiaire). Une vente entre entreprises est une production pour le vendeur et une consommation intermédiaire pour l'acheteur : la valeur ajoutée ne la compte qu'une fois.",
+    "note.expenditure": "PIB (dépenses) = \\(C + I + G + (X - M)\\).",
+    "note.incomeFull": "Optique revenus complète : salaires + profits + revenu mixte + amortissement + (impôts sur la production − subventions).",
+    "note.incomeSimple": "Optique revenus simplifiée : salaires + profits. (Pas d'amortissement ni d'impôts ici.)",
+    "note.gnp": " PNB = PIB + revenus des facteurs reçus de l'étranger − revenus des facteurs versés à l'étranger.",
+    "note.real": "Le PIB nominal évalue la production de chaque année aux prix de cette année ; le PIB réel évalue la production de cette année aux prix de l'année de base. Déflateur = 100 × nominal ÷ réel.",
+    "note.governmentPanel": "Les services publics n'ont pas de prix de marché, donc la production de l'État est évaluée au coût : la rémunération de ses agents plus les intrants qu'il achète. Sa valeur ajoutée est sa masse salariale.",
+
+    "firm.S.product": "de l'acier", "firm.S.units": "tonnes d'acier",
+    "firm.A.product": "des véhicules", "firm.A.units": "voitures",
+    "firm.P.product": "des services portuaires", "firm.P.units": "mouvements de conteneurs",
+    "firm.M.product": "des machines", "firm.M.units": "machines",
+    "firm.F.product": "des céréales", "firm.F.units": "tonnes de céréales",
+    "firm.C.product": "des produits chimiques", "firm.C.units": "barils de solvant",
+    "firm.T.product": "du tissu", "firm.T.units": "rouleaux de tissu",
+    "firm.D.product": "des services informatiques", "firm.D.units": "licences de logiciel",
+    "firm.custom.product": "des fournitures", "firm.custom.units": "unités produites par {name}",
+
+    // -----------------------------
+    // Card concepts
+    // -----------------------------
+    "concept.output.label": "Production",
+    "concept.output.hint": "production",
+    "concept.output.explanation": "Les biens et services qu'une entreprise a produits cette année font partie de sa production, quel qu'en soit l'acheteur.",
+    "concept.intermediate.label": "Consommation intermédiaire",
+    "concept.intermediate.hint": "consommation intermédiaire",
+    "concept.intermediate.explanation": "Les intrants épuisés dans la production se retranchent de la production : ils sont déjà comptés dans la production du fournisseur, les ajouter encore les compterait deux fois.",
+    "concept.capitalGood.label": "Biens d'équipement neufs",
+    "concept.capitalGood.hint": "bien d'équipement neuf",
+    "concept.capitalGood.explanation": "Une machine neuve qui dure des années est un investissement de l'acheteur, pas un intrant épuisé cette année ; elle ne se retranche donc pas de sa production.",
+    "concept.governmentOutput.label": "Production de l'État au coût",
+    "concept.governmentOutput.hint": "production de l'État au coût",
+    "concept.governmentOutput.explanation": "Les services publics ne sont pas vendus à un prix de marché, donc la production de l'État est évaluée à son coût : la rémunération de ses agents plus les intrants qu'il achète aux entreprises.",
+    "concept.consumption.label": "Consommation",
+    "concept.consumption.hint": "consommation",
+    "concept.consumption.explanation": "Les dépenses des ménages en biens et services finals nouvellement produits sont de la consommation (C).",
+    "concept.fixed.label": "Investissement fixe",
+    "concept.fixed.hint": "investissement",
+    "concept.fixed.explanation": "Les achats par les entreprises d'équipements, de logiciels et de bâtiments nouvellement produits sont de l'investissement (I).",
+    "concept.inventory.label": "Variation des stocks",
+    "concept.inventory.hint": "variation des stocks",
+    "concept.inventory.explanation": "La variation des stocks fait partie de l'investissement (I) : la production de l'année non vendue l'augmente, la vente de stocks anciens la réduit.",
+    "concept.government.label": "Achats de l'État",
+    "concept.government.hint": "achats de l'État",
+    "concept.government.explanation": "Ce que l'État achète aux producteurs en biens et services constitue les achats de l'État (G).",
+    "concept.governmentPay.label": "Masse salariale de l'État",
+    "concept.governmentPay.hint": "achats de l'État",
+    "concept.governmentPay.explanation": "Payer les agents publics, c'est pour l'État acheter leur travail afin de produire ses propres services : cela compte dans les achats de l'État (G), évalué au coût comme la production elle-même.",
+    "concept.exports.label": "Exportations",
+    "concept.exports.hint": "exportations",
+    "concept.exports.explanation": "Les exportations sont une production nationale achetée par des étrangers ; elles s'ajoutent donc au PIB.",
+    "concept.imports.label": "Importations",
+    "concept.imports.hint": "importations",
+    "concept.imports.explanation": "Une importation se retranche parce qu'elle a été produite à l'étranger ; la dépense correspondante est déjà comptée dans C, I ou G.",
+    "concept.importedGoods.label": "Biens finals importés",
+    "concept.importedGoods.hint": "dépense et importations",
+    "concept.importedGoods.explanation": "Un bien importé acheté pour un usage final est une dépense de son acheteur, il va donc dans C, I ou G, et il a été produit à l'étranger, il va donc aussi dans M : les deux s'annulent et il n'ajoute rien au PIB.",
+    "concept.transfer.label": "Transferts",
+    "concept.transfer.hint": "transfert",
+    "concept.transfer.explanation": "Un transfert déplace de l'argent sans acheter quoi que ce soit de produit cette année ; il ne fait donc pas partie du PIB.",
+    "concept.usedGood.label": "Biens d'occasion",
+    "concept.usedGood.hint": "bien d'occasion",
+    "concept.usedGood.explanation": "Un actif d'occasion n'est pas une production courante : il a été compté dans le PIB de l'année de sa fabrication.",
+    "concept.financial.label": "Opérations financières",
+    "concept.financial.hint": "opération financière",
+    "concept.financial.explanation": "Échanger des titres, lever des fonds ou rembourser un prêt est une opération financière : des actifs changent de mains, mais rien n'est produit.",
+    "concept.excluded.label": "Hors PIB",
+    "concept.excluded.hint": "hors PIB",
+    "concept.excluded.explanation": "Ce paiement n'est ni un revenu ni une dépense liés à la production de cette année ; il reste donc hors du PIB.",
+    "concept.wages.label": "Salaires",
+    "concept.wages.hint": "salaires",
+    "concept.wages.explanation": "Ce qui est versé aux salariés pour leur travail de l'année est une rémunération des salariés, une partie des revenus tirés de la production.",
+    "concept.profits.label": "Profits",
+    "concept.profits.hint": "profits",
+    "concept.profits.explanation": "Ce qui reste de la valeur ajoutée d'une entreprise après avoir payé ses salariés (et les autres charges) est un profit, une partie des revenus tirés de la production.",
+    "concept.mixedIncome.label": "Revenu mixte",
+    "concept.mixedIncome.hint": "revenu mixte",
+    "concept.mixedIncome.explanation": "Les indépendants perçoivent un mélange de salaire et de profit impossible à séparer ; il est compté à part comme revenu mixte.",
+    "concept.depreciation.label": "Amortissement",
+    "concept.depreciation.hint": "amortissement",
+    "concept.depreciation.explanation": "Le capital usé dans la production fait partie de la valeur de ce qui est produit ; l'amortissement s'ajoute donc pour passer du revenu net au PIB.",
+    "concept.productionTax.label": "Impôts sur la production",
+    "concept.productionTax.hint": "impôt sur la production",
+    "concept.productionTax.explanation": "Les taxes sur les ventes, les accises et les taxes foncières font partie des prix de marché ; elles entrent donc dans le PIB en optique revenus.",
+    "concept.subsidy.label": "Subventions",
+    "concept.subsidy.hint": "subvention",
+    "concept.subsidy.explanation": "Une subvention à la production fait baisser les prix de marché ; elle se retranche donc dans les impôts sur la production moins subventions.",
+    "concept.incomeTax.label": "Impôts sur le revenu",
+    "concept.incomeTax.hint": "impôt sur le revenu",
+    "concept.incomeTax.explanation": "L'impôt sur le revenu des personnes se paie sur des revenus déjà comptés en salaires ou en profits ; ce n'est pas un impôt sur la production.",
+    "concept.factorReceipts.label": "Revenus des facteurs reçus de l'étranger",
+    "concept.factorReceipts.hint": "revenus des facteurs reçus de l'étranger",
+    "concept.factorReceipts.explanation": "Ce que les résidents gagnent à l'étranger vient de la production d'un autre pays : cela entre dans le PNB, pas dans le PIB.",
+    "concept.factorPayments.label": "Revenus des facteurs versés à l'étranger",
+    "concept.factorPayments.hint": "revenus des facteurs versés à l'étranger",
+    "concept.factorPayments.explanation": "Les salaires et profits versés à des non-résidents viennent de la production nationale : ils entrent dans le PIB, mais pas dans le PNB.",
+    "concept.baseNominal.label": "PIB nominal de l'année de base",
+    "concept.baseNominal.explanation": "Les quantités de l'année de base aux prix de l'année de base forment le PIB nominal de l'année de base.",
+    "concept.currentNominal.label": "PIB nominal",
+    "concept.currentNominal.explanation": "Les quantités de cette année aux prix de cette année forment le PIB nominal de cette année.",
+    "concept.currentReal.label": "PIB réel",
+    "concept.currentReal.explanation": "Les quantités de cette année aux prix de l'année de base forment le PIB réel : seules les quantités ont changé.",
+    "concept.mixedPrices.label": "Prix et quantités mélangés",
+    "concept.mixedPrices.explanation": "Des quantités anciennes aux prix nouveaux ne mesurent la production d'aucune année à des prix cohérents ; elles n'entrent dans aucune mesure du PIB.",
+
+    // -----------------------------
+    // Planted errors
+    // -----------------------------
+    "mistake.inventoryDropInC": "une baisse des stocks comptée dans la consommation (C)",
+    "mistake.transferInG": "un transfert compté comme achat public (G)",
+    "mistake.usedGoodInC": "une vente d'occasion comptée dans la consommation (C)",
+    "mistake.financialInI": "une opération financière comptée comme investissement (I)",
+    "mistake.importsLeftOut": "des importations exclues au lieu d'être soustraites (M)",
+    "mistake.importedGoodsNotInM": "un bien importé compté dans les dépenses mais pas soustrait dans M",
+    "mistake.intermediateAsOutput": "un achat intermédiaire enregistré comme production",
+    "mistake.transferAsWages": "un transfert compté comme salaires",
+    "mistake.assetGainsAsProfits": "un gain financier compté comme profits",
+    "mistake.incomeTaxAsProductionTax": "un impôt sur le revenu compté comme impôt sur la production",
+
+    // -----------------------------
+    // Card templates
+    // -----------------------------
+    "card.prodOut": [
+      "{firm} enregistre {v:money} de ventes de biens/services produits cette année.",
+      "{firm} livre des biens/services d'une valeur de {v:money} aux prix du marché.",
+      "{firm} déclare une production de {v:money} sur l'année.",
+      "{firm} honore des commandes de clients pour un total de {v:money}.",
+      "{firm} facture {v:money} de produits/services fabriqués cette année."
+    ],
+    "card.prodInt": [
+      "{firm} achète pour {v:money} de matières et de services consommés pendant la production.",
+      "{firm} acquiert pour {v:money} de composants/matières pour son processus de production.",
+      "{firm} paie {v:money} pour des intrants de production (matières, services, énergie)."
+    ],
+    "card.chainSale": "{seller} vend {product} à {buyer} pour {v:money}.",
+    "card.chainCapitalSale": "{seller} livre à {buyer} {product} de fabrication récente pour {v:money}.",
+    "card.chainInput": "{buyer} achète {product} à {seller} pour {v:money}, un intrant épuisé dans sa production.",
+    "card.chainInstall": "{buyer} installe {product} de fabrication récente, un achat de {v:money} auprès de {seller} qui servira des années.",
+    "card.govOutput": [
+      "Les écoles, hôpitaux et tribunaux publics rendent des services dont le fonctionnement coûte {v:money}.",
+      "Les administrations fournissent des services dont le coût de production atteint {v:money}.",
+      "Les services publics rendus cette année valent {v:money} au coût."
+    ],
+    "card.govInputs": [
+      "Les administrations achètent pour {v:money} de fournitures et de services aux entreprises et les consomment.",
+      "Les services publics consomment pour {v:money} de matières, d'énergie et de services achetés.",
+      "Les intrants achetés et consommés par le secteur public pour rendre ses services s'élèvent à {v:money}."
+    ],
+
+    "card.consumption": [
+      "Les ménages dépensent {v:money} en biens et services finals.",
+      "Les achats des consommateurs s'élèvent à {v:money} cette année.",
+      "La dépense finale des ménages atteint {v:money}."
+    ],
+    "card.government": [
+      "Un organisme public achète pour {v:money} de biens et services à des entreprises.",
+      "Les achats de l'État s'élèvent à {v:money}.",
+      "Les dépenses publiques en biens/services atteignent {v:money}."
+    ],
+    "card.govPayroll": [
+      "L'État verse {v:money} de traitements aux enseignants, infirmiers et autres agents publics.",
+      "La masse salariale du secteur public s'élève à {v:money}.",
+      "Les dépenses de l'État pour la rémunération de son propre personnel atteignent {v:money}."
+    ],
+    "card.exports": [
+      "Des acheteurs étrangers achètent pour {v:money} de production nationale.",
+      "Les ventes à des clients étrangers s'élèvent à {v:money}.",
+      "La production vendue au reste du monde atteint {v:money}."
+    ],
+    "card.imports": [
+      "Des acheteurs nationaux achètent pour {v:money} de biens/services produits à l'étranger.",
+      "Les achats d'articles fabriqués à l'étranger s'élèvent à {v:money}.",
+      "Les dépenses en biens/services produits à l'étranger atteignent {v:money}."
+    ],
+    "card.fixed": [
+      "Les entreprises achètent pour {v:money} d'équipements neufs.",
+      "Les entreprises acquièrent des logiciels et équipements nouvellement produits pour un total de {v:money}.",
+      "L'investissement privé en bâtiments/équipements atteint {v:money}."
+    ],
+    "card.importConsumption": [
+      "Les ménages achètent pour {v:money} de téléphones et de vêtements fabriqués à l'étranger.",
+      "Les consommateurs dépensent {v:money} en biens importés.",
+      "Les achats des ménages en biens produits à l'étranger atteignent {v:money}."
+    ],
+    "card.importInvestment": [
+      "Les entreprises installent pour {v:money} de machines neuves fabriquées à l'étranger.",
+      "Les entreprises achètent pour {v:money} d'équipements importés de fabrication récente.",
+      "L'investissement en équipements fabriqués à l'étranger s'élève à {v:money}."
+    ],
+    "card.importGovernment": [
+      "Un organisme public achète pour {v:money} de véhicules fabriqués à l'étranger.",
+      "Les achats de l'État en équipements importés s'élèvent à {v:money}.",
+      "Les dépenses publiques en biens produits à l'étranger atteignent {v:money}."
+    ],
+    "card.capitalPurchase": "{buyer} investit {v:money} auprès de {seller} dans {product} de fabrication récente.",
+    "card.inventoryUp": [
+      "Les entreprises finissent l'année avec plus de stocks ; les stocks augmentent de {v:money}.",
+      "La production invendue ajoute {v:money} aux stocks de fin d'année.",
+      "L'accumulation de stocks totalise {v:money} sur l'année."
+    ],
+    "card.inventoryDown": [
+      "Les entreprises puisent dans leurs stocks ; les stocks baissent de {v:money}.",
+      "Les ventes de stocks antérieurs les réduisent de {v:money}.",
+      "Le déstockage atteint {v:money} sur l'année."
+    ],
+    "card.inventoryFromStock": [
+      "Les entreprises vendent {v:money} de biens pris sur les stocks constitués les années précédentes.",
+      "Les stocks reportés de l'an dernier baissent de {v:money}.",
+      "Les ventes de la production invendue l'an dernier réduisent les stocks de {v:money}."
+    ],
+    "card.xclProgram": "Un programme public verse {v:money} aux ménages.",
+    "card.xclUsedAsset": "Un actif d'occasion change de mains pour {v:money}.",
+    "card.xclSecurities": "Les ménages échangent pour {v:money} de titres existants.",
+    "card.xclOneTime": "Un versement exceptionnel de {v:money} est fait à des particuliers.",
+    "card.xclLoan": "Le remboursement du capital d'un prêt s'élève à {v:money}.",
+    "card.xclInsurance": "Un ménage touche {v:money} d'indemnité d'assurance.",
+
+    "card.wages": [
+      "{firm} verse {v:money} de rémunérations à ses salariés.",
+      "{firm} affiche une masse salariale de {v:money}.",
+      "{firm} paie {v:money} de traitements et salaires."
+    ],
+    "card.govWages": [
+      "Les agents publics gagnent {v:money} de traitements cette année.",
+      "Enseignants, infirmiers et fonctionnaires perçoivent {v:money}.",
+      "La rémunération des agents de l'État s'élève à {v:money}."
+    ],
+    "card.profits": [
+      "{firm} dégage {v:money} d'excédent d'exploitation.",
+      "{firm} déclare {v:money} de profits.",
+      "{firm} réalise {v:money} de revenus d'entreprise."
+    ],
+    "card.commuters": [
+      "Des travailleurs vivant de l'autre côté de la frontière gagnent {v:money} chez {firm}.",
+      "{firm} verse {v:money} de salaires à du personnel frontalier venant chaque jour d'un pays voisin."
+    ],
+    "card.foreignOwners": [
+      "{firm} doit {v:money} de ses profits à sa société mère étrangère.",
+      "Des actionnaires étrangers détiennent {v:money} des profits réalisés cette année par {firm}."
+    ],
+    "card.mixedIncome": [
+      "Les associés qui dirigent eux-mêmes {firm} gardent {v:money} de sa production pour leur travail et leur capital.",
+      "Les propriétaires de {firm}, qui travaillent dans l'entreprise, prélèvent {v:money} cette année sans salaire à part.",
+      "Les exploitants de {firm}, qui y travaillent eux-mêmes, en tirent {v:money} cette année."
+    ],
+    "card.depreciation": [
+      "Les machines et bâtiments utilisés par {firm} s'usent à hauteur de {v:money} sur l'année.",
+      "{firm} amortit {v:money} au titre du capital consommé dans la production.",
+      "{firm} provisionne {v:money} pour couvrir l'usure de son équipement."
+    ],
+    "card.productionTax": [
+      "{firm} paie {v:money} de taxes sur les ventes et d'accises sur ce qu'elle vend.",
+      "{firm} verse {v:money} d'impôts sur ses produits et ses locaux.",
+      "Les taxes foncières et sur les ventes coûtent {v:money} à {firm}."
+    ],
+    "card.subsidy": [
+      "{firm} reçoit de l'État une subvention à la production de {v:money}.",
+      "Un programme public verse {v:money} à {firm} pour qu'elle continue de produire aux prix actuels."
+    ],
+    "card.residentsWages": [
+      "Des citoyens travaillant pour des employeurs étrangers gagnent {v:money} de salaires.",
+      "Des résidents sous contrat de travail à l'étranger perçoivent {v:money}."
+    ],
+    "card.residentsProfits": [
+      "Une usine détenue par {firm} dans un autre pays rapporte {v:money} à ses actionnaires.",
+      "Une filiale étrangère détenue par {firm} réalise {v:money} de profits pour ses propriétaires dans le pays."
+    ],
+    "card.incBenefit": "Un ménage reçoit {v:money} d'un programme public de prestations.",
+    "card.incAssetGains": "Les investisseurs gagnent {v:money} grâce à la variation du prix des actifs.",
+    "card.incSecurities": "Une entreprise lève {v:money} en émettant de nouveaux titres.",
+    "card.incLumpSum": "Les ménages reçoivent un transfert forfaitaire de {v:money}.",
+    "card.incRemittances": "Les émigrés envoient {v:money} à leurs familles restées au pays.",
+    "card.incIncomeTax": "Les ménages paient {v:money} d'impôt sur le revenu des personnes.",
+
+    "card.realBase": "Ventes de {firm} aux utilisateurs finals l'année de base, {q:num} {units}, au prix de l'année de base de {p:price} l'unité.",
+    "card.realCurrent": "Ventes de {firm} aux utilisateurs finals cette année, {q:num} {units}, au prix de cette année de {p:price} l'unité.",
+    "card.realAtBase": "Ventes de {firm} aux utilisateurs finals cette année, {q:num} {units}, au prix de l'année de base de {p:price} l'unité.",
+    "card.realMixed": "Ventes de {firm} aux utilisateurs finals l'année de base, {q:num} {units}, au prix de cette année de {p:price} l'unité.",
+    "card.realGovBase": "Agents publics l'année de base, {q:num}, à la rémunération moyenne de l'année de base de {p:price} par agent.",
+    "card.realGovCurrent": "Agents publics cette année, {q:num}, à la rémunération moyenne de cette année de {p:price} par agent.",
+    "card.realGovAtBase": "Agents publics cette année, {q:num}, à la rémunération moyenne de l'année de base de {p:price} par agent.",
+    "card.realGovMixed": "Agents publics l'année de base, {q:num}, à la rémunération moyenne de cette année de {p:price} par agent.",
+
+    // -----------------------------
+    // Scenario file problems
+    // -----------------------------
+    "error.notObject": "Le scénario n'est pas un objet.",
+    "error.noLayout": "Le scénario n'a pas de disposition des comptes.",
+    "error.noBins": "Le tableau « {ledger} » de la mise en page n'a pas de liste de cases.",
+    "error.badBinId": "La case « {bin} » du tableau {ledger} doit avoir un id en majuscules, chiffres et soulignés, commençant par une lettre.",
+    "error.badBinSign": "La case {bin} doit avoir un sign (et un gnpSign, s'il y en a un) de -1, 0 ou 1.",
+    "error.badAccent": "La case {bin} a l'accent « {accent} » ; utilisez gdp, gnp, both ou neither.",
+    "error.inventoryIdsNotArray": "meta.inventoryCardIds doit être une liste.",
+    "error.missingLedger": "Il manque le compte {ledger} dans la disposition.",
+    "error.cardsNotArray": "{ledger}Cards doit être une liste.",
+    "error.cardsWithoutLedger": "Le fichier a des {ledger}Cards mais sa disposition n'a pas de compte {ledger}.",
+    "error.noId": "Une carte du compte {ledger} n'a pas d'id.",
+    "error.duplicateId": "Id de carte en double « {id} ».",
+    "error.wrongLedger": "La carte {id} figure dans {listed} mais indique le compte « {ledger} ».",
+    "error.noAmount": "La carte {id} n'a pas de montant numérique.",
+    "error.zeroAmount": "La carte {id} a un montant nul.",
+    "error.negativeAmount": "La carte {id} a un montant négatif ({amount}).",
+    "error.badExplanation": "La carte {id} a une explication qui n'est pas du texte.",
+    "error.noText": "La carte {id} n'a pas de texte.",
+    "error.badTemplate": "La carte {id} a un modèle sans id de message.",
+    "error.unknownTemplate": "La carte {id} a le modèle « {key} », qui n'est pas un message de carte de ce laboratoire.",
+    "error.badTemplateVariant": "La carte {id} demande la variante {variant} du modèle « {key} », qui n'existe pas.",
+    "error.unknownTemplateRef": "La carte {id} a une valeur de modèle qui renvoie au message inconnu « {key} ».",
+    "error.unknownBin": "La carte {id} a un correctBin inconnu « {bin} » pour le compte {ledger}.",
+    "error.badSplit": "La carte {id} a un correctBins qui n'est pas une liste d'au moins deux cases différentes.",
+    "error.splitAndSingle": "La carte {id} a à la fois correctBin et correctBins.",
+    "error.unknownFirm": "La carte {id} désigne une entreprise inconnue « {firm} ».",
+    "error.otherFirmsBin": "La carte {id} appartient à l'entreprise {firm}, mais son correctBin {bin} est celui d'une autre entreprise.",
+    "error.inventoryNotExpenditure": "meta.inventoryCardIds contient « {id} », qui n'est pas une carte de dépenses.",
+    "error.inventoryBin": "La carte de stocks {id} va dans E_I, pas dans {bin}.",
+    "error.badPlanted": "meta.findErrors.planted doit être une liste.",
+    "error.plantedCard": "meta.findErrors place une erreur sur « {id} », qui n'est pas une carte ou est placée deux fois.",
+    "error.plantedBins": "L'erreur placée sur la carte {id} demande une case de {ledger} pour chaque copie de la carte.",
+    "error.gdpMismatch": "Le placement correct donne PIB ({ledger}) = {gdp} ; attendu {target}.",
+    "error.gnpMismatch": "Le placement correct donne PNB = {gnp}, mais meta.components.gnp vaut {expected}.",
+    "error.realNominal": "Le PIB nominal de l'année en cours dans le compte réel vaut {value} ; attendu {target}.",
+    "error.firmIncome": "Entreprise {firm} : le placement correct donne une valeur ajoutée de {va} mais des revenus de {income}.",
+    "error.notJson": "Le fichier n'est pas du JSON valide.",
+    "error.noScenario": "Le fichier ne contient pas d'objet scénario.",
+    "error.unknownFormat": "Format inconnu « {format} ».",
+    "error.newerVersion": "Le fichier est au format version {version} ; ce laboratoire lit jusqu'à la version {max}."
+  }
+});
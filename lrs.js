@@ -0,0 +1,240 @@
+// lrs.js — optional xAPI reporting of round results to an LMS (Learning Record Store)
+//
+// Reporting is off unless the page supplies an LRS endpoint at load time, either with a
+// config object set before app.js runs:
+//   <script>window.GDP_LAB_LRS = { endpoint: "https://lrs.example.edu/xapi/", auth: "Basic …",
+//     actor: { mbox: "mailto:student@example.edu" }, registration: "…" };</script>
+// or with the usual xAPI launch parameters on the page URL:
+//   ?endpoint=…&auth=…&actor={"mbox":"mailto:…"}&registration=…&activity_id=…
+//
+// Statements are queued before anything is sent and POSTed in batches; the queue is kept in
+// memory and copied to localStorage, so results survive going offline or closing the tab
+// (only the first, when storage is blocked or full). Failed sends are retried with backoff.
+// Every statement has its own id, so a batch that did arrive but timed out is not
+// recorded twice. tools/mock-lrs.js is a local LRS to try it against.
+
+const XAPI_VERSION = "1.0.3";
+const LRS_QUEUE_KEY = "gdpLab.lrsQueue.v1";
+const LRS_MAX_QUEUE = 500;
+const LRS_BATCH_SIZE = 25;
+const LRS_RETRY_MS = [2000, 5000, 15000, 60000];
+
+// A Check answers the round's question, hence ADL's "answered" verb shown as "checked"
+// (config.checkedVerb overrides it for LMSs that want their own)
+const XAPI_VERBS = {
+  attempted: { id: "http://adlnet.gov/expapi/verbs/attempted", display: { "en-US": "attempted" } },
+  checked: { id: "http://adlnet.gov/expapi/verbs/answered", display: { "en-US": "checked" } },
+  completed: { id: "http://adlnet.gov/expapi/verbs/completed", display: { "en-US": "completed" } }
+};
+
+function uuid() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, ch => {
+    const r = Math.floor(Math.random() * 16);
+    return (ch === "x" ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+function isoDuration(ms) {
+  // xAPI durations are ISO 8601, e.g. 754000 ms -> "PT754S"
+  return `PT${Math.max(0, Math.round(ms / 1000))}S`;
+}
+
+function lrsConfigFromPage(win, defaults = {}) {
+  // Returns a reporter config, or null when the page did not ask for reporting.
+  // defaults.name names the student when the launch gives no actor.
+  const given = win.GDP_LAB_LRS || {};
+  const params = new URLSearchParams(win.location.search);
+  const endpoint = given.endpoint || params.get("endpoint");
+  if (!endpoint) return null;
+
+  let actor = given.actor;
+  if (!actor && params.get("actor")) {
+    try { actor = JSON.parse(params.get("actor")); } catch (e) { actor = null; }
+  }
+  if (Array.isArray(actor && actor.name)) actor = { ...actor, name: actor.name[0] }; // launch actors may carry name lists
+  if (!actor) actor = { account: { homePage: win.location.origin, name: defaults.name || "anonymous" } };
+
+  return {
+    endpoint: endpoint.endsWith("/") ? endpoint : `${endpoint}/`,
+    auth: given.auth || params.get("auth") || "",
+    actor: { objectType: "Agent", ...actor },
+    registration: given.registration || params.get("registration") || null,
+    activityId: given.activityId || params.get("activity_id") || `${win.location.origin}${win.location.pathname}`,
+    checkedVerb: given.checkedVerb || null,
+    retryMs: given.retryMs || LRS_RETRY_MS
+  };
+}
+
+function buildStatement(config, verbName, info, now = new Date()) {
+  // info: { round, difficulty, exam, attempt, hints, score?, accuracy?, solved?, ledgers?, durationMs? }
+  const verb = verbName === "checked" && config.checkedVerb
+    ? { id: config.checkedVerb, display: XAPI_VERBS.checked.display }
+    : XAPI_VERBS[verbName];
+  const ext = (name) => `${config.activityId}#${name}`;
+
+  const statement = {
+    id: uuid(),
+    timestamp: now.toISOString(),
+    actor: config.actor,
+    verb,
+    object: {
+      objectType: "Activity",
+      id: `${config.activityId}?round=${encodeURIComponent(info.round)}`,
+      definition: {
+        type: "http://adlnet.gov/expapi/activities/assessment",
+        name: { "en-US": `GDP reconciliation round ${info.round}` }
+      }
+    },
+    context: {
+      ...(config.registration ? { registration: config.registration } : {}),
+      contextActivities: { parent: [{ objectType: "Activity", id: config.activityId }] },
+      extensions: {
+        [ext("round")]: { code: info.round, difficulty: info.difficulty, exam: info.exam, attempt: info.attempt, hints: info.hints }
+      }
+    }
+  };
+
+  if (verbName !== "attempted") {
+    statement.result = {
+      score: { raw: info.score, min: 0, max: 100, scaled: info.score / 100 },
+      success: Boolean(info.solved),
+      completion: verbName === "completed",
+      ...(info.durationMs !== undefined ? { duration: isoDuration(info.durationMs) } : {}),
+      extensions: {
+        [ext("accuracy")]: info.accuracy,
+        [ext("ledgers")]: info.ledgers || {}
+      }
+    };
+  }
+  return statement;
+}
+
+function memoryStorage() {
+  // Stands in for localStorage when the browser blocks it; the queue then lasts the session
+  const items = {};
+  return {
+    getItem: (k) => (k in items ? items[k] : null),
+    setItem: (k, v) => { items[k] = String(v); }
+  };
+}
+
+function pageStorage() {
+  try {
+    return window.localStorage || memoryStorage();
+  } catch (e) {
+    return memoryStorage();
+  }
+}
+
+function createReporter(config, env = {}) {
+  // env lets tests swap in fetch, storage and timers; the browser defaults are used otherwise
+  if (!config) return null;
+  const doFetch = env.fetch || ((...args) => fetch(...args));
+  const storage = env.storage || pageStorage();
+  const schedule = env.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+  const listeners = [];
+  let failures = 0;
+  let rejected = 0;
+  let inFlight = null;
+  let retryPending = false;
+  let queue = loadQueue();
+
+  function loadQueue() {
+    // What an earlier visit left unsent
+    try {
+      const list = JSON.parse(storage.getItem(LRS_QUEUE_KEY) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeQueue(list) {
+    queue = list.slice(-LRS_MAX_QUEUE);
+    try {
+      storage.setItem(LRS_QUEUE_KEY, JSON.stringify(queue));
+    } catch (e) {
+      // Storage full or disabled: the queue in memory is still sent this session
+    }
+    notify();
+  }
+
+  function notify() {
+    listeners.forEach(fn => fn({ pending: queue.length, failures, rejected }));
+  }
+
+  function retryLater() {
+    if (retryPending) return;
+    retryPending = true;
+    const wait = config.retryMs[Math.min(failures - 1, config.retryMs.length - 1)];
+    schedule(() => { retryPending = false; flush(); }, wait);
+  }
+
+  async function sendBatch(batch) {
+    // true when the LRS has the statements (409: it already had them), false to retry
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Experience-API-Version": XAPI_VERSION
+    };
+    if (config.auth) headers.Authorization = config.auth;
+    try {
+      const res = await doFetch(`${config.endpoint}statements`, { method: "POST", headers, body: JSON.stringify(batch) });
+      if (res.ok || res.status === 409) return true;
+      if (res.status === 400) {
+        // The LRS will never accept these; keeping them would block everything behind them
+        rejected += batch.length;
+        return true;
+      }
+      return false;
+    } catch (e) {
+      return false; // offline or the LRS is down
+    }
+  }
+
+  function flush() {
+    // Sends everything queued, one batch at a time; resolves to true once the queue is empty
+    if (inFlight) return inFlight;
+    inFlight = (async () => {
+      while (queue.length) {
+        const batch = queue.slice(0, LRS_BATCH_SIZE);
+        if (!(await sendBatch(batch))) {
+          failures++;
+          notify();
+          retryLater();
+          return false;
+        }
+        failures = 0;
+        // Statements reported while the batch was on its way stay queued
+        const sent = new Set(batch.map(s => s.id));
+        writeQueue(queue.filter(s => !sent.has(s.id)));
+      }
+      return true;
+    })().finally(() => { inFlight = null; });
+    return inFlight;
+  }
+
+  function report(verbName, info) {
+    writeQueue([...queue, buildStatement(config, verbName, info)]);
+    return flush();
+  }
+
+  if (env.online !== false && typeof window !== "undefined" && window.addEventListener) {
+    window.addEventListener("online", () => flush());
+  }
+
+  return {
+    attempted: (info) => report("attempted", info),
+    checked: (info) => report("checked", info),
+    completed: (info) => report("completed", info),
+    flush,
+    pending: () => queue.length,
+    rejected: () => rejected,
+    onChange: (fn) => listeners.push(fn)
+  };
+}
+
+// Node (tools/check-lrs.js) loads this file as a module; in the browser these stay globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { XAPI_VERSION, XAPI_VERBS, LRS_QUEUE_KEY, buildStatement, createReporter, lrsConfigFromPage };
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Checks the message catalogs in locales/ against the English one in i18n.js, no browser needed.
+//
+//   node tools/check-i18n.js [rounds]
+//
+// Every English message must exist in each locale with the same placeholders, the same number
+// of variants and the same kind (text, variants or plural forms). Then `rounds` seeded rounds
+// (default 300) are rendered in each locale and fail if any text still holds a {placeholder}
+// or a raw message id, or if the round's numbers differ from the English round.
+
+const fs = require("fs");
+const path = require("path");
+
+Object.assign(globalThis, require("../i18n.js"));
+const localeDir = path.join(__dirname, "..", "locales");
+for (const file of fs.readdirSync(localeDir).filter(f => f.endsWith(".js")).sort()) {
+  require(path.join(localeDir, file));
+}
+const { generateScenario, localizeScenario, cardBins, ROUND_FLAGS, DIFFICULTY_LEVELS } = require("../data.js");
+
+const rounds = Number(process.argv[2]) || 300;
+const MAX_REPORTED = 20;
+
+const failures = [];
+function fail(msg){
+  failures.push(msg);
+  if (failures.length <= MAX_REPORTED) console.error(`✗ ${msg}`);
+}
+
+function forms(msg){
+  if (Array.isArray(msg)) return msg;
+  if (msg && typeof msg === "object") return Object.values(msg);
+  return [msg];
+}
+
+function kind(msg){
+  if (Array.isArray(msg)) return `${msg.length} variants`;
+  return msg && typeof msg === "object" ? "plural forms" : "text";
+}
+
+function placeholders(texts){
+  // Distinct {name} / {name:format} over all forms; TeX such as \text{Output} is not one
+  const found = new Set();
+  for (const text of texts) for (const m of String(text).match(/(?<![\w\\])\{\w+(?::\w+)?\}/g) || []) found.add(m);
+  return [...found].sort().join(" ");
+}
+
+const english = LOCALES.en.messages;
+const others = Object.keys(LOCALES).filter(id => id !== "en");
+
+// 1) Catalogs
+for (const id of others){
+  const { messages } = LOCALES[id];
+  for (const key of Object.keys(english)){
+    const msg = messages[key];
+    if (msg === undefined){ fail(`${id}: missing ${key}`); continue; }
+    if (kind(msg) !== kind(english[key])){ fail(`${id}: ${key} has ${kind(msg)}, English has ${kind(english[key])}`); continue; }
+    if (forms(msg).some(text => typeof text !== "string")){ fail(`${id}: ${key} is not text`); continue; }
+    const want = placeholders(forms(english[key]));
+    const got = placeholders(forms(msg));
+    if (got !== want) fail(`${id}: ${key} uses ${got || "no placeholders"}, English uses ${want || "none"}`);
+  }
+  for (const key of Object.keys(messages)){
+    if (english[key] === undefined) fail(`${id}: ${key} is not in the English catalog`);
+  }
+}
+
+// 2) Rendered rounds
+const toggles = ROUND_FLAGS.filter(f => f.option !== "difficulty");
+const levels = Object.keys(DIFFICULTY_LEVELS);
+const leftover = /\{\w+(?::\w+)?\}|\b(?:ui|card|concept|firm|producer|panel|bin|ledger|note|hint|error|difficulty)\.\w+/;
+
+function texts(sc){
+  const out = [];
+  for (const ledger of sc.layout.ledgers){
+    out.push(ledger.label, ledger.note);
+    for (const p of ledger.panels || []) out.push(p.label, p.note);
+    for (const bin of ledger.bins) out.push(bin.label);
+  }
+  for (const list of ["production", "expenditure", "income", "real"]){
+    for (const c of sc[list + "Cards"] || []) out.push(c.text, c.explanation);
+  }
+  return out.filter(s => s !== undefined);
+}
+
+function numbers(sc){
+  return JSON.stringify(["production", "expenditure", "income", "real"].map(list => (sc[list + "Cards"] || []).map(c => [c.id, c.amount, cardBins(c)])));
+}
+
+for (let i = 0; i < rounds; i++){
+  const options = { difficulty: levels[i % levels.length] };
+  toggles.forEach((f, k) => { if ((i >> k) & 1) options[f.option] = f.value; });
+  // Some later campaign years, whose inventories can run down last year's stock
+  if (i % 4 === 3) options.year = 3;
+  setLocale("en");
+  const base = generateScenario(i + 1, options);
+  for (const id of others){
+    setLocale(id);
+    const sc = localizeScenario(JSON.parse(JSON.stringify(base)));
+    if (numbers(sc) !== numbers(base)) fail(`${id}: seed ${i + 1} changed its cards when localized`);
+    for (const text of texts(sc)){
+      if (leftover.test(text)) fail(`${id}: seed ${i + 1} renders "${text}"`);
+    }
+  }
+}
+setLocale("en");
+
+if (failures.length){
+  if (failures.length > MAX_REPORTED) console.error(`… and ${failures.length - MAX_REPORTED} more`);
+  console.error(`${failures.length} problem(s) in ${others.length} locale(s).`);
+  process.exit(1);
+}
+console.log(`OK: ${others.join(", ")} cover all ${Object.keys(english).length} messages; ${rounds} rounds render cleanly.`);
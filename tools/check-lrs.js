@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// End-to-end check of lrs.js against tools/mock-lrs.js, no browser needed.
+//
+//   node tools/check-lrs.js
+//
+// The mock LRS refuses the first two POSTs, so the first statement has to wait in the queue
+// and be retried; a statement the LRS already has, or will never accept, must be dropped from the
+// queue, not resent forever.
+
+const { createReporter, LRS_QUEUE_KEY } = require("../lrs.js");
+const { startMockLrs } = require("./mock-lrs.js");
+
+const AUTH = "Basic dGVzdDp0ZXN0";
+
+function memoryStorage() {
+  const data = {};
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); }
+  };
+}
+
+function assert(ok, msg) {
+  if (!ok) throw new Error(msg);
+}
+
+async function waitFor(test, ms = 3000) {
+  const until = Date.now() + ms;
+  while (!test()) {
+    if (Date.now() > until) return false;
+    await new Promise(r => setTimeout(r, 10));
+  }
+  return true;
+}
+
+async function main() {
+  const lrs = await startMockLrs({ port: 0, failFirst: 2, auth: AUTH });
+  try {
+    const storage = memoryStorage();
+    const config = {
+      endpoint: `http://127.0.0.1:${lrs.port}/xapi/`,
+      auth: AUTH,
+      actor: { objectType: "Agent", mbox: "mailto:student@example.edu" },
+      registration: null,
+      activityId: "http://localhost/gdp-lab/",
+      checkedVerb: null,
+      retryMs: [20]
+    };
+    const reporter = createReporter(config, { storage, online: false });
+    const round = { round: "K3F9Q2", difficulty: "standard", exam: false, attempt: 1, hints: 0 };
+    const ledgers = { production: { placed: 20, correct: 18, total: 20 } };
+
+    const first = await reporter.checked({ ...round, score: 90, accuracy: 0.9, solved: false, ledgers });
+    assert(first === false && reporter.pending() === 1, "a refused statement should stay queued");
+    assert(await waitFor(() => reporter.pending() === 0), "queued statement was never retried");
+    assert(lrs.statements.length === 1 && lrs.requests.length === 3, `expected 1 statement after 3 requests, got ${lrs.statements.length}/${lrs.requests.length}`);
+
+    const checked = lrs.statements[0];
+    assert(checked.verb.display["en-US"] === "checked", "checked verb");
+    assert(checked.result.score.scaled === 0.9 && checked.result.completion === false, "checked result");
+    assert(checked.result.extensions["http://localhost/gdp-lab/#ledgers"].production.correct === 18, "per-ledger results");
+    assert(lrs.requests[2].headers["x-experience-api-version"] === "1.0.3", "version header");
+
+    assert(await reporter.completed({ ...round, attempt: 2, score: 98, accuracy: 1, solved: true, ledgers, durationMs: 754000 }), "completed send");
+    const completed = lrs.statements[1];
+    assert(completed.verb.id === "http://adlnet.gov/expapi/verbs/completed" && completed.result.duration === "PT754S", "completed statement");
+
+    // A batch that arrived but whose reply was lost, still queued when the page is reopened:
+    // the LRS answers 409 and it leaves the queue
+    storage.setItem(LRS_QUEUE_KEY, JSON.stringify([completed]));
+    const reopened = createReporter(config, { storage, online: false });
+    assert(reopened.pending() === 1, "queue left by an earlier visit");
+    assert(await reopened.flush() && reopened.pending() === 0 && lrs.statements.length === 2, "duplicate statement handling");
+
+    // One the LRS refuses outright (400) is dropped too, and counted for the status line
+    const seen = [];
+    storage.setItem(LRS_QUEUE_KEY, JSON.stringify([{ id: "no-verb", actor: config.actor }]));
+    const refused = createReporter(config, { storage, online: false });
+    refused.onChange(status => seen.push(status));
+    assert(await refused.flush() && refused.pending() === 0 && refused.rejected() === 1, "rejected statement handling");
+    assert(seen.some(s => s.rejected === 1), "rejection reaches the status listeners");
+
+    console.log(`OK: ${lrs.statements.length} statements delivered in ${lrs.requests.length} requests, including 2 retries, 1 duplicate and 1 rejected.`);
+  } finally {
+    await lrs.close();
+  }
+}
+
+main().catch(e => {
+  console.error(`✗ ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+// Property checks for the scenario generator in data.js, no browser needed.
+//
+//   node tools/check-scenarios.js [rounds] [firstSeed]
+//
+// Runs `rounds` seeded generateScenario() calls (default 5000), cycling through every
+// combination of round options, difficulty levels and firm counts, and fails if any round breaks an invariant
+// in validateScenario(), is not reproducible from its seed, or its round code does not
+// parse back to the same options. Find-the-errors rounds must plant the level's number of errors,
+// open a gap, and keep the cards of the same round without them. Also plays multi-year campaigns,
+// imports exported and broken scenario files, and fuzzes partition() directly.
+
+const {
+  generateScenario, validateScenario, partition, makeRng,
+  roundCode, parseRoundCode, ROUND_FLAGS, MIN_FIRMS, MAX_FIRMS,
+  DIFFICULTY_LEVELS, resolveDifficulty, CAMPAIGN_MAX_YEARS, cardBins,
+  scenarioToFile, scenarioFromFile, localizeScenario
+} = require("../data.js");
+
+// The round code box in index.html cuts typed and pasted codes at its maxlength
+const codeInputMax = Number(/id="roundCodeInput"[^>]*maxlength="(\d+)"/.exec(
+  require("fs").readFileSync(require("path").join(__dirname, "..", "index.html"), "utf8"))[1]);
+
+const rounds = Number(process.argv[2]) || 5000;
+const firstSeed = Number(process.argv[3]) || 0;
+const MAX_REPORTED = 20;
+
+const failures = [];
+function fail(msg){
+  failures.push(msg);
+  if (failures.length <= MAX_REPORTED) console.error(`✗ ${msg}`);
+}
+
+// Every subset of the on/off option flags, e.g. {}, { income: "full" }, { income: "full", gnp: true }, ...
+const toggles = ROUND_FLAGS.filter(f => f.option !== "difficulty");
+const optionSets = [];
+for (let mask = 0; mask < (1 << toggles.length); mask++){
+  const options = {};
+  toggles.forEach((f, i) => { if (mask & (1 << i)) options[f.option] = f.value; });
+  optionSets.push(options);
+}
+const levels = Object.keys(DIFFICULTY_LEVELS);
+// undefined: the level's own firm count
+const firmCounts = [undefined];
+for (let k = MIN_FIRMS; k <= MAX_FIRMS; k++) firmCounts.push(k);
+
+// 1) Generator invariants
+for (let n = 0; n < rounds; n++){
+  const seed = firstSeed + n;
+  const difficulty = levels[Math.floor(n / optionSets.length) % levels.length];
+  const options = { ...optionSets[n % optionSets.length], difficulty };
+  const firms = firmCounts[Math.floor(n / (optionSets.length * levels.length)) % firmCounts.length];
+  const label = `seed ${seed} ${roundCode(seed, options)} firms=${firms === undefined ? "default" : firms}`;
+
+  let sc;
+  try {
+    sc = generateScenario(seed, { ...options, firms });
+  } catch (e){
+    fail(`${label}: generateScenario threw ${e.message}`);
+    continue;
+  }
+
+  validateScenario(sc).forEach(err => fail(`${label}: ${err}`));
+
+  const profile = resolveDifficulty(difficulty);
+  if (!profile.negativeInventory && sc.meta.components.I_inv < 0){
+    fail(`${label}: inventories fall (${sc.meta.components.I_inv}) in a level without negative inventory`);
+  }
+  if (options.splitImports && !sc.expenditureCards.some(c => c.correctBins)){
+    fail(`${label}: split-import round without a split card`);
+  }
+  // The answer key's wage and profit components are what those bins hold
+  const roleSum = role => {
+    const ids = sc.layout.ledgers.find(l => l.id === "income").bins.filter(b => b.role === role).map(b => b.id);
+    return sc.incomeCards.filter(c => ids.includes(c.correctBin)).reduce((s, c) => s + c.amount, 0);
+  };
+  if (roleSum("wages") !== sc.meta.components.W || roleSum("profits") !== sc.meta.components.P){
+    fail(`${label}: components W/P are not the wage and profit bins' totals`);
+  }
+  // The real ledger's bins hold the totals behind the deflator and growth rate
+  if (options.real){
+    const realSum = bin => sc.realCards.filter(c => c.correctBin === bin).reduce((s, c) => s + c.amount, 0);
+    const r = sc.meta.real;
+    if (realSum("R_NOM0") !== r.nominalBase || realSum("R_NOM1") !== r.nominalCurrent || realSum("R_REAL1") !== r.realCurrent){
+      fail(`${label}: real-GDP bins do not add up to meta.real`);
+    }
+  }
+  if (firms === undefined && sc.layout.firms.length !== profile.firms){
+    fail(`${label}: ${sc.layout.firms.length} firms, level asks for ${profile.firms}`);
+  }
+
+  if (options.findErrors){
+    const planted = sc.meta.findErrors.planted;
+    if (planted.length !== profile.plantedErrors){
+      fail(`${label}: ${planted.length} planted errors, level asks for ${profile.plantedErrors}`);
+    }
+    const bins = Object.fromEntries(sc.layout.ledgers.flatMap(l => l.bins.map(b => [b.id, b])));
+    const cards = Object.fromEntries([...sc.productionCards, ...sc.expenditureCards, ...sc.incomeCards].map(c => [c.id, c]));
+    const signs = list => list.reduce((s, b) => s + bins[b].sign, 0);
+    const shift = { production: 0, expenditure: 0, income: 0 };
+    planted.forEach(p => {
+      const c = cards[p.card];
+      if ([...p.bins].sort().join() === [...cardBins(c)].sort().join()) fail(`${label}: planted error on ${p.card} is its correct placement`);
+      shift[c.ledger] += c.amount * (signs(p.bins) - signs(cardBins(c)));
+    });
+    if (shift.production === shift.expenditure && shift.production === shift.income){
+      fail(`${label}: planted errors leave the three GDPs equal`);
+    }
+    if (n % 10 === 0){
+      const { findErrors, ...plain } = options;
+      const without = generateScenario(seed, { ...plain, firms });
+      if (["productionCards", "expenditureCards", "incomeCards", "realCards"].some(k => JSON.stringify(without[k]) !== JSON.stringify(sc[k]))){
+        fail(`${label}: planting errors changed the round's cards`);
+      }
+    }
+  }
+
+  if (n % 50 === 0){
+    const again = generateScenario(seed, { ...options, firms });
+    if (JSON.stringify(again) !== JSON.stringify(sc)) fail(`${label}: same seed gave a different round`);
+  }
+
+  const parsed = parseRoundCode(sc.meta.roundCode);
+  if (!parsed || parsed.seed !== seed || roundCode(parsed.seed, parsed.options) !== sc.meta.roundCode){
+    fail(`${label}: round code ${sc.meta.roundCode} does not round-trip`);
+  }
+  if (sc.meta.roundCode.length > codeInputMax) fail(`${label}: round code is longer than the code box's maxlength ${codeInputMax}`);
+}
+
+// 2) Campaigns: every year is a valid round that continues the one before it: same firms,
+//    inventories open at last year's closing stock and never fall below zero
+const campaigns = Math.max(1, Math.round(rounds / 50));
+const CAMPAIGN_YEARS = 6;
+for (let n = 0; n < campaigns; n++){
+  const seed = firstSeed + n;
+  const options = { ...optionSets[(n * 7) % optionSets.length], difficulty: levels[n % levels.length] };
+  let last = null;
+  for (let year = 1; year <= CAMPAIGN_YEARS; year++){
+    const label = `campaign ${roundCode(seed, { ...options, year })}`;
+    let sc;
+    try {
+      sc = generateScenario(seed, { ...options, year });
+    } catch (e){
+      fail(`${label}: generateScenario threw ${e.message}`);
+      break;
+    }
+    validateScenario(sc).forEach(err => fail(`${label}: ${err}`));
+
+    const c = sc.meta.campaign;
+    if (!c || c.year !== year || c.seed !== seed) { fail(`${label}: missing or wrong meta.campaign`); break; }
+    if (c.stockEnd !== c.stockStart + sc.meta.components.I_inv) fail(`${label}: closing stock is not opening stock + inventory change`);
+    if (c.stockEnd < 0) fail(`${label}: inventories sold below zero (${c.stockEnd})`);
+    if (last){
+      if (c.stockStart !== last.meta.campaign.stockEnd) fail(`${label}: opens with ${c.stockStart}, last year closed with ${last.meta.campaign.stockEnd}`);
+      if (sc.layout.firms.map(f => f.key).join() !== last.layout.firms.map(f => f.key).join()) fail(`${label}: firms changed`);
+      if (Math.abs(c.growth - (sc.meta.gdpTarget / last.meta.gdpTarget - 1)) > 1e-9) fail(`${label}: growth does not match GDP`);
+    }
+    const parsed = parseRoundCode(sc.meta.roundCode);
+    if (!parsed || parsed.options.year !== year || roundCode(parsed.seed, parsed.options) !== sc.meta.roundCode){
+      fail(`${label}: round code ${sc.meta.roundCode} does not round-trip`);
+    }
+    last = sc;
+  }
+}
+// The longest code there is: the last seed, every option and the last campaign year
+const longest = roundCode(Math.pow(36, 6) - 1, {
+  ...Object.fromEntries(toggles.map(f => [f.option, f.value])), difficulty: levels[levels.length - 1], year: CAMPAIGN_MAX_YEARS
+});
+if (longest.length > codeInputMax) fail(`round code ${longest} is longer than the code box's maxlength ${codeInputMax}`);
+if (parseRoundCode(`0-Y${CAMPAIGN_MAX_YEARS + 1}`) !== null || parseRoundCode("0-Y0") !== null){
+  fail("campaign years outside 1–" + CAMPAIGN_MAX_YEARS + " parse as round codes");
+}
+if (["0-EH", "0-HB", "0-FF"].some(code => parseRoundCode(code) !== null)){
+  fail("round codes that set an option twice parse");
+}
+
+// Exported rounds import as written: an instructor's edits to a card's text and amount stay
+for (let n = 0; n < Math.max(1, Math.round(rounds / 100)); n++){
+  const seed = firstSeed + n;
+  const options = { ...optionSets[(n * 11) % optionSets.length], difficulty: levels[n % levels.length] };
+  const label = `export ${roundCode(seed, options)}`;
+  const file = JSON.parse(scenarioToFile(generateScenario(seed, options)));
+  const edited = file.expenditureCards.find(c => c.correctBin === "E_XCL");
+  if (!edited) continue;
+  edited.text = "Edited by hand.";
+  edited.amount += 5;
+  const { scenario, errors } = scenarioFromFile(JSON.stringify(file));
+  if (errors.length){
+    fail(`${label}: exported file does not import: ${errors[0]}`);
+    continue;
+  }
+  const back = localizeScenario(scenario).expenditureCards.find(c => c.id === edited.id);
+  if (back.text !== "Edited by hand." || back.amount !== edited.amount) fail(`${label}: edits to ${edited.id} were lost on import`);
+}
+
+// Imports reject templates and card lists the app could not show
+{
+  const sc = generateScenario(firstSeed, { real: true });
+  const broken = [
+    s => { s.incomeCards[0].template = { key: "card.noSuchCard" }; },
+    s => { s.incomeCards[0].template = { key: "ui.reset" }; },
+    s => { s.incomeCards[0].template.variant = 99; },
+    s => { s.layout.ledgers = s.layout.ledgers.filter(l => l.id !== "real"); }
+  ];
+  broken.forEach((breakIt, i) => {
+    const s = JSON.parse(JSON.stringify(sc));
+    breakIt(s);
+    if (!scenarioFromFile(s).errors.length) fail(`broken import ${i + 1} was accepted`);
+  });
+}
+
+// 3) partition(): parts sum exactly, are never 0, respect minPart, and never exceed k
+const rng = makeRng(firstSeed + 1);
+const draw = (lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+for (let n = 0; n < rounds; n++){
+  const amount = draw(-80, 400);
+  const k = draw(1, 8);
+  const minPart = draw(1, 12);
+  const parts = partition(amount, k, minPart);
+  const label = `partition(${amount}, ${k}, ${minPart}) = [${parts.join(", ")}]`;
+
+  if (parts.reduce((a, b) => a + b, 0) !== amount) fail(`${label}: does not sum to the amount`);
+  if (parts.length > k) fail(`${label}: more than k parts`);
+  if (parts.some(p => p === 0)) fail(`${label}: zero part`);
+  if (Math.abs(amount) >= minPart && parts.some(p => Math.abs(p) < minPart)) fail(`${label}: part below minPart`);
+  if (Math.abs(amount) >= k * minPart && parts.length !== k) fail(`${label}: expected exactly k parts`);
+}
+
+if (failures.length){
+  const more = failures.length > MAX_REPORTED ? ` (first ${MAX_REPORTED} shown)` : "";
+  console.error(`\n${failures.length} problem(s) in ${rounds} rounds${more}.`);
+  process.exit(1);
+}
+console.log(`OK: ${rounds} rounds across ${optionSets.length} option sets, ${levels.length} difficulty levels and ${firmCounts.length} firm settings, ${campaigns} campaigns of ${CAMPAIGN_YEARS} years, plus ${rounds} partition() cases.`);
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// A throwaway Learning Record Store for trying lrs.js locally.
+//
+//   node tools/mock-lrs.js [port=8089] [--fail=N] [--auth="Basic dGVzdDp0ZXN0"]
+//
+// Accepts POST /xapi/statements, lists what it received on GET /xapi/statements and prints
+// each statement as it arrives. --fail=N answers the first N POSTs with 503, to watch the
+// page queue statements and retry. Open the lab with, for example:
+//   index.html?endpoint=http://localhost:8089/xapi/&auth=Basic%20dGVzdDp0ZXN0&actor={"mbox":"mailto:student@example.edu"}
+
+const http = require("http");
+
+function startMockLrs({ port = 8089, failFirst = 0, auth = null, log = () => {} } = {}) {
+  // Resolves to { server, port, statements, requests, close } once listening
+  const statements = [];
+  const requests = [];
+  let failuresLeft = failFirst;
+
+  const cors = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type, X-Experience-API-Version"
+  };
+  const reply = (res, status, body) => {
+    res.writeHead(status, { ...cors, "Content-Type": "application/json", "X-Experience-API-Version": "1.0.3" });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") return reply(res, 204);
+    if (url.pathname !== "/xapi/statements") return reply(res, 404, { error: "Not found" });
+    if (auth && req.headers.authorization !== auth) return reply(res, 401, { error: "Bad credentials" });
+    if (!req.headers["x-experience-api-version"]) return reply(res, 400, { error: "Missing X-Experience-API-Version" });
+
+    if (req.method === "GET") return reply(res, 200, { statements, more: "" });
+    if (req.method !== "POST") return reply(res, 405, { error: "Method not allowed" });
+
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        return reply(res, 503, { error: "Unavailable (simulated)" });
+      }
+      let batch;
+      try {
+        batch = JSON.parse(body);
+      } catch (e) {
+        return reply(res, 400, { error: "Body is not JSON" });
+      }
+      batch = Array.isArray(batch) ? batch : [batch];
+      if (batch.some(s => !s || !s.actor || !s.verb || !s.object)) return reply(res, 400, { error: "Statement needs actor, verb and object" });
+      if (batch.some(s => statements.some(x => x.id === s.id))) return reply(res, 409, { error: "Statement id already stored" });
+
+      batch.forEach(s => {
+        statements.push(s);
+        log(`${s.verb.display["en-US"]} ${s.object.id}${s.result ? ` score ${s.result.score.raw}` : ""}`);
+      });
+      reply(res, 200, batch.map(s => s.id));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        server,
+        port: server.address().port,
+        statements,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const a = args.find(x => x.startsWith(`--${name}=`));
+    return a ? a.slice(name.length + 3) : null;
+  };
+  const port = Number(args.find(x => /^\d+$/.test(x))) || 8089;
+  startMockLrs({ port, failFirst: Number(flag("fail")) || 0, auth: flag("auth"), log: console.log }).then(lrs => {
+    console.log(`Mock LRS listening on http://localhost:${lrs.port}/xapi/ (Ctrl+C to stop)`);
+  });
+}
+
+module.exports = { startMockLrs };